@@ -3,23 +3,78 @@ import FileInput from "./components/FileInput";
 import TransactionTable from "./components/TransactionTable";
 import SummaryCards from "./components/SummaryCards";
 import MonthlyExpensesChart from "./components/MonthlyExpensesChart";
+import MonthlyFeesChart from "./components/MonthlyFeesChart";
 import TopRecipientsTable from "./components/TopRecipientsTable";
 import TopReasonsTable from "./components/TopReasonsTable";
 import TransactionDistributionPieChart from "./components/TransactionDistributionPieChart";
+import CategoryRulesEditor from "./components/CategoryRulesEditor";
+import BudgetsPanel from "./components/BudgetsPanel";
+import RecurringPaymentsPanel from "./components/RecurringPaymentsPanel";
+import AnomalyAlertsPanel from "./components/AnomalyAlertsPanel";
+import ReceiptCacheManager from "./components/ReceiptCacheManager";
+import DateRangeControl from "./components/DateRangeControl";
+import PrintableReport from "./components/PrintableReport";
+import {
+  isIncome,
+  getFees,
+  getLatestBalance,
+  inferAccountOwner,
+} from "./lib/utils";
+import { categorizeTransactions, loadRules, saveRules } from "./lib/categories";
+import { loadBudgets, saveBudgets } from "./lib/budgets";
+import {
+  migrateLocalStorageCache,
+  evictLeastRecentlyUsed,
+} from "./lib/pdfCache";
+import { validateTransactions } from "./lib/validation";
+import { flagAnomalies } from "./lib/anomalies";
+import { applyEdits } from "./lib/edits";
+import {
+  DEFAULT_DATE_RANGE,
+  resolveDateRange,
+  filterByDateRange,
+} from "./lib/dateRange";
+import { loadCalendar, saveCalendar, toCalendarMonthKey } from "./lib/calendar";
+import { EMPTY_FILTERS, filterTransactions } from "./lib/filters";
+import {
+  LANGUAGE_NAMES,
+  loadLanguage,
+  saveLanguage,
+  getTranslator,
+} from "./lib/i18n";
+import {
+  getAllTransactions,
+  saveTransactions,
+  updateTransactionAnnotations,
+  clearTransactions,
+} from "./lib/db";
 
 /**
  * The main application component.
  * Manages the overall state and renders child components based on the presence of transaction data.
+ * Transactions are kept in a local IndexedDB store, so the dashboard is rebuilt from it on load
+ * and every import is merged into it.
  *
  * @returns {JSX.Element} The rendered App component.
  */
 function App() {
   const [transactions, setTransactions] = useState([]);
+  const [rules, setRules] = useState(loadRules);
+  const [showRulesEditor, setShowRulesEditor] = useState(false);
+  const [showCacheManager, setShowCacheManager] = useState(false);
+  const [showReport, setShowReport] = useState(false); // Replaces the dashboard with the printable report
+  const [dateRange, setDateRange] = useState(DEFAULT_DATE_RANGE); // The period every widget shows
+  const [filters, setFilters] = useState(EMPTY_FILTERS); // The table's search and filters, also used by the summary cards
+  const [calendar, setCalendar] = useState(loadCalendar); // "gregorian" or "ethiopian" date display
+  const [language, setLanguage] = useState(loadLanguage); // "en" or "am" UI language
   const [darkMode, setDarkMode] = useState(() => {
     // Load dark mode preference from localStorage, default to false if not found
     const savedMode = localStorage.getItem("darkMode");
     return savedMode === "true"; // Convert string to boolean
   });
+  const [budgets, setBudgets] = useState(loadBudgets); // Monthly budgets, also kept in localStorage
+  const t = getTranslator(language);
+  const otherLanguage = language === "am" ? "en" : "am"; // The language the switcher changes to
 
   // Apply dark mode class to body AND save to localStorage
   useEffect(() => {
@@ -32,25 +87,149 @@ function App() {
     }
   }, [darkMode]);
 
-  // Aggregate data for the chart
+  // Save budgets to localStorage alongside the dark mode preference
+  useEffect(() => {
+    saveBudgets(budgets);
+  }, [budgets]);
+
+  // Save the calendar setting alongside the dark mode preference
+  useEffect(() => {
+    saveCalendar(calendar);
+  }, [calendar]);
+
+  // Save the language and tell the browser which language the page is in
+  useEffect(() => {
+    saveLanguage(language);
+    document.documentElement.lang = language;
+  }, [language]);
+
+  // Save category rules whenever they are edited
+  useEffect(() => {
+    saveRules(rules);
+  }, [rules]);
+
+  // Rebuild the dashboard from the local transaction store
+  useEffect(() => {
+    getAllTransactions()
+      .then(setTransactions)
+      .catch((error) => {
+        console.error("Error loading stored transactions:", error);
+      });
+  }, []);
+
+  // Move receipts cached in localStorage by earlier versions into IndexedDB,
+  // then bring the cache back within its cap
+  useEffect(() => {
+    migrateLocalStorageCache()
+      .then(() => evictLeastRecentlyUsed())
+      .catch((error) => {
+        console.error("Error maintaining the receipt cache:", error);
+      });
+  }, []);
+
+  /**
+   * Merges newly imported transactions into the store and reloads the dashboard from it.
+   *
+   * @param {Array<object>} imported - The transactions extracted by FileInput.
+   * @returns {Promise<{ added: number, updated: number }>} The merge counts.
+   */
+  const handleImport = async (imported) => {
+    const counts = await saveTransactions(imported);
+    setTransactions(await getAllTransactions());
+    return counts;
+  };
+
+  /**
+   * Saves the user's corrections, notes or tags on one transaction.
+   *
+   * @param {string} id - The transaction's storage key.
+   * @param {object} annotations - The new `edits`, `notes` and/or `tags`.
+   * @returns {Promise<void>}
+   */
+  const handleUpdateTransaction = async (id, annotations) => {
+    const updated = await updateTransactionAnnotations(id, annotations);
+    setTransactions((current) =>
+      current.map((tx) => (tx.id === id ? updated : tx))
+    );
+  };
+
+  const handleClearData = async () => {
+    if (!window.confirm(t("app.confirmClear"))) {
+      return;
+    }
+    try {
+      await clearTransactions();
+      setTransactions([]);
+    } catch (error) {
+      console.error("Error clearing stored transactions:", error);
+    }
+  };
+
+  // Apply manual corrections, then assign a category, validation warnings and anomalies to
+  // every transaction for the tables and charts
+  const categorizedTransactions = useMemo(
+    () =>
+      flagAnomalies(
+        validateTransactions(
+          categorizeTransactions(transactions.map(applyEdits), rules)
+        )
+      ),
+    [transactions, rules]
+  );
+
+  // The owner of the account, to tell incoming receipts apart when PDFs are uploaded directly
+  const accountOwner = useMemo(
+    () => inferAccountOwner(transactions),
+    [transactions]
+  );
+
+  // The transactions in the selected dashboard period
+  const rangedTransactions = useMemo(
+    () =>
+      filterByDateRange(
+        categorizedTransactions,
+        resolveDateRange(dateRange, new Date(), calendar)
+      ),
+    [categorizedTransactions, dateRange, calendar]
+  );
+
+  // The payments in the period, without the credits, so the spending views neither count
+  // incoming transfers nor list the account owner as a recipient
+  const expenseTransactions = useMemo(
+    () => rangedTransactions.filter((tx) => !isIncome(tx)),
+    [rangedTransactions]
+  );
+
+  // The transactions in the period that match the table's search and filters
+  const filteredTransactions = useMemo(
+    () => filterTransactions(rangedTransactions, filters),
+    [rangedTransactions, filters]
+  );
+
+  // Aggregate data for the chart, using the corrected amounts
   const aggregatedChartData = useMemo(() => {
-    if (!transactions.length) return [];
+    if (!rangedTransactions.length) return [];
 
-    const aggregated = transactions.reduce((acc, transaction) => {
+    const aggregated = rangedTransactions.reduce((acc, transaction) => {
       const date = new Date(transaction.date);
       if (isNaN(date)) {
         console.warn("Invalid date found:", transaction.date); // Keep for development warnings
         return acc;
       }
-      const month = date.toISOString().slice(0, 7); // "YYYY-MM"
+      const month = toCalendarMonthKey(transaction.date, calendar); // "YYYY-MM" in the chosen calendar
 
       if (!acc[month]) {
-        acc[month] = { expenses: 0, balance: null };
+        acc[month] = { expenses: 0, income: 0, fees: 0, balance: null };
       }
 
       if (transaction.amount > 0) {
-        acc[month].expenses += transaction.amount;
+        if (isIncome(transaction)) {
+          acc[month].income += transaction.amount;
+        } else {
+          acc[month].expenses += transaction.amount;
+        }
       }
+      acc[month].fees += getFees(transaction);
       acc[month].balance = transaction.currentBalance;
       return acc;
     }, {});
@@ -58,22 +237,24 @@ function App() {
     // Transform into array for Recharts and sort by month chronologically
     return Object.entries(aggregated)
       .sort(([monthA], [monthB]) => monthA.localeCompare(monthB))
-      .map(([month, { expenses, balance }]) => ({
+      .map(([month, { expenses, income, fees, balance }]) => ({
         month,
         Expenses: expenses,
+        Income: income,
+        Fees: Math.round(fees * 100) / 100,
         Balance: balance,
       }));
-  }, [transactions]);
+  }, [rangedTransactions, calendar]);
 
   return (
     <div
-      className={`min-h-screen transition-colors duration-300 ${
+      className={`min-h-screen transition-colors duration-300 print:bg-white print:text-gray-900 ${
         darkMode ? "bg-gray-900 text-white" : "bg-gray-50 text-gray-900"
       }`}
     >
       {/* Header */}
       <header
-        className={`bg-gradient-to-r from-[#6b21a8] to-[#4c1d95] text-white py-6 shadow-lg relative overflow-hidden`}
+        className={`bg-gradient-to-r from-[#6b21a8] to-[#4c1d95] text-white py-6 shadow-lg relative overflow-hidden print:hidden`}
       >
         {/* Abstract background shapes for visual interest */}
         <div className="absolute top-0 right-0 w-64 h-64 bg-white opacity-5 rounded-full -mr-32 -mt-32"></div>
@@ -83,19 +264,51 @@ function App() {
           <h1 className="text-3xl font-bold flex items-center">
             <span className="mr-3 text-4xl">💰</span>
             <span className="bg-clip-text text-transparent bg-gradient-to-r from-white to-purple-200 font-extrabold">
-              CBE Transaction Dashboard
+              {t("app.title")}
             </span>
           </h1>
 
           <div className="flex items-center space-x-4">
             <div className="text-sm opacity-80 hidden md:block">
-              Commercial Bank of Ethiopia
+              {t("app.bankName")}
             </div>
+            <button
+              onClick={() =>
+                setCalendar(
+                  calendar === "ethiopian" ? "gregorian" : "ethiopian"
+                )
+              }
+              className="px-3 py-2 text-sm font-semibold rounded-full bg-[#4c1d95] hover:bg-[#6b21a8] transition-colors duration-200"
+              title={
+                calendar === "ethiopian"
+                  ? t("app.showingEthiopian")
+                  : t("app.showingGregorian")
+              }
+              aria-label={
+                calendar === "ethiopian"
+                  ? t("app.switchToGregorian")
+                  : t("app.switchToEthiopian")
+              }
+            >
+              {calendar === "ethiopian"
+                ? t("app.calendarEthiopian")
+                : t("app.calendarGregorian")}
+            </button>
+            <button
+              onClick={() => setLanguage(otherLanguage)}
+              className="px-3 py-2 text-sm font-semibold rounded-full bg-[#4c1d95] hover:bg-[#6b21a8] transition-colors duration-200"
+              title={t("app.showingLanguage")}
+              aria-label={t("app.switchLanguage", {
+                language: LANGUAGE_NAMES[otherLanguage],
+              })}
+            >
+              {t("app.languageShort")}
+            </button>
             <button
               onClick={() => setDarkMode(!darkMode)}
               className="p-2 rounded-full bg-[#4c1d95] hover:bg-[#6b21a8] transition-colors duration-200"
               aria-label={
-                darkMode ? "Switch to light mode" : "Switch to dark mode"
+                darkMode ? t("app.switchToLight") : t("app.switchToDark")
               }
             >
               {darkMode ? (
@@ -135,76 +348,288 @@ function App() {
       </header>
 
       {/* Main content */}
-      <main className="container mx-auto px-4 sm:px-6 py-8">
+      <main className="container mx-auto px-4 sm:px-6 py-8 print:p-0">
         <div
-          className={`rounded-xl shadow-lg p-6 mb-8 transition-all duration-300 hover:shadow-xl ${
+          className={`rounded-xl shadow-lg p-6 mb-8 transition-all duration-300 hover:shadow-xl print:hidden ${
             darkMode ? "bg-gray-800 border border-gray-700" : "bg-white"
           }`}
         >
-          <h2
-            className={`text-xl font-semibold mb-4 ${
-              darkMode ? "text-purple-300" : "text-[#4c1d95]"
-            }`}
-          >
-            Upload Transaction Data
-          </h2>
-          <FileInput setTransactions={setTransactions} darkMode={darkMode} />
-        </div>
-
-        {transactions.length > 0 ? (
-          <div className="space-y-8">
-            <SummaryCards transactions={transactions} darkMode={darkMode} />
-
-            <div
-              className={`rounded-xl shadow-lg p-6 transition-all duration-300 hover:shadow-xl ${
-                darkMode ? "bg-gray-800 border border-gray-700" : "bg-white"
+          <div className="flex items-center justify-between mb-4">
+            <h2
+              className={`text-xl font-semibold ${
+                darkMode ? "text-purple-300" : "text-[#4c1d95]"
               }`}
             >
-              <h2
-                className={`text-2xl font-semibold mb-6 ${
-                  darkMode ? "text-purple-300" : "text-[#4c1d95]"
+              {t("app.uploadTitle")}
+            </h2>
+            {transactions.length > 0 && (
+              <button
+                onClick={handleClearData}
+                className={`px-4 py-2 text-sm rounded-md transition-colors duration-200 ${
+                  darkMode
+                    ? "bg-red-900/20 text-red-300 hover:bg-red-900/40"
+                    : "bg-red-50 text-red-600 hover:bg-red-100"
                 }`}
               >
-                Monthly Expenses and Income
-              </h2>
-              <div className="h-96">
-                <MonthlyExpensesChart
-                  data={aggregatedChartData}
-                  darkMode={darkMode}
-                />
+                {t("app.clearData")}
+              </button>
+            )}
+          </div>
+          <FileInput
+            onImport={handleImport}
+            accountOwner={accountOwner}
+            language={language}
+            darkMode={darkMode}
+          />
+          <div className="mt-4">
+            <button
+              onClick={() => setShowCacheManager(!showCacheManager)}
+              className={`text-sm transition-colors duration-200 ${
+                darkMode
+                  ? "text-purple-300 hover:text-purple-200"
+                  : "text-[#6b21a8] hover:text-[#4c1d95]"
+              }`}
+            >
+              {showCacheManager ? t("app.hideCache") : t("app.manageCache")}
+            </button>
+            {showCacheManager && (
+              <div className="mt-4">
+                <ReceiptCacheManager language={language} darkMode={darkMode} />
               </div>
-            </div>
+            )}
+          </div>
+        </div>
 
-            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
-              <TopRecipientsTable
-                transactions={transactions}
-                darkMode={darkMode}
-              />
-              <TopReasonsTable
-                transactions={transactions}
+        {transactions.length > 0 ? (
+          <div className="space-y-8">
+            <div className="print:hidden">
+              <DateRangeControl
+                dateRange={dateRange}
+                setDateRange={setDateRange}
+                shownCount={rangedTransactions.length}
+                totalCount={categorizedTransactions.length}
+                calendar={calendar}
+                language={language}
                 darkMode={darkMode}
               />
             </div>
 
-            <div
-              className={`rounded-xl shadow-lg p-6 transition-all duration-300 hover:shadow-xl ${
-                darkMode ? "bg-gray-800 border border-gray-700" : "bg-white"
-              }`}
-            >
-              <h2
-                className={`text-2xl font-semibold mb-6 ${
-                  darkMode ? "text-purple-300" : "text-[#4c1d95]"
-                }`}
-              >
-                Transaction Distribution
-              </h2>
-              <TransactionDistributionPieChart
-                transactions={transactions}
-                darkMode={darkMode}
+            {showReport ? (
+              <PrintableReport
+                transactions={rangedTransactions}
+                chartData={aggregatedChartData}
+                dateRange={dateRange}
+                calendar={calendar}
+                language={language}
+                onClose={() => setShowReport(false)}
               />
-            </div>
+            ) : (
+              <>
+                <div className="flex justify-end">
+                  <button
+                    onClick={() => {
+                      setShowReport(true);
+                      window.scrollTo(0, 0);
+                    }}
+                    className="px-4 py-2 text-sm rounded-md transition-colors duration-200 bg-[#6b21a8] hover:bg-[#4c1d95] text-white"
+                  >
+                    {t("report.open")}
+                  </button>
+                </div>
 
-            <TransactionTable transactions={transactions} darkMode={darkMode} />
+                <SummaryCards
+                  transactions={filteredTransactions}
+                  currentBalance={getLatestBalance(rangedTransactions)}
+                  language={language}
+                  darkMode={darkMode}
+                />
+
+                <div
+                  className={`rounded-xl shadow-lg p-6 transition-all duration-300 hover:shadow-xl ${
+                    darkMode ? "bg-gray-800 border border-gray-700" : "bg-white"
+                  }`}
+                >
+                  <h2
+                    className={`text-2xl font-semibold mb-6 ${
+                      darkMode ? "text-purple-300" : "text-[#4c1d95]"
+                    }`}
+                  >
+                    {t("app.alerts")}
+                  </h2>
+                  <AnomalyAlertsPanel
+                    transactions={rangedTransactions}
+                    calendar={calendar}
+                    language={language}
+                    darkMode={darkMode}
+                  />
+                </div>
+
+                <div
+                  className={`rounded-xl shadow-lg p-6 transition-all duration-300 hover:shadow-xl ${
+                    darkMode ? "bg-gray-800 border border-gray-700" : "bg-white"
+                  }`}
+                >
+                  <h2
+                    className={`text-2xl font-semibold mb-6 ${
+                      darkMode ? "text-purple-300" : "text-[#4c1d95]"
+                    }`}
+                  >
+                    {t("app.budgets")}
+                  </h2>
+                  <BudgetsPanel
+                    budgets={budgets}
+                    setBudgets={setBudgets}
+                    transactions={categorizedTransactions}
+                    language={language}
+                    darkMode={darkMode}
+                  />
+                </div>
+
+                <div
+                  className={`rounded-xl shadow-lg p-6 transition-all duration-300 hover:shadow-xl ${
+                    darkMode ? "bg-gray-800 border border-gray-700" : "bg-white"
+                  }`}
+                >
+                  <h2
+                    className={`text-2xl font-semibold mb-6 ${
+                      darkMode ? "text-purple-300" : "text-[#4c1d95]"
+                    }`}
+                  >
+                    {t("app.recurring")}
+                  </h2>
+                  <RecurringPaymentsPanel
+                    transactions={categorizedTransactions}
+                    calendar={calendar}
+                    language={language}
+                    darkMode={darkMode}
+                  />
+                </div>
+
+                <div
+                  className={`rounded-xl shadow-lg p-6 transition-all duration-300 hover:shadow-xl ${
+                    darkMode ? "bg-gray-800 border border-gray-700" : "bg-white"
+                  }`}
+                >
+                  <h2
+                    className={`text-2xl font-semibold mb-6 ${
+                      darkMode ? "text-purple-300" : "text-[#4c1d95]"
+                    }`}
+                  >
+                    {t("app.expensesChart")}
+                  </h2>
+                  <div className="h-96">
+                    <MonthlyExpensesChart
+                      data={aggregatedChartData}
+                      calendar={calendar}
+                      language={language}
+                      darkMode={darkMode}
+                    />
+                  </div>
+                </div>
+
+                <div
+                  className={`rounded-xl shadow-lg p-6 transition-all duration-300 hover:shadow-xl ${
+                    darkMode ? "bg-gray-800 border border-gray-700" : "bg-white"
+                  }`}
+                >
+                  <h2
+                    className={`text-2xl font-semibold mb-6 ${
+                      darkMode ? "text-purple-300" : "text-[#4c1d95]"
+                    }`}
+                  >
+                    {t("app.feesChart")}
+                  </h2>
+                  <div className="h-72">
+                    <MonthlyFeesChart
+                      data={aggregatedChartData}
+                      calendar={calendar}
+                      language={language}
+                      darkMode={darkMode}
+                    />
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+                  <TopRecipientsTable
+                    transactions={expenseTransactions}
+                    language={language}
+                    darkMode={darkMode}
+                  />
+                  <TopReasonsTable
+                    transactions={expenseTransactions}
+                    language={language}
+                    darkMode={darkMode}
+                  />
+                </div>
+
+                <div
+                  className={`rounded-xl shadow-lg p-6 transition-all duration-300 hover:shadow-xl ${
+                    darkMode ? "bg-gray-800 border border-gray-700" : "bg-white"
+                  }`}
+                >
+                  <h2
+                    className={`text-2xl font-semibold mb-6 ${
+                      darkMode ? "text-purple-300" : "text-[#4c1d95]"
+                    }`}
+                  >
+                    {t("app.distribution")}
+                  </h2>
+                  <TransactionDistributionPieChart
+                    transactions={expenseTransactions}
+                    language={language}
+                    darkMode={darkMode}
+                  />
+                </div>
+
+                <div
+                  className={`rounded-xl shadow-lg p-6 transition-all duration-300 hover:shadow-xl ${
+                    darkMode ? "bg-gray-800 border border-gray-700" : "bg-white"
+                  }`}
+                >
+                  <div className="flex items-center justify-between">
+                    <h2
+                      className={`text-2xl font-semibold ${
+                        darkMode ? "text-purple-300" : "text-[#4c1d95]"
+                      }`}
+                    >
+                      {t("app.categoryRules")}
+                    </h2>
+                    <button
+                      onClick={() => setShowRulesEditor(!showRulesEditor)}
+                      className={`px-4 py-2 text-sm rounded-md transition-colors duration-200 ${
+                        darkMode
+                          ? "bg-gray-700 hover:bg-gray-600 text-gray-300"
+                          : "bg-gray-100 hover:bg-gray-200 text-gray-700"
+                      }`}
+                    >
+                      {showRulesEditor ? t("app.hide") : t("app.manageRules")}
+                    </button>
+                  </div>
+                  {showRulesEditor && (
+                    <div className="mt-6">
+                      <CategoryRulesEditor
+                        rules={rules}
+                        setRules={setRules}
+                        transactions={categorizedTransactions}
+                        language={language}
+                        darkMode={darkMode}
+                      />
+                    </div>
+                  )}
+                </div>
+
+                <TransactionTable
+                  transactions={rangedTransactions}
+                  allTransactions={categorizedTransactions}
+                  filters={filters}
+                  setFilters={setFilters}
+                  onUpdateTransaction={handleUpdateTransaction}
+                  calendar={calendar}
+                  language={language}
+                  darkMode={darkMode}
+                />
+              </>
+            )}
           </div>
         ) : (
           <div
@@ -218,16 +643,14 @@ function App() {
                 darkMode ? "text-gray-300" : "text-gray-600"
               }`}
             >
-              Please upload your CBE SMS data file (JSON format) to view your
-              transactions.
+              {t("app.emptyPrompt")}
             </p>
             <p
               className={`text-sm ${
                 darkMode ? "text-gray-400" : "text-gray-500"
               }`}
             >
-              The dashboard will show expense analysis, transaction details, and
-              more after file upload.
+              {t("app.emptyHint")}
             </p>
             <div className="mt-8 flex justify-center">
               <div
@@ -251,9 +674,7 @@ function App() {
                     d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"
                   />
                 </svg>
-                <span>
-                  Privacy Notice: All data is processed locally in your browser
-                </span>
+                <span>{t("app.privacyNotice")}</span>
               </div>
             </div>
           </div>
@@ -262,7 +683,7 @@ function App() {
 
       {/* Footer */}
       <footer
-        className={`py-6 mt-12 border-t ${
+        className={`py-6 mt-12 border-t print:hidden ${
           darkMode
             ? "bg-gray-900 border-gray-800 text-gray-400"
             : "bg-[#4c1d95] text-white"
@@ -271,26 +692,28 @@ function App() {
         <div className="container mx-auto px-6">
           <div className="flex flex-col md:flex-row justify-between items-center">
             <div className="mb-4 md:mb-0">
-              <p>© {new Date().getFullYear()} CBE Transaction Dashboard</p>
+              <p>
+                © {new Date().getFullYear()} {t("app.title")}
+              </p>
             </div>
             <div className="flex space-x-4">
               <a
                 href="#"
                 className="hover:text-white transition-colors duration-200"
               >
-                Privacy Policy
+                {t("app.privacyPolicy")}
               </a>
               <a
                 href="#"
                 className="hover:text-white transition-colors duration-200"
               >
-                Terms of Service
+                {t("app.terms")}
               </a>
               <a
                 href="#"
                 className="hover:text-white transition-colors duration-200"
               >
-                Contact
+                {t("app.contact")}
               </a>
             </div>
           </div>
@@ -0,0 +1,103 @@
+import React, { useMemo, useState } from "react";
+import { sortData } from "../lib/utils";
+import { isUnusual, describeAnomaly } from "../lib/anomalies";
+import { formatDate } from "../lib/calendar";
+import { getTranslator, formatCurrency } from "../lib/i18n";
+
+// How many alerts are listed before "Show all"
+const COLLAPSED_COUNT = 5;
+
+/**
+ * Lists the unusual transactions in the selected period, newest first, with what makes
+ * each one stand out: an amount far above the recipient's or category's usual, a large
+ * first payment to a new recipient, or a payment made at an odd hour.
+ *
+ * @param {object} props - The component props.
+ * @param {Array<object>} props.transactions - The transactions, flagged by `flagAnomalies`.
+ * @param {string} [props.calendar="gregorian"] - The calendar dates are shown in.
+ * @param {string} [props.language="en"] - The language of the labels.
+ * @param {boolean} props.darkMode - Whether dark mode is enabled.
+ * @returns {JSX.Element} The rendered AnomalyAlertsPanel component.
+ */
+const AnomalyAlertsPanel = ({
+  transactions = [],
+  calendar = "gregorian",
+  language = "en",
+  darkMode = false,
+}) => {
+  const t = getTranslator(language);
+  const [showAll, setShowAll] = useState(false);
+
+  const alerts = useMemo(
+    () => sortData(transactions.filter(isUnusual), "date", "desc"),
+    [transactions]
+  );
+
+  if (alerts.length === 0) {
+    return (
+      <p className={darkMode ? "text-gray-400" : "text-gray-600"}>
+        {t("anomalies.none")}
+      </p>
+    );
+  }
+
+  const shownAlerts = showAll ? alerts : alerts.slice(0, COLLAPSED_COUNT);
+
+  return (
+    <div>
+      <ul className="space-y-3">
+        {shownAlerts.map((tx, index) => (
+          <li
+            key={tx.id || tx.date + index}
+            className={`p-4 rounded-lg ${
+              darkMode
+                ? "bg-red-900/20 border border-red-700"
+                : "bg-red-50 border border-red-200"
+            }`}
+          >
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <div className="font-medium">
+                {tx.receiver || "-"}
+                <span
+                  className={`ml-2 text-sm ${
+                    darkMode ? "text-gray-400" : "text-gray-500"
+                  }`}
+                >
+                  {formatDate(tx.date, calendar, language)} · {tx.category}
+                </span>
+              </div>
+              <div className="font-semibold whitespace-nowrap">
+                {formatCurrency(tx.amount, language)}
+              </div>
+            </div>
+            <ul
+              className={`mt-1 text-sm ${
+                darkMode ? "text-red-300" : "text-red-600"
+              }`}
+            >
+              {tx.anomalies.map((anomaly) => (
+                <li key={anomaly.code}>{describeAnomaly(anomaly, language)}</li>
+              ))}
+            </ul>
+          </li>
+        ))}
+      </ul>
+      {alerts.length > COLLAPSED_COUNT && (
+        <button
+          onClick={() => setShowAll(!showAll)}
+          className={`mt-4 px-4 py-2 text-sm rounded-md transition-colors duration-200 ${
+            darkMode
+              ? "bg-gray-700 hover:bg-gray-600 text-gray-300"
+              : "bg-gray-100 hover:bg-gray-200 text-gray-700"
+          }`}
+        >
+          {showAll
+            ? t("anomalies.showFewer")
+            : t("anomalies.showAll", { count: alerts.length })}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default AnomalyAlertsPanel;
@@ -0,0 +1,257 @@
+import React, { useMemo, useState } from "react";
+import { getBudgetStatus, toMonthKey } from "../lib/budgets";
+import { getTranslator, formatCurrency, getLocale } from "../lib/i18n";
+
+/**
+ * A panel for setting monthly budgets per category or per recipient. Each budget
+ * shows a progress bar with the amount spent, the amount remaining and the
+ * projected spending by the end of the month, and turns red when exceeded.
+ *
+ * @param {object} props - The component props.
+ * @param {Array<object>} props.budgets - The monthly budgets.
+ * @param {function} props.setBudgets - A function to replace the budgets in the parent component.
+ * @param {Array<object>} props.transactions - The categorized transactions.
+ * @param {string} [props.language="en"] - The language of the labels, months and amounts.
+ * @param {boolean} props.darkMode - Whether dark mode is enabled.
+ * @returns {JSX.Element} The rendered BudgetsPanel component.
+ */
+const BudgetsPanel = ({
+  budgets,
+  setBudgets,
+  transactions = [],
+  language = "en",
+  darkMode = false,
+}) => {
+  const t = getTranslator(language);
+  const currentMonth = toMonthKey(new Date());
+  const [month, setMonth] = useState(currentMonth);
+  const [type, setType] = useState("category");
+  const [target, setTarget] = useState("");
+  const [limit, setLimit] = useState("");
+
+  // Months that can be reviewed: the current month and every month with data
+  const months = useMemo(() => {
+    const monthSet = new Set([currentMonth]);
+    transactions.forEach((tx) => {
+      if (tx.date) monthSet.add(tx.date.slice(0, 7));
+    });
+    return [...monthSet].sort().reverse();
+  }, [transactions, currentMonth]);
+
+  // Suggestions for the budget target input
+  const suggestions = useMemo(() => {
+    const field = type === "recipient" ? "receiver" : "category";
+    return [...new Set(transactions.map((tx) => tx[field]).filter(Boolean))]
+      .sort()
+      .slice(0, 100);
+  }, [transactions, type]);
+
+  const addBudget = (event) => {
+    event.preventDefault();
+    const limitValue = parseFloat(limit);
+    if (!target.trim() || !(limitValue > 0)) return;
+    setBudgets([
+      ...budgets,
+      {
+        id: `budget-${Date.now().toString(36)}`,
+        type,
+        target: target.trim(),
+        limit: limitValue,
+      },
+    ]);
+    setTarget("");
+    setLimit("");
+  };
+
+  const deleteBudget = (id) => {
+    setBudgets(budgets.filter((budget) => budget.id !== id));
+  };
+
+  const inputClasses = `rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-opacity-50 ${
+    darkMode
+      ? "bg-gray-700 text-white border border-gray-600 focus:ring-[#8b5cf6]"
+      : "border border-gray-300 focus:ring-[#6b21a8]"
+  }`;
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <form onSubmit={addBudget} className="flex flex-wrap gap-2">
+          <select
+            value={type}
+            onChange={(e) => setType(e.target.value)}
+            className={inputClasses}
+          >
+            <option value="category">{t("budgets.type.category")}</option>
+            <option value="recipient">{t("budgets.type.recipient")}</option>
+          </select>
+          <input
+            type="text"
+            list="budget-target-suggestions"
+            value={target}
+            onChange={(e) => setTarget(e.target.value)}
+            placeholder={t(`budgets.type.${type}`)}
+            className={`${inputClasses} w-48`}
+          />
+          <datalist id="budget-target-suggestions">
+            {suggestions.map((suggestion) => (
+              <option key={suggestion} value={suggestion} />
+            ))}
+          </datalist>
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={limit}
+            onChange={(e) => setLimit(e.target.value)}
+            placeholder={t("budgets.limitPlaceholder")}
+            className={`${inputClasses} w-44`}
+          />
+          <button
+            type="submit"
+            className="px-3 py-1 text-sm rounded-md bg-[#6b21a8] hover:bg-[#4c1d95] text-white transition-colors duration-200"
+          >
+            {t("budgets.add")}
+          </button>
+        </form>
+
+        <select
+          value={month}
+          onChange={(e) => setMonth(e.target.value)}
+          className={inputClasses}
+          aria-label={t("budgets.month")}
+        >
+          {months.map((monthKey) => (
+            <option key={monthKey} value={monthKey}>
+              {new Date(`${monthKey}-01T00:00:00`).toLocaleDateString(
+                getLocale(language),
+                { month: "short", year: "numeric" }
+              )}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {budgets.length === 0 ? (
+        <p className={darkMode ? "text-gray-400" : "text-gray-600"}>
+          {t("budgets.none")}
+        </p>
+      ) : (
+        <div className="space-y-4">
+          {budgets.map((budget) => {
+            const { spent, remaining, projected, status } = getBudgetStatus(
+              budget,
+              transactions,
+              month
+            );
+            const percentage = Math.min((spent / budget.limit) * 100, 100);
+            const barColor =
+              status === "exceeded"
+                ? "bg-red-600"
+                : status === "warning"
+                ? "bg-amber-500"
+                : "bg-gradient-to-r from-[#6b21a8] to-[#4c1d95]";
+
+            return (
+              <div
+                key={budget.id}
+                className={`p-4 rounded-lg ${
+                  status === "exceeded"
+                    ? darkMode
+                      ? "bg-red-900/20 border border-red-700"
+                      : "bg-red-50 border border-red-200"
+                    : darkMode
+                    ? "bg-gray-700/50"
+                    : "bg-gray-50"
+                }`}
+              >
+                <div className="flex items-center justify-between mb-2">
+                  <div className="font-medium">
+                    {budget.target}
+                    <span
+                      className={`ml-2 text-xs uppercase ${
+                        darkMode ? "text-gray-400" : "text-gray-500"
+                      }`}
+                    >
+                      {t(`budgets.type.${budget.type}`)}
+                    </span>
+                    {status === "exceeded" && (
+                      <span
+                        className={`ml-2 text-sm font-semibold ${
+                          darkMode ? "text-red-300" : "text-red-600"
+                        }`}
+                      >
+                        ⚠ {t("budgets.overBudget")}
+                      </span>
+                    )}
+                    {status === "warning" && (
+                      <span
+                        className={`ml-2 text-sm ${
+                          darkMode ? "text-amber-300" : "text-amber-700"
+                        }`}
+                      >
+                        {t("budgets.projectedToExceed")}
+                      </span>
+                    )}
+                  </div>
+                  <button
+                    onClick={() => deleteBudget(budget.id)}
+                    className={`text-sm ${
+                      darkMode
+                        ? "text-gray-400 hover:text-red-300"
+                        : "text-gray-500 hover:text-red-600"
+                    }`}
+                    aria-label={t("budgets.delete")}
+                  >
+                    ✕
+                  </button>
+                </div>
+
+                {/* Progress bar */}
+                <div
+                  className={`h-2 w-full rounded-full overflow-hidden ${
+                    darkMode ? "bg-gray-700" : "bg-gray-200"
+                  }`}
+                >
+                  <div
+                    className={`h-full transition-all duration-300 ${barColor}`}
+                    style={{ width: `${percentage}%` }}
+                  ></div>
+                </div>
+
+                <div
+                  className={`flex flex-wrap justify-between gap-2 mt-2 text-sm ${
+                    darkMode ? "text-gray-300" : "text-gray-600"
+                  }`}
+                >
+                  <span>
+                    {t("budgets.spent", {
+                      spent: formatCurrency(spent, language),
+                      limit: formatCurrency(budget.limit, language),
+                    })}
+                  </span>
+                  <span>
+                    {remaining >= 0
+                      ? t("budgets.remaining", {
+                          amount: formatCurrency(remaining, language),
+                        })
+                      : t("budgets.over", {
+                          amount: formatCurrency(Math.abs(remaining), language),
+                        })}
+                  </span>
+                  <span>
+                    {t("budgets.projected", {
+                      amount: formatCurrency(projected, language),
+                    })}
+                  </span>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BudgetsPanel;
@@ -0,0 +1,449 @@
+import React, { useMemo, useRef, useState } from "react";
+import {
+  DEFAULT_RULES,
+  RULE_TYPES,
+  UNCATEGORIZED,
+  createRuleId,
+  normalizeRules,
+  ruleMatches,
+  sortRules,
+} from "../lib/categories";
+import { getTranslator, formatAmount } from "../lib/i18n";
+
+// The fields a regex rule can be matched against
+const REGEX_FIELDS = ["any", "payee", "reason", "receiver", "payer"];
+
+// How many uncategorized transactions are listed
+const UNCATEGORIZED_PREVIEW_COUNT = 10;
+
+/**
+ * A panel for managing the categorization rules. Rules can be added, edited,
+ * reordered, enabled or disabled, and imported or exported as JSON. Each rule
+ * shows how many transactions it matches and how many it actually categorizes,
+ * and the transactions no rule matches are listed below.
+ *
+ * @param {object} props - The component props.
+ * @param {Array<object>} props.rules - The current categorization rules.
+ * @param {function} props.setRules - A function to replace the rules in the parent component.
+ * @param {Array<object>} props.transactions - The categorized transactions, used for the preview.
+ * @param {string} [props.language="en"] - The language of the labels and amounts.
+ * @param {boolean} props.darkMode - Whether dark mode is enabled.
+ * @returns {JSX.Element} The rendered CategoryRulesEditor component.
+ */
+const CategoryRulesEditor = ({
+  rules,
+  setRules,
+  transactions = [],
+  language = "en",
+  darkMode = false,
+}) => {
+  const t = getTranslator(language);
+  const [importError, setImportError] = useState(""); // A translation key
+  const importInputRef = useRef(null);
+
+  const orderedRules = useMemo(() => sortRules(rules), [rules]);
+
+  /**
+   * Counts, for each rule, the transactions its condition matches and the ones
+   * it categorizes (the first matching rule wins).
+   */
+  const ruleStats = useMemo(() => {
+    const stats = {};
+    orderedRules.forEach((rule) => {
+      stats[rule.id] = { matched: 0, assigned: 0 };
+    });
+    transactions.forEach((tx) => {
+      let assigned = false;
+      orderedRules.forEach((rule) => {
+        if (ruleMatches(rule, tx)) {
+          stats[rule.id].matched++;
+          if (!assigned) {
+            stats[rule.id].assigned++;
+            assigned = true;
+          }
+        }
+      });
+    });
+    return stats;
+  }, [orderedRules, transactions]);
+
+  const uncategorized = useMemo(
+    () => transactions.filter((tx) => tx.category === UNCATEGORIZED),
+    [transactions]
+  );
+
+  /**
+   * Saves a new rule order, renumbering priorities so they follow the list.
+   *
+   * @param {Array<object>} nextRules - The rules in their new order.
+   */
+  const applyOrder = (nextRules) => {
+    setRules(
+      nextRules.map((rule, index) => ({ ...rule, priority: (index + 1) * 10 }))
+    );
+  };
+
+  const updateRule = (id, changes) => {
+    setRules(
+      rules.map((rule) => (rule.id === id ? { ...rule, ...changes } : rule))
+    );
+  };
+
+  const moveRule = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= orderedRules.length) return;
+    const nextRules = [...orderedRules];
+    [nextRules[index], nextRules[target]] = [
+      nextRules[target],
+      nextRules[index],
+    ];
+    applyOrder(nextRules);
+  };
+
+  const deleteRule = (id) => {
+    applyOrder(orderedRules.filter((rule) => rule.id !== id));
+  };
+
+  const addRule = (rule = {}) => {
+    applyOrder([
+      ...orderedRules,
+      {
+        id: createRuleId(),
+        category: "",
+        type: "reasonContains",
+        value: "",
+        enabled: true,
+        ...rule,
+      },
+    ]);
+  };
+
+  const resetRules = () => {
+    if (window.confirm(t("rules.confirmReset"))) {
+      setRules(DEFAULT_RULES);
+    }
+  };
+
+  const exportRules = () => {
+    const blob = new Blob([JSON.stringify(orderedRules, null, 2)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "cbe-category-rules.json";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const importRules = async (event) => {
+    const file = event.target?.files?.[0];
+    event.target.value = ""; // Allow importing the same file again
+    if (!file) return;
+
+    try {
+      const importedRules = normalizeRules(JSON.parse(await file.text()));
+      setRules(importedRules);
+      setImportError("");
+    } catch (error) {
+      console.error("Rules import error:", error);
+      setImportError(
+        error instanceof SyntaxError
+          ? "rules.invalidJson"
+          : "rules.invalidRules"
+      );
+    }
+  };
+
+  const inputClasses = `rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-opacity-50 ${
+    darkMode
+      ? "bg-gray-700 text-white border border-gray-600 focus:ring-[#8b5cf6]"
+      : "border border-gray-300 focus:ring-[#6b21a8]"
+  }`;
+
+  const buttonClasses = `px-3 py-1 text-sm rounded-md transition-colors duration-200 disabled:opacity-50 ${
+    darkMode
+      ? "bg-gray-700 hover:bg-gray-600 text-gray-300"
+      : "bg-gray-100 hover:bg-gray-200 text-gray-700"
+  }`;
+
+  return (
+    <div>
+      {/* Toolbar */}
+      <div className="flex flex-wrap gap-2 mb-4">
+        <button
+          onClick={() => addRule()}
+          className="px-3 py-1 text-sm rounded-md bg-[#6b21a8] hover:bg-[#4c1d95] text-white transition-colors duration-200"
+        >
+          {t("rules.add")}
+        </button>
+        <button
+          onClick={() => importInputRef.current?.click()}
+          className={buttonClasses}
+        >
+          {t("rules.import")}
+        </button>
+        <button onClick={exportRules} className={buttonClasses}>
+          {t("rules.export")}
+        </button>
+        <button onClick={resetRules} className={buttonClasses}>
+          {t("rules.reset")}
+        </button>
+        <input
+          type="file"
+          ref={importInputRef}
+          accept=".json"
+          onChange={importRules}
+          className="hidden"
+        />
+      </div>
+
+      {importError && (
+        <div
+          className={`mb-4 rounded-lg p-3 text-sm ${
+            darkMode ? "bg-red-900/20 text-red-300" : "bg-red-50 text-red-600"
+          }`}
+        >
+          {t(importError)}
+        </div>
+      )}
+
+      <p
+        className={`text-sm mb-4 ${
+          darkMode ? "text-gray-400" : "text-gray-500"
+        }`}
+      >
+        {t("rules.help")}
+      </p>
+
+      {/* Rule list */}
+      <div className="space-y-2">
+        {orderedRules.map((rule, index) => (
+          <div
+            key={rule.id}
+            className={`flex flex-wrap items-center gap-2 p-3 rounded-lg ${
+              darkMode ? "bg-gray-700/50" : "bg-gray-50"
+            } ${rule.enabled ? "" : "opacity-60"}`}
+          >
+            <input
+              type="checkbox"
+              checked={rule.enabled}
+              onChange={(e) =>
+                updateRule(rule.id, { enabled: e.target.checked })
+              }
+              aria-label={t("rules.enabled")}
+            />
+            <input
+              type="text"
+              value={rule.category}
+              onChange={(e) =>
+                updateRule(rule.id, { category: e.target.value })
+              }
+              placeholder={t("rules.category")}
+              className={`${inputClasses} w-36`}
+            />
+            <select
+              value={rule.type}
+              onChange={(e) => updateRule(rule.id, { type: e.target.value })}
+              className={inputClasses}
+            >
+              {RULE_TYPES.map((type) => (
+                <option key={type} value={type}>
+                  {t(`rules.type.${type}`)}
+                </option>
+              ))}
+            </select>
+
+            {rule.type === "amountRange" ? (
+              <>
+                <input
+                  type="number"
+                  value={rule.min ?? ""}
+                  onChange={(e) => updateRule(rule.id, { min: e.target.value })}
+                  placeholder={t("rules.min")}
+                  className={`${inputClasses} w-28`}
+                />
+                <input
+                  type="number"
+                  value={rule.max ?? ""}
+                  onChange={(e) => updateRule(rule.id, { max: e.target.value })}
+                  placeholder={t("rules.max")}
+                  className={`${inputClasses} w-28`}
+                />
+              </>
+            ) : (
+              <input
+                type="text"
+                value={rule.value ?? ""}
+                onChange={(e) => updateRule(rule.id, { value: e.target.value })}
+                placeholder={t(
+                  rule.type === "regex" ? "rules.pattern" : "rules.text"
+                )}
+                className={`${inputClasses} flex-grow min-w-[10rem] ${
+                  rule.type === "regex" ? "font-mono" : ""
+                }`}
+              />
+            )}
+
+            {rule.type === "regex" && (
+              <select
+                value={rule.field || "any"}
+                onChange={(e) => updateRule(rule.id, { field: e.target.value })}
+                className={inputClasses}
+              >
+                {REGEX_FIELDS.map((field) => (
+                  <option key={field} value={field}>
+                    {t(`rules.field.${field}`)}
+                  </option>
+                ))}
+              </select>
+            )}
+
+            <span
+              className={`text-xs ml-auto ${
+                darkMode ? "text-gray-400" : "text-gray-500"
+              }`}
+              title={t("rules.statsTitle")}
+            >
+              {t("rules.stats", {
+                matched: ruleStats[rule.id]?.matched ?? 0,
+                assigned: ruleStats[rule.id]?.assigned ?? 0,
+              })}
+            </span>
+            <button
+              onClick={() => moveRule(index, -1)}
+              disabled={index === 0}
+              className={buttonClasses}
+              aria-label={t("rules.moveUp")}
+            >
+              ↑
+            </button>
+            <button
+              onClick={() => moveRule(index, 1)}
+              disabled={index === orderedRules.length - 1}
+              className={buttonClasses}
+              aria-label={t("rules.moveDown")}
+            >
+              ↓
+            </button>
+            <button
+              onClick={() => deleteRule(rule.id)}
+              className={`px-3 py-1 text-sm rounded-md transition-colors duration-200 ${
+                darkMode
+                  ? "bg-red-900/20 text-red-300 hover:bg-red-900/40"
+                  : "bg-red-50 text-red-600 hover:bg-red-100"
+              }`}
+              aria-label={t("rules.delete")}
+            >
+              ✕
+            </button>
+          </div>
+        ))}
+        {orderedRules.length === 0 && (
+          <div
+            className={`p-4 text-center ${
+              darkMode ? "text-gray-400" : "text-gray-600"
+            }`}
+          >
+            {t("rules.none")}
+          </div>
+        )}
+      </div>
+
+      {/* Uncategorized preview */}
+      <h3
+        className={`text-lg font-semibold mt-6 mb-2 ${
+          darkMode ? "text-purple-300" : "text-[#4c1d95]"
+        }`}
+      >
+        {t("rules.uncategorized", { count: uncategorized.length })}
+      </h3>
+      {uncategorized.length > 0 ? (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className={darkMode ? "bg-gray-700" : "bg-gray-50"}>
+              <tr>
+                {[
+                  t("table.date"),
+                  t("table.amount"),
+                  t("table.reason"),
+                  t("table.recipient"),
+                  "",
+                ].map((heading) => (
+                  <th
+                    key={heading}
+                    scope="col"
+                    className={`px-3 py-2 text-left text-xs font-medium uppercase tracking-wider ${
+                      darkMode ? "text-gray-300" : "text-gray-500"
+                    }`}
+                  >
+                    {heading}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody
+              className={`divide-y ${
+                darkMode
+                  ? "bg-gray-800 divide-gray-600"
+                  : "bg-white divide-gray-200"
+              }`}
+            >
+              {uncategorized
+                .slice(0, UNCATEGORIZED_PREVIEW_COUNT)
+                .map((tx, index) => (
+                  <tr key={tx.id || tx.date + index}>
+                    <td className="px-3 py-2 whitespace-nowrap text-sm">
+                      {tx.date}
+                    </td>
+                    <td className="px-3 py-2 whitespace-nowrap text-sm">
+                      {tx.amount != null && formatAmount(tx.amount, language)}
+                    </td>
+                    <td className="px-3 py-2 whitespace-nowrap text-sm">
+                      {tx.reason}
+                    </td>
+                    <td className="px-3 py-2 whitespace-nowrap text-sm">
+                      {tx.receiver}
+                    </td>
+                    <td className="px-3 py-2 whitespace-nowrap text-sm text-right">
+                      {tx.receiver && (
+                        <button
+                          onClick={() =>
+                            addRule({
+                              type: "receiverEquals",
+                              value: tx.receiver,
+                            })
+                          }
+                          className={buttonClasses}
+                        >
+                          {t("rules.addForRecipient")}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+            </tbody>
+          </table>
+          {uncategorized.length > UNCATEGORIZED_PREVIEW_COUNT && (
+            <p
+              className={`text-sm mt-2 ${
+                darkMode ? "text-gray-400" : "text-gray-500"
+              }`}
+            >
+              {t("rules.showingFirst", {
+                shown: UNCATEGORIZED_PREVIEW_COUNT,
+                count: uncategorized.length,
+              })}
+            </p>
+          )}
+        </div>
+      ) : (
+        <p className={darkMode ? "text-gray-400" : "text-gray-600"}>
+          {t("rules.allCategorized")}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default CategoryRulesEditor;
@@ -0,0 +1,150 @@
+import React from "react";
+import { DATE_RANGE_PRESETS, resolveDateRange } from "../lib/dateRange";
+import { formatDate } from "../lib/calendar";
+import { getTranslator } from "../lib/i18n";
+import EthiopianDateInput from "./EthiopianDateInput";
+
+/**
+ * A control for the date range the whole dashboard shows: a preset, or custom start and end dates.
+ * In the Ethiopian calendar, months and the custom date pickers follow Ethiopian months.
+ *
+ * @param {object} props - The component props.
+ * @param {{ preset: string, start: string, end: string }} props.dateRange - The selected range.
+ * @param {function} props.setDateRange - Updates the selected range.
+ * @param {number} props.shownCount - How many transactions fall in the range.
+ * @param {number} props.totalCount - How many transactions there are in total.
+ * @param {string} [props.calendar="gregorian"] - The calendar dates are shown and picked in.
+ * @param {string} [props.language="en"] - The language of the labels.
+ * @param {boolean} props.darkMode - Whether dark mode is enabled
+ * @returns {JSX.Element} The rendered DateRangeControl component.
+ */
+const DateRangeControl = ({
+  dateRange,
+  setDateRange,
+  shownCount,
+  totalCount,
+  calendar = "gregorian",
+  language = "en",
+  darkMode = false,
+}) => {
+  const t = getTranslator(language);
+  const { start, end } = resolveDateRange(dateRange, new Date(), calendar);
+
+  /**
+   * Switches to a preset. Custom starts from the currently shown range, so it can be adjusted.
+   *
+   * @param {string} preset - The preset to select.
+   */
+  const selectPreset = (preset) => {
+    if (preset === "custom") {
+      setDateRange({ preset, start: start || "", end: end || "" });
+    } else {
+      setDateRange({ ...dateRange, preset });
+    }
+  };
+
+  const inputClasses = `rounded-md p-2 text-sm focus:outline-none focus:ring-2 focus:ring-opacity-50 ${
+    darkMode
+      ? "bg-gray-700 text-white border-gray-600 focus:ring-[#8b5cf6] focus:border-[#8b5cf6]"
+      : "border border-gray-300 focus:ring-[#6b21a8] focus:border-[#6b21a8]"
+  }`;
+
+  return (
+    <div
+      className={`rounded-xl shadow-lg p-4 transition-all duration-300 hover:shadow-xl ${
+        darkMode ? "bg-gray-800 border border-gray-700" : "bg-white"
+      }`}
+    >
+      <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4">
+        <div
+          className="flex flex-wrap gap-2"
+          role="group"
+          aria-label={t("dateRange.period")}
+        >
+          {DATE_RANGE_PRESETS.map((preset) => (
+            <button
+              key={preset}
+              onClick={() => selectPreset(preset)}
+              aria-pressed={dateRange.preset === preset}
+              className={`px-3 py-1 text-sm rounded-md transition-colors duration-200 ${
+                dateRange.preset === preset
+                  ? "bg-[#6b21a8] text-white"
+                  : darkMode
+                  ? "bg-gray-700 hover:bg-gray-600 text-gray-300"
+                  : "bg-gray-100 hover:bg-gray-200 text-gray-700"
+              }`}
+            >
+              {t(`dateRange.preset.${preset}`)}
+            </button>
+          ))}
+        </div>
+
+        <div
+          className={`flex flex-wrap items-center gap-2 text-sm ${
+            darkMode ? "text-gray-300" : "text-gray-600"
+          }`}
+        >
+          {dateRange.preset === "custom" && calendar === "ethiopian" ? (
+            <>
+              <EthiopianDateInput
+                value={dateRange.start}
+                onChange={(value) =>
+                  setDateRange({ ...dateRange, start: value })
+                }
+                label={t("dateRange.start")}
+                language={language}
+                darkMode={darkMode}
+              />
+              <span>{t("dateRange.to")}</span>
+              <EthiopianDateInput
+                value={dateRange.end}
+                onChange={(value) => setDateRange({ ...dateRange, end: value })}
+                label={t("dateRange.end")}
+                language={language}
+                darkMode={darkMode}
+              />
+            </>
+          ) : dateRange.preset === "custom" ? (
+            <>
+              <input
+                type="date"
+                value={dateRange.start}
+                max={dateRange.end || undefined}
+                onChange={(e) =>
+                  setDateRange({ ...dateRange, start: e.target.value })
+                }
+                aria-label={t("dateRange.start")}
+                className={inputClasses}
+              />
+              <span>{t("dateRange.to")}</span>
+              <input
+                type="date"
+                value={dateRange.end}
+                min={dateRange.start || undefined}
+                onChange={(e) =>
+                  setDateRange({ ...dateRange, end: e.target.value })
+                }
+                aria-label={t("dateRange.end")}
+                className={inputClasses}
+              />
+            </>
+          ) : (
+            start && (
+              <span>
+                {t("dateRange.range", {
+                  start: formatDate(start, calendar, language),
+                  end: formatDate(end, calendar, language),
+                })}
+              </span>
+            )
+          )}
+          <span>
+            {t("dateRange.shown", { shown: shownCount, total: totalCount })}
+          </span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DateRangeControl;
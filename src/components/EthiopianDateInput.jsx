@@ -0,0 +1,126 @@
+import React, { useState, useEffect } from "react";
+import {
+  ETHIOPIAN_MONTH_COUNT,
+  getEthiopianMonthName,
+  toEthiopianDate,
+  fromEthiopianDate,
+  ethiopianMonthLength,
+} from "../lib/ethiopianCalendar";
+import { getTranslator } from "../lib/i18n";
+
+/**
+ * Splits a Gregorian date into the Ethiopian day, month and year shown by the input.
+ *
+ * @param {string} value - The Gregorian date as "YYYY-MM-DD", or an empty string.
+ * @returns {{ year: string, month: string, day: string }} The parts as input values.
+ */
+const toParts = (value) => {
+  const date = value ? toEthiopianDate(value) : null;
+  return date
+    ? {
+        year: String(date.year),
+        month: String(date.month),
+        day: String(date.day),
+      }
+    : { year: "", month: "", day: "" };
+};
+
+/**
+ * A date picker in the Ethiopian calendar: day, month (Meskerem to Pagume) and year.
+ * It reads and reports Gregorian "YYYY-MM-DD" dates, so it can replace a native date input.
+ *
+ * @param {object} props - The component props.
+ * @param {string} props.value - The selected Gregorian date, or an empty string.
+ * @param {function} props.onChange - Receives the new Gregorian date once day, month and a four-digit year are set.
+ * @param {string} props.label - The accessible name of the input.
+ * @param {string} [props.language="en"] - The language of the placeholders and month names.
+ * @param {boolean} props.darkMode - Whether dark mode is enabled
+ * @returns {JSX.Element} The rendered EthiopianDateInput component.
+ */
+const EthiopianDateInput = ({
+  value,
+  onChange,
+  label,
+  language = "en",
+  darkMode = false,
+}) => {
+  const t = getTranslator(language);
+  const [parts, setParts] = useState(() => toParts(value));
+
+  // Follow changes made outside the input, such as a preset being selected
+  useEffect(() => {
+    setParts(toParts(value));
+  }, [value]);
+
+  const year = parseInt(parts.year, 10);
+  const month = parseInt(parts.month, 10);
+  const dayCount =
+    !isNaN(year) && !isNaN(month) ? ethiopianMonthLength(year, month) : 30;
+
+  /**
+   * Updates one part and reports the date when it is complete.
+   *
+   * @param {string} part - 'year', 'month' or 'day'.
+   * @param {string} partValue - The new value.
+   */
+  const updatePart = (part, partValue) => {
+    const next = { ...parts, [part]: partValue };
+    const nextYear = parseInt(next.year, 10);
+    const nextMonth = parseInt(next.month, 10);
+    let nextDay = parseInt(next.day, 10);
+    // Wait for a four-digit year, so typing it does not jump through years 2, 20 and 201
+    if (nextYear >= 1000 && !isNaN(nextMonth) && !isNaN(nextDay)) {
+      nextDay = Math.min(nextDay, ethiopianMonthLength(nextYear, nextMonth)); // e.g. Pagume 30 becomes Pagume 5
+      next.day = String(nextDay);
+      onChange(fromEthiopianDate(nextYear, nextMonth, nextDay));
+    }
+    setParts(next);
+  };
+
+  const inputClasses = `rounded-md p-2 text-sm focus:outline-none focus:ring-2 focus:ring-opacity-50 ${
+    darkMode
+      ? "bg-gray-700 text-white border-gray-600 focus:ring-[#8b5cf6] focus:border-[#8b5cf6]"
+      : "border border-gray-300 focus:ring-[#6b21a8] focus:border-[#6b21a8]"
+  }`;
+
+  return (
+    <span className="inline-flex gap-1" role="group" aria-label={label}>
+      <select
+        value={parts.day}
+        onChange={(e) => updatePart("day", e.target.value)}
+        aria-label={t("ethiopianDate.dayOf", { label })}
+        className={inputClasses}
+      >
+        <option value="">{t("ethiopianDate.day")}</option>
+        {Array.from({ length: dayCount }, (_, i) => (
+          <option key={i + 1} value={i + 1}>
+            {i + 1}
+          </option>
+        ))}
+      </select>
+      <select
+        value={parts.month}
+        onChange={(e) => updatePart("month", e.target.value)}
+        aria-label={t("ethiopianDate.monthOf", { label })}
+        className={inputClasses}
+      >
+        <option value="">{t("ethiopianDate.month")}</option>
+        {Array.from({ length: ETHIOPIAN_MONTH_COUNT }, (_, i) => (
+          <option key={i + 1} value={i + 1}>
+            {getEthiopianMonthName(i + 1, language)}
+          </option>
+        ))}
+      </select>
+      <input
+        type="number"
+        value={parts.year}
+        onChange={(e) => updatePart("year", e.target.value)}
+        placeholder={t("ethiopianDate.year")}
+        aria-label={t("ethiopianDate.yearOf", { label })}
+        className={`${inputClasses} w-24`}
+      />
+    </span>
+  );
+};
+
+export default EthiopianDateInput;
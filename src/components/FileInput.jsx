@@ -1,37 +1,92 @@
 import React, { useState, useRef } from "react";
-import { fetchContent, extractFromPdf, extractFromSms } from "../lib/utils.js";
+import {
+  extractPdfText,
+  extractFromPdf,
+  resolveDirection,
+  inferAccountOwner,
+} from "../lib/utils.js";
+import { parseMessagesFile } from "../lib/importers.js";
+import { RETRYABLE_OUTCOMES } from "../lib/importPipeline.js";
+import { getTranslator } from "../lib/i18n.js";
+import ImportReport from "./ImportReport";
+
+// How many receipts are downloaded and parsed at the same time
+const FETCH_CONCURRENCY = 4;
 
 /**
- * A component that handles file input, parsing of the uploaded JSON file,
- * extraction of transaction data from SMS messages and linked PDF receipts,
- * and provides progress updates to the user.
+ * A component that handles file input, parsing of the uploaded JSON or
+ * SMS Backup & Restore XML file,
+ * extraction of transaction data from SMS messages and linked PDF receipts
+ * (in a Web Worker, so the page stays responsive), and provides progress updates
+ * to the user. Messages without a receipt link, or
+ * whose receipt cannot be fetched, fall back to the details in the SMS body itself.
+ * After an SMS import, a report lists the outcome of every message, and failed
+ * receipts can be retried.
+ * CBE receipt PDFs can also be uploaded directly; their transactions are merged
+ * into the existing list.
  *
  * @param {object} props - The component props.
- * @param {function} props.setTransactions - A function to update the main transaction state in the parent component.
+ * @param {function} props.onImport - Receives the newly extracted transactions, merges them into the
+ *                                     stored data and resolves with `{ added, updated }` counts.
+ * @param {string|null} [props.accountOwner] - The account owner's name, if known from the stored transactions.
+ *                                              Tells incoming receipts apart when PDFs are uploaded directly.
+ * @param {string} [props.language="en"] - The language of the messages.
  * @param {boolean} props.darkMode - Whether dark mode is enabled
  * @returns {JSX.Element} The rendered FileInput component.
  */
-const FileInput = ({ setTransactions, darkMode = false }) => {
+const FileInput = ({
+  onImport,
+  accountOwner = null,
+  language = "en",
+  darkMode = false,
+}) => {
+  const t = getTranslator(language);
   const [error, setError] = useState("");
   const [loading, setLoading] = useState(false);
   const [progressMessage, setProgressMessage] = useState("");
   const [progress, setProgress] = useState(0);
   const [isDragging, setIsDragging] = useState(false);
+  const [fetchCounts, setFetchCounts] = useState(null); // { fetched, cached, failed, skipped } during SMS imports
+  const [paused, setPaused] = useState(false);
+  const [report, setReport] = useState(null); // Import report entries of the last SMS import
+  const [skippedMessages, setSkippedMessages] = useState(0); // Messages from other senders in the last SMS file
   const fileInputRef = useRef(null);
+  const workerRef = useRef(null); // The import worker of the running SMS import
+  const messagesRef = useRef([]); // The messages of the last SMS import, kept for retries
+
+  /**
+   * Routes the selected files to the right processor: one or more PDF receipts,
+   * or a single SMS data file.
+   *
+   * @param {FileList|undefined} fileList - The files that were picked or dropped.
+   */
+  const handleFiles = (fileList) => {
+    const files = Array.from(fileList || []);
+    if (!files.length) return;
+
+    const pdfFiles = files.filter((file) =>
+      file.name.toLowerCase().endsWith(".pdf")
+    );
+    if (pdfFiles.length === files.length) {
+      processPdfFiles(pdfFiles);
+      return;
+    }
+    if (files.length > 1) {
+      setError(t("fileInput.singleFile"));
+      return;
+    }
+    processFile(files[0]);
+  };
 
   const handleFileChange = async (event) => {
-    const file = event.target?.files?.[0];
-    if (!file) return;
-    processFile(file);
+    handleFiles(event.target?.files);
+    event.target.value = ""; // Allow picking the same file again
   };
 
   const handleDrop = async (event) => {
     event.preventDefault();
     setIsDragging(false);
-
-    const file = event.dataTransfer?.files?.[0];
-    if (!file) return;
-    processFile(file);
+    handleFiles(event.dataTransfer?.files);
   };
 
   const handleDragOver = (event) => {
@@ -47,83 +102,217 @@ const FileInput = ({ setTransactions, darkMode = false }) => {
     fileInputRef.current?.click();
   };
 
-  const processFile = async (file) => {
-    if (!file.name.toLowerCase().endsWith(".json")) {
-      setError("Please select a JSON file");
-      return;
-    }
-
+  /**
+   * Extracts transactions from CBE receipt PDFs read from disk and merges them
+   * into the current transaction list.
+   *
+   * @param {Array<File>} files - The PDF receipts to process.
+   */
+  const processPdfFiles = async (files) => {
     setLoading(true);
     setError("");
-    setTransactions([]);
-    setProgressMessage("Reading file...");
+    setProgressMessage(t("fileInput.readingPdfs"));
     setProgress(5);
 
-    try {
-      const text = await file.text();
-      setProgressMessage("Parsing JSON...");
-      setProgress(10);
-      const parsedData = JSON.parse(text);
+    const extracted = [];
+    const failedFiles = [];
 
-      if (!Array.isArray(parsedData)) {
-        setError("Invalid JSON format: Expected an array of messages.");
-        return;
+    for (const [index, file] of files.entries()) {
+      setProgressMessage(
+        t("fileInput.parsingPdf", { index: index + 1, count: files.length })
+      );
+      try {
+        const text = await extractPdfText(await file.arrayBuffer());
+        const transactionData = extractFromPdf(text);
+        if (transactionData.amount !== null) {
+          extracted.push(transactionData);
+        } else {
+          failedFiles.push(file.name);
+        }
+      } catch (pdfError) {
+        console.error("Error extracting text from PDF:", file.name, pdfError);
+        failedFiles.push(file.name);
       }
+      setProgress(Math.round(((index + 1) / files.length) * 95) + 5);
+    }
 
-      const transactions = [];
-      setProgressMessage("Processing SMS messages...");
+    // Without an SMS greeting, the owner comes from the stored transactions, or else from
+    // the name the uploaded receipts have in common
+    const owner = accountOwner || inferAccountOwner(extracted);
+    const transactions = extracted.map((transactionData) => ({
+      ...transactionData,
+      direction: resolveDirection(transactionData, { accountOwner: owner }),
+      receiptUrl: null,
+      smsTimestamp: null,
+      currentBalance: null,
+    }));
 
-      for (const [index, message] of parsedData.entries()) {
-        if (message?.text) {
-          let currentBalance = null;
-          const balanceRegex = /Your Current Balance is ETB\s*([\d,\.]+)/;
-          const balanceMatch = message.text.match(balanceRegex);
-          if (balanceMatch) {
-            currentBalance = parseFloat(balanceMatch[1].replace(/,/g, ""));
-          }
+    setProgressMessage("");
+    if (failedFiles.length > 0) {
+      setError(
+        t("fileInput.unreadablePdfs", { files: failedFiles.join(", ") })
+      );
+    }
 
-          let transactionData = null;
-          const link = extractFromSms(message.text);
+    if (transactions.length > 0) {
+      try {
+        const { added } = await onImport(transactions);
+        setProgressMessage(
+          t("fileInput.pdfSuccess", { added, count: transactions.length })
+        );
+        setTimeout(() => {
+          setProgressMessage("");
+        }, 3000);
+      } catch (storeError) {
+        console.error("Error saving transactions:", storeError);
+        setError(t("fileInput.saveError"));
+      }
+    }
+
+    setLoading(false);
+    setProgress(0);
+  };
 
-          if (link && link.includes("cbe.com.et")) {
+  /**
+   * Runs the import pipeline in a Web Worker, saving each batch of transactions
+   * as it arrives so the dashboard fills in while receipts are still loading.
+   *
+   * @param {Array<object>} messages - The SMS messages read from the file.
+   * @param {Array<number>} [indices] - Limits the import to these messages, to retry them.
+   * @returns {Promise<{ total: number, added: number, unsaved: number, cancelled: boolean, entries: Array<object> }>}
+   *          The import totals and the report entries of the imported messages. A batch that cannot be
+   *          saved is counted in `unsaved`, and the batches after it are still saved.
+   */
+  const runImportWorker = (messages, indices) =>
+    new Promise((resolve, reject) => {
+      const worker = new Worker(
+        new URL("../workers/importWorker.js", import.meta.url),
+        { type: "module" }
+      );
+      workerRef.current = worker;
+
+      let total = 0;
+      let added = 0;
+      let unsaved = 0;
+      const entries = [];
+      let saving = Promise.resolve(); // Batches are saved one after another
+
+      const finish = (callback) => {
+        worker.terminate();
+        workerRef.current = null;
+        callback();
+      };
+
+      worker.onmessage = (event) => {
+        const data = event.data;
+        switch (data.type) {
+          case "progress":
+            setFetchCounts(data.counts);
+            setProgress(
+              data.total > 0
+                ? Math.round((data.completed / data.total) * 85) + 10
+                : 95
+            );
             setProgressMessage(
-              `Fetching and parsing PDF ${index + 1} of ${parsedData.length}...`
+              t("fileInput.fetchingReceipts", {
+                completed: data.completed,
+                total: data.total,
+              })
             );
-            const result = await fetchContent(link);
-            if (result.type === "pdf") {
-              transactionData = extractFromPdf(result.text);
-            } else {
-              console.error("Error fetching or parsing PDF:", result.message);
-              setError(`Error fetching or parsing PDF: ${result.message}`);
-            }
-          }
-
-          if (transactionData) {
-            transactions.push({
-              ...transactionData,
-              currentBalance:
-                currentBalance !== null
-                  ? currentBalance
-                  : transactionData.currentBalance,
-            });
-          }
+            break;
+          case "transactions":
+            total += data.transactions.length;
+            saving = saving
+              .then(() => onImport(data.transactions))
+              .then(
+                (counts) => {
+                  added += counts.added;
+                },
+                (saveError) => {
+                  console.error("Error saving transactions:", saveError);
+                  unsaved += data.transactions.length;
+                }
+              );
+            break;
+          case "outcomes":
+            entries.push(...data.entries);
+            break;
+          case "done":
+            finish(() =>
+              saving.then(() =>
+                resolve({
+                  total,
+                  added,
+                  unsaved,
+                  cancelled: data.cancelled,
+                  entries,
+                })
+              )
+            );
+            break;
+          case "fatal":
+            // Let the batches already received finish saving first
+            finish(() => saving.then(() => reject(new Error(data.message))));
+            break;
+          default:
+            break;
         }
+      };
+      worker.onerror = (event) => {
+        finish(() => saving.then(() => reject(new Error(event.message))));
+      };
 
-        const percentage =
-          Math.round(((index + 1) / parsedData.length) * 90) + 10;
-        setProgress(percentage);
-        setProgressMessage(`Processing SMS messages... ${percentage}%`);
-      }
+      worker.postMessage({
+        type: "start",
+        messages,
+        concurrency: FETCH_CONCURRENCY,
+        indices,
+      });
+    });
 
-      transactions.sort((a, b) => new Date(b.date) - new Date(a.date));
-      setTransactions(transactions);
+  /**
+   * Imports SMS messages through the worker and updates the import report.
+   * When retrying, the retried entries replace their earlier outcomes.
+   *
+   * @param {Array<object>} messages - The SMS messages to import.
+   * @param {Array<number>} [indices] - Limits the import to these messages, to retry them.
+   */
+  const importMessages = async (messages, indices) => {
+    setLoading(true);
+    setError("");
+    setProgressMessage(t("fileInput.processingSms"));
+    setProgress(10);
 
-      if (transactions.length === 0) {
-        setError("No transactions found in the file.");
-      } else {
-        setProgressMessage(
-          `Successfully processed ${transactions.length} transactions!`
+    try {
+      const { total, added, unsaved, cancelled, entries } =
+        await runImportWorker(messages, indices);
+
+      const retried = new Map(entries.map((entry) => [entry.index, entry]));
+      const mergedReport = indices
+        ? (report || []).map((entry) => retried.get(entry.index) || entry)
+        : entries.sort((a, b) => a.index - b.index);
+      setReport(mergedReport);
+      const failedCount = entries.filter((entry) =>
+        RETRYABLE_OUTCOMES.includes(entry.outcome)
+      ).length;
+      const unsavedError =
+        unsaved > 0
+          ? t("fileInput.unsavedTransactions", { count: unsaved })
+          : "";
+
+      if (cancelled) {
+        setError(
+          [t("fileInput.cancelled", { total }), unsavedError].join(" ").trim()
         );
+      } else if (total === 0 && !indices) {
+        setError(t("fileInput.noTransactions"));
+      } else {
+        const problems = [unsavedError];
+        if (failedCount > 0) {
+          problems.push(t("fileInput.failedReceipts", { count: failedCount }));
+        }
+        setError(problems.join(" ").trim());
+        setProgressMessage(t("fileInput.smsSuccess", { total, added }));
 
         // Show success message briefly
         setTimeout(() => {
@@ -131,12 +320,74 @@ const FileInput = ({ setTransactions, darkMode = false }) => {
         }, 3000);
       }
     } catch (error) {
-      console.error("File processing error:", error);
-      setError("Error processing file. Please ensure it is a valid JSON file.");
+      console.error("Import error:", error);
+      setError(t("fileInput.importError"));
     } finally {
+      setPaused(false);
+      setFetchCounts(null);
+      setLoading(false);
+      setProgress(0);
+    }
+  };
+
+  /**
+   * Fetches the receipts that failed in the last import again.
+   */
+  const retryFailed = () => {
+    const indices = (report || [])
+      .filter((entry) => RETRYABLE_OUTCOMES.includes(entry.outcome))
+      .map((entry) => entry.index);
+    if (indices.length > 0) {
+      importMessages(messagesRef.current, indices);
+    }
+  };
+
+  const processFile = async (file) => {
+    const fileName = file.name.toLowerCase();
+    if (!fileName.endsWith(".json") && !fileName.endsWith(".xml")) {
+      setError(t("fileInput.wrongType"));
+      return;
+    }
+
+    setLoading(true);
+    setError("");
+    setReport(null);
+    setProgressMessage(t("fileInput.readingFile"));
+    setProgress(5);
+
+    let parsedData;
+    try {
+      const text = await file.text();
+      setProgressMessage(
+        fileName.endsWith(".xml")
+          ? t("fileInput.parsingXml")
+          : t("fileInput.parsingJson")
+      );
+      parsedData = parseMessagesFile(fileName, text);
+    } catch (parseError) {
+      console.error("File parsing error:", parseError);
+      setError(t(parseError.key || "fileInput.importError"));
+      setProgressMessage("");
       setLoading(false);
       setProgress(0);
+      return;
     }
+
+    messagesRef.current = parsedData.messages;
+    setSkippedMessages(parsedData.skipped);
+    await importMessages(parsedData.messages);
+  };
+
+  const togglePause = () => {
+    const worker = workerRef.current;
+    if (!worker) return;
+    worker.postMessage({ type: paused ? "resume" : "pause" });
+    setPaused(!paused);
+  };
+
+  const cancelImport = () => {
+    workerRef.current?.postMessage({ type: "cancel" });
+    setProgressMessage(t("fileInput.cancelling"));
   };
 
   const dropzoneClasses = `
@@ -171,7 +422,8 @@ const FileInput = ({ setTransactions, darkMode = false }) => {
       <input
         type="file"
         ref={fileInputRef}
-        accept=".json"
+        accept=".json,.xml,.pdf"
+        multiple
         onChange={handleFileChange}
         className="hidden"
       />
@@ -203,10 +455,8 @@ const FileInput = ({ setTransactions, darkMode = false }) => {
           </svg>
         </div>
         <div className="space-y-2">
-          <p className="font-medium">
-            Drag and drop your file here or click to browse
-          </p>
-          <p className="text-sm">Accepts CBE SMS data in JSON format only</p>
+          <p className="font-medium">{t("fileInput.dropzone")}</p>
+          <p className="text-sm">{t("fileInput.accepts")}</p>
         </div>
       </div>
 
@@ -254,6 +504,52 @@ const FileInput = ({ setTransactions, darkMode = false }) => {
               style={{ width: `${progress}%` }}
             ></div>
           </div>
+
+          {/* Receipt fetch counters and controls */}
+          {fetchCounts && (
+            <div className="flex flex-wrap items-center justify-between gap-2 mt-3">
+              <div
+                className={`flex flex-wrap gap-4 text-sm ${
+                  darkMode ? "text-gray-300" : "text-gray-600"
+                }`}
+              >
+                <span>
+                  {t("fileInput.fetched", { count: fetchCounts.fetched })}
+                </span>
+                <span>
+                  {t("fileInput.cached", { count: fetchCounts.cached })}
+                </span>
+                <span>
+                  {t("fileInput.failed", { count: fetchCounts.failed })}
+                </span>
+                <span>
+                  {t("fileInput.skipped", { count: fetchCounts.skipped })}
+                </span>
+              </div>
+              <div className="flex space-x-2">
+                <button
+                  onClick={togglePause}
+                  className={`px-3 py-1 text-sm rounded-md transition-colors duration-200 ${
+                    darkMode
+                      ? "bg-gray-700 hover:bg-gray-600 text-gray-300"
+                      : "bg-gray-200 hover:bg-gray-300 text-gray-700"
+                  }`}
+                >
+                  {paused ? t("fileInput.resume") : t("fileInput.pause")}
+                </button>
+                <button
+                  onClick={cancelImport}
+                  className={`px-3 py-1 text-sm rounded-md transition-colors duration-200 ${
+                    darkMode
+                      ? "bg-red-900/20 text-red-300 hover:bg-red-900/40"
+                      : "bg-red-50 text-red-600 hover:bg-red-100"
+                  }`}
+                >
+                  {t("fileInput.cancel")}
+                </button>
+              </div>
+            </div>
+          )}
         </div>
       )}
 
@@ -304,6 +600,19 @@ const FileInput = ({ setTransactions, darkMode = false }) => {
           <span>{error}</span>
         </div>
       )}
+
+      {/* Per-message outcomes of the last SMS import */}
+      {report && (
+        <ImportReport
+          entries={report}
+          skipped={skippedMessages}
+          onRetry={retryFailed}
+          onDismiss={() => setReport(null)}
+          busy={loading}
+          language={language}
+          darkMode={darkMode}
+        />
+      )}
     </div>
   );
 };
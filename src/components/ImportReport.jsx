@@ -0,0 +1,267 @@
+import React, { useState, useMemo } from "react";
+import {
+  IMPORT_OUTCOMES,
+  RETRYABLE_OUTCOMES,
+  describeImportEntry,
+} from "../lib/importPipeline.js";
+import { getTranslator } from "../lib/i18n.js";
+
+// Outcomes where the message was imported as expected
+const SUCCESS_OUTCOMES = ["parsed", "cached"];
+
+/**
+ * A component that lists the outcome of every message of an SMS import: whether its
+ * receipt was parsed, came from the cache, or failed and why, next to the message text.
+ * Failed receipts can be retried and the report can be downloaded as JSON.
+ *
+ * @param {object} props - The component props.
+ * @param {Array<object>} props.entries - The report entries from `describeImportOutcome`.
+ * @param {number} [props.skipped=0] - How many messages from other senders the file held.
+ * @param {function} props.onRetry - Fetches the failed receipts again.
+ * @param {function} props.onDismiss - Hides the report.
+ * @param {boolean} props.busy - Whether an import is running, which disables retrying.
+ * @param {string} [props.language="en"] - The language of the labels.
+ * @param {boolean} props.darkMode - Whether dark mode is enabled
+ * @returns {JSX.Element} The rendered ImportReport component.
+ */
+const ImportReport = ({
+  entries,
+  skipped = 0,
+  onRetry,
+  onDismiss,
+  busy = false,
+  language = "en",
+  darkMode = false,
+}) => {
+  const t = getTranslator(language);
+  const [outcomeFilter, setOutcomeFilter] = useState("problems"); // "all", "problems" or an outcome
+
+  const outcomeCounts = useMemo(() => {
+    const counts = {};
+    entries.forEach((entry) => {
+      counts[entry.outcome] = (counts[entry.outcome] || 0) + 1;
+    });
+    return counts;
+  }, [entries]);
+
+  const visibleEntries = useMemo(() => {
+    if (outcomeFilter === "all") return entries;
+    if (outcomeFilter === "problems") {
+      return entries.filter(
+        (entry) => !SUCCESS_OUTCOMES.includes(entry.outcome)
+      );
+    }
+    return entries.filter((entry) => entry.outcome === outcomeFilter);
+  }, [entries, outcomeFilter]);
+
+  const retryableCount = RETRYABLE_OUTCOMES.reduce(
+    (sum, outcome) => sum + (outcomeCounts[outcome] || 0),
+    0
+  );
+
+  const downloadReport = () => {
+    const blob = new Blob([JSON.stringify(entries, null, 2)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "cbe-import-report.json";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const outcomeClasses = (outcome) => {
+    if (SUCCESS_OUTCOMES.includes(outcome)) {
+      return darkMode
+        ? "bg-green-900/20 text-green-300"
+        : "bg-green-50 text-green-700";
+    }
+    if (outcome === "no-link") {
+      return darkMode
+        ? "bg-gray-700 text-gray-300"
+        : "bg-gray-100 text-gray-700";
+    }
+    if (outcome === "missing-fields") {
+      return darkMode
+        ? "bg-yellow-900/20 text-yellow-300"
+        : "bg-yellow-50 text-yellow-700";
+    }
+    return darkMode ? "bg-red-900/20 text-red-300" : "bg-red-50 text-red-600";
+  };
+
+  const buttonClasses = `px-3 py-1 text-sm rounded-md transition-colors duration-200 disabled:opacity-50 ${
+    darkMode
+      ? "bg-gray-700 hover:bg-gray-600 text-gray-300"
+      : "bg-gray-100 hover:bg-gray-200 text-gray-700"
+  }`;
+
+  return (
+    <div
+      className={`mt-6 rounded-lg p-4 ${
+        darkMode ? "bg-gray-800 border border-gray-700" : "bg-gray-50"
+      }`}
+    >
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h3
+          className={`text-lg font-semibold ${
+            darkMode ? "text-purple-300" : "text-[#4c1d95]"
+          }`}
+        >
+          {t("importReport.title")}
+        </h3>
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={onRetry}
+            disabled={busy || retryableCount === 0}
+            className="px-3 py-1 text-sm rounded-md transition-colors duration-200 disabled:opacity-50 bg-[#6b21a8] hover:bg-[#4c1d95] text-white"
+          >
+            {t("importReport.retry", { count: retryableCount })}
+          </button>
+          <button onClick={downloadReport} className={buttonClasses}>
+            {t("importReport.download")}
+          </button>
+          <button onClick={onDismiss} className={buttonClasses}>
+            {t("importReport.dismiss")}
+          </button>
+        </div>
+      </div>
+
+      {skipped > 0 && (
+        <p
+          className={`text-sm mb-3 ${
+            darkMode ? "text-gray-400" : "text-gray-600"
+          }`}
+        >
+          {t("importReport.skippedSenders", { count: skipped })}
+        </p>
+      )}
+
+      {/* Outcome counts, which double as filters */}
+      <div className="flex flex-wrap gap-2 mb-3 text-sm">
+        {IMPORT_OUTCOMES.filter((outcome) => outcomeCounts[outcome]).map(
+          (outcome) => (
+            <button
+              key={outcome}
+              onClick={() =>
+                setOutcomeFilter(outcomeFilter === outcome ? "all" : outcome)
+              }
+              className={`px-2 py-1 rounded-md ${outcomeClasses(outcome)} ${
+                outcomeFilter === outcome ? "ring-2 ring-[#8b5cf6]" : ""
+              }`}
+            >
+              {t(`importReport.outcome.${outcome}`)}: {outcomeCounts[outcome]}
+            </button>
+          )
+        )}
+      </div>
+
+      <div className="flex items-center space-x-2 mb-3 text-sm">
+        <label
+          htmlFor="reportFilter"
+          className={darkMode ? "text-gray-300" : "text-gray-700"}
+        >
+          {t("importReport.show")}
+        </label>
+        <select
+          id="reportFilter"
+          value={outcomeFilter}
+          onChange={(e) => setOutcomeFilter(e.target.value)}
+          className={`rounded-md p-1 focus:outline-none focus:ring-2 ${
+            darkMode
+              ? "bg-gray-700 text-white border-gray-600 focus:ring-[#8b5cf6]"
+              : "border border-gray-300 focus:ring-[#6b21a8]"
+          }`}
+        >
+          <option value="problems">{t("importReport.problemsOnly")}</option>
+          <option value="all">
+            {t("importReport.all", { count: entries.length })}
+          </option>
+          {IMPORT_OUTCOMES.map((outcome) => (
+            <option key={outcome} value={outcome}>
+              {t(`importReport.outcome.${outcome}`)}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {visibleEntries.length === 0 ? (
+        <p
+          className={`text-sm ${darkMode ? "text-gray-400" : "text-gray-500"}`}
+        >
+          {t("importReport.none")}
+        </p>
+      ) : (
+        <div className="overflow-x-auto max-h-96 overflow-y-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr
+                className={`text-left ${
+                  darkMode ? "text-gray-400" : "text-gray-500"
+                }`}
+              >
+                <th className="py-2 pr-4 font-medium">#</th>
+                <th className="py-2 pr-4 font-medium">
+                  {t("importReport.outcome")}
+                </th>
+                <th className="py-2 pr-4 font-medium">
+                  {t("importReport.details")}
+                </th>
+                <th className="py-2 font-medium">
+                  {t("importReport.message")}
+                </th>
+              </tr>
+            </thead>
+            <tbody
+              className={`divide-y ${
+                darkMode ? "divide-gray-700" : "divide-gray-200"
+              }`}
+            >
+              {visibleEntries.map((entry) => (
+                <tr key={entry.index}>
+                  <td className="py-2 pr-4 align-top">{entry.index + 1}</td>
+                  <td className="py-2 pr-4 align-top whitespace-nowrap">
+                    <span
+                      className={`px-2 py-0.5 rounded-md ${outcomeClasses(
+                        entry.outcome
+                      )}`}
+                    >
+                      {t(`importReport.outcome.${entry.outcome}`)}
+                    </span>
+                  </td>
+                  <td className="py-2 pr-4 align-top">
+                    {describeImportEntry(entry, language) || "—"}
+                    {entry.receiptUrl && (
+                      <a
+                        href={entry.receiptUrl}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className={`block ${
+                          darkMode
+                            ? "text-purple-300 hover:underline"
+                            : "text-[#6b21a8] hover:underline"
+                        }`}
+                      >
+                        {t("importReport.openReceipt")}
+                      </a>
+                    )}
+                  </td>
+                  <td
+                    className={`py-2 align-top max-w-md truncate ${
+                      darkMode ? "text-gray-400" : "text-gray-600"
+                    }`}
+                    title={entry.text}
+                  >
+                    {entry.text}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImportReport;
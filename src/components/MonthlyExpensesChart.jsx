@@ -10,8 +10,10 @@ import {
   ResponsiveContainer,
   ReferenceLine,
 } from "recharts";
+import { formatCalendarMonth } from "../lib/calendar";
+import { getTranslator, formatCurrency, formatNumber } from "../lib/i18n";
 
-const CustomTooltip = ({ active, payload, label, darkMode }) => {
+const CustomTooltip = ({ active, payload, label, language, darkMode }) => {
   if (active && payload && payload.length) {
     return (
       <div
@@ -34,7 +36,7 @@ const CustomTooltip = ({ active, payload, label, darkMode }) => {
             <div className={darkMode ? "text-gray-300" : "text-gray-700"}>
               {entry.name}:{" "}
               <span className="font-medium">
-                {entry.value.toLocaleString()} ETB
+                {formatCurrency(entry.value, language)}
               </span>
             </div>
           </div>
@@ -46,38 +48,28 @@ const CustomTooltip = ({ active, payload, label, darkMode }) => {
 };
 
 /**
- * A component that displays a line chart showing monthly expenses and balance over time.
+ * A component that displays a line chart showing monthly expenses, income and balance over time.
  *
  * @param {object} props - The component props.
  * @param {Array<object>} props.data - An array of aggregated transaction data.
- *                                      Each object should have: { month: string, Expenses: number, Balance: number }
+ *                                      Each object should have: { month: string, Expenses: number, Income: number, Balance: number }
+ * @param {string} [props.calendar="gregorian"] - The calendar the month keys belong to.
+ * @param {string} [props.language="en"] - The language of the series names and amounts.
  * @param {boolean} props.darkMode - Whether dark mode is enabled
  * @returns {JSX.Element} The rendered MonthlyExpensesChart component.
  */
-const MonthlyExpensesChart = ({ data = [], darkMode = false }) => {
+const MonthlyExpensesChart = ({
+  data = [],
+  calendar = "gregorian",
+  language = "en",
+  darkMode = false,
+}) => {
+  const t = getTranslator(language);
   // Format month labels for better display
-  const formattedData = data.map((item) => {
-    const [year, month] = item.month.split("-");
-    const monthNames = [
-      "Jan",
-      "Feb",
-      "Mar",
-      "Apr",
-      "May",
-      "Jun",
-      "Jul",
-      "Aug",
-      "Sep",
-      "Oct",
-      "Nov",
-      "Dec",
-    ];
-    const monthName = monthNames[parseInt(month, 10) - 1];
-    return {
-      ...item,
-      formattedMonth: `${monthName} ${year}`,
-    };
-  });
+  const formattedData = data.map((item) => ({
+    ...item,
+    formattedMonth: formatCalendarMonth(item.month, calendar, language),
+  }));
 
   // Find average expense to create a reference line
   const expenses = data.map((item) => item.Expenses);
@@ -105,9 +97,11 @@ const MonthlyExpensesChart = ({ data = [], darkMode = false }) => {
         <YAxis
           stroke={darkMode ? "#aaa" : "#666"}
           tick={{ fontSize: 12 }}
-          tickFormatter={(value) => value.toLocaleString()}
+          tickFormatter={(value) => formatNumber(value, language)}
+        />
+        <Tooltip
+          content={<CustomTooltip language={language} darkMode={darkMode} />}
         />
-        <Tooltip content={<CustomTooltip darkMode={darkMode} />} />
         <Legend
         //   wrapperStyle={{  // Removed the wrapperStyle
         //     bottom: 0,
@@ -120,7 +114,7 @@ const MonthlyExpensesChart = ({ data = [], darkMode = false }) => {
         <ReferenceLine
           y={avgExpense}
           label={{
-            value: "Avg Expense",
+            value: t("charts.averageExpense"),
             position: "insideTopRight",
             fill: darkMode ? "#bbb" : "#666",
             fontSize: 12,
@@ -131,6 +125,7 @@ const MonthlyExpensesChart = ({ data = [], darkMode = false }) => {
         <Line
           type="monotone"
           dataKey="Expenses"
+          name={t("charts.expenses")}
           stroke="#c2410c"
           strokeWidth={2}
           dot={{
@@ -145,9 +140,28 @@ const MonthlyExpensesChart = ({ data = [], darkMode = false }) => {
             stroke: darkMode ? "#1f2937" : "#fff",
           }}
         />
+        <Line
+          type="monotone"
+          dataKey="Income"
+          name={t("charts.income")}
+          stroke="#15803d"
+          strokeWidth={2}
+          dot={{
+            r: 4,
+            fill: darkMode ? "#1f2937" : "#fff",
+            stroke: "#15803d",
+            strokeWidth: 2,
+          }}
+          activeDot={{
+            r: 6,
+            fill: "#15803d",
+            stroke: darkMode ? "#1f2937" : "#fff",
+          }}
+        />
         <Line
           type="monotone"
           dataKey="Balance"
+          name={t("charts.balance")}
           stroke="#6b21a8"
           strokeWidth={2}
           dot={{
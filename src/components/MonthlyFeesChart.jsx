@@ -0,0 +1,90 @@
+import React from "react";
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+} from "recharts";
+import { formatCalendarMonth } from "../lib/calendar";
+import { translate, formatCurrency, formatNumber } from "../lib/i18n";
+
+const CustomTooltip = ({ active, payload, label, language, darkMode }) => {
+  if (active && payload && payload.length) {
+    return (
+      <div
+        className={`p-4 rounded-lg shadow-lg ${
+          darkMode
+            ? "bg-gray-800 text-white border border-gray-700"
+            : "bg-white border border-gray-200"
+        }`}
+      >
+        <p className="font-semibold mb-2">{label}</p>
+        <div className={darkMode ? "text-gray-300" : "text-gray-700"}>
+          {translate(language, "charts.bankFees")}:{" "}
+          <span className="font-medium">
+            {formatCurrency(payload[0].value, language)}
+          </span>
+        </div>
+      </div>
+    );
+  }
+  return null;
+};
+
+/**
+ * A component that displays a bar chart of the service charges and VAT paid each month.
+ *
+ * @param {object} props - The component props.
+ * @param {Array<object>} props.data - An array of aggregated transaction data.
+ *                                      Each object should have: { month: string, Fees: number }
+ * @param {string} [props.calendar="gregorian"] - The calendar the month keys belong to.
+ * @param {string} [props.language="en"] - The language of the tooltip and amounts.
+ * @param {boolean} props.darkMode - Whether dark mode is enabled
+ * @returns {JSX.Element} The rendered MonthlyFeesChart component.
+ */
+const MonthlyFeesChart = ({
+  data = [],
+  calendar = "gregorian",
+  language = "en",
+  darkMode = false,
+}) => {
+  const formattedData = data.map((item) => ({
+    ...item,
+    formattedMonth: formatCalendarMonth(item.month, calendar, language),
+  }));
+
+  return (
+    <ResponsiveContainer width="100%" height={250}>
+      <BarChart
+        data={formattedData}
+        margin={{ top: 20, right: 30, left: 20, bottom: 20 }}
+      >
+        <CartesianGrid
+          strokeDasharray="3 3"
+          stroke={darkMode ? "#444" : "#e0e0e0"}
+        />
+        <XAxis
+          dataKey="formattedMonth"
+          stroke={darkMode ? "#aaa" : "#666"}
+          tick={{ fontSize: 12 }}
+          tickMargin={10}
+        />
+        <YAxis
+          stroke={darkMode ? "#aaa" : "#666"}
+          tick={{ fontSize: 12 }}
+          tickFormatter={(value) => formatNumber(value, language)}
+        />
+        <Tooltip
+          content={<CustomTooltip language={language} darkMode={darkMode} />}
+          cursor={{ fill: darkMode ? "#374151" : "#f3f4f6" }}
+        />
+        <Bar dataKey="Fees" fill="#d97706" radius={[4, 4, 0, 0]} />
+      </BarChart>
+    </ResponsiveContainer>
+  );
+};
+
+export default MonthlyFeesChart;
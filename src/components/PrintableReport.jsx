@@ -0,0 +1,315 @@
+import React, { useMemo } from "react";
+import {
+  sortData,
+  isIncome,
+  getFees,
+  getLatestBalance,
+  getTopRecipients,
+  getTopReasons,
+} from "../lib/utils";
+import { summarizeTransactions } from "../lib/filters";
+import { resolveDateRange, toDateKey } from "../lib/dateRange";
+import { formatDate } from "../lib/calendar";
+import { getTranslator, formatAmount, formatCurrency } from "../lib/i18n";
+import MonthlyExpensesChart from "./MonthlyExpensesChart";
+
+// How many recipients and reasons the report lists
+const REPORT_TOP_LIMIT = 10;
+
+/**
+ * A print-ready report of the selected period: the summary figures, the monthly chart,
+ * the top recipients and reasons, and every transaction oldest first.
+ * It always renders as a white page, like the printout, and the print dialog can save it as a PDF.
+ *
+ * @param {object} props - The component props.
+ * @param {Array<object>} props.transactions - The transactions in the selected period.
+ * @param {Array<object>} props.chartData - The monthly totals for the chart, as built by App.
+ * @param {{ preset: string, start: string, end: string }} props.dateRange - The selected period.
+ * @param {string} [props.calendar="gregorian"] - The calendar dates are shown in.
+ * @param {string} [props.language="en"] - The language of the report.
+ * @param {function} props.onClose - Returns to the dashboard.
+ * @returns {JSX.Element} The rendered PrintableReport component.
+ */
+const PrintableReport = ({
+  transactions = [],
+  chartData = [],
+  dateRange,
+  calendar = "gregorian",
+  language = "en",
+  onClose,
+}) => {
+  const t = getTranslator(language);
+
+  const totals = useMemo(
+    () => summarizeTransactions(transactions),
+    [transactions]
+  );
+
+  // Statement order: oldest first
+  const orderedTransactions = useMemo(
+    () => sortData(transactions, "date", "asc"),
+    [transactions]
+  );
+
+  // The top recipients and reasons are where the money went, so credits are left out
+  const expenses = useMemo(
+    () => transactions.filter((tx) => !isIncome(tx)),
+    [transactions]
+  );
+
+  const topRecipients = useMemo(
+    () =>
+      sortData(getTopRecipients(expenses, Infinity), "amount", "desc").slice(
+        0,
+        REPORT_TOP_LIMIT
+      ),
+    [expenses]
+  );
+
+  const topReasons = useMemo(
+    () =>
+      sortData(getTopReasons(expenses, Infinity), "amount", "desc").slice(
+        0,
+        REPORT_TOP_LIMIT
+      ),
+    [expenses]
+  );
+
+  // An open-ended range is labelled with the dates of the first and last transaction
+  const range = resolveDateRange(dateRange, new Date(), calendar);
+  const datedTransactions = orderedTransactions.filter((tx) => tx.date);
+  const periodStart = range.start || datedTransactions[0]?.date;
+  const periodEnd =
+    range.end || datedTransactions[datedTransactions.length - 1]?.date;
+
+  const currentBalance = getLatestBalance(transactions);
+
+  const figures = [
+    {
+      label: t("summary.totalExpenses"),
+      value: formatCurrency(totals.expenses, language),
+    },
+    {
+      label: t("summary.totalIncome"),
+      value: formatCurrency(totals.income, language),
+    },
+    {
+      label: t("summary.netCashFlow"),
+      value: formatCurrency(totals.net, language),
+    },
+    {
+      label: t("summary.bankFees"),
+      value: formatCurrency(totals.fees, language),
+    },
+    {
+      label: t("summary.currentBalance"),
+      value:
+        currentBalance != null
+          ? formatCurrency(currentBalance, language)
+          : t("summary.notAvailable"),
+    },
+  ];
+
+  const sectionTitleClasses =
+    "text-lg font-semibold text-[#4c1d95] mb-3 print:text-black";
+  const cellClasses = "px-2 py-1 border-b border-gray-200";
+  const headerCellClasses =
+    "px-2 py-1 text-left text-xs font-medium uppercase tracking-wider text-gray-500 border-b border-gray-300";
+
+  return (
+    <div>
+      {/* Screen-only controls */}
+      <div className="max-w-[180mm] mx-auto flex flex-wrap items-center justify-between gap-4 mb-6 print:hidden">
+        <button
+          onClick={onClose}
+          className="px-4 py-2 text-sm rounded-md transition-colors duration-200 bg-gray-100 hover:bg-gray-200 text-gray-700"
+        >
+          {t("report.close")}
+        </button>
+        <div className="flex items-center gap-4">
+          <span className="text-sm text-gray-500">{t("report.printHint")}</span>
+          <button
+            onClick={() => window.print()}
+            className="px-4 py-2 text-sm rounded-md transition-colors duration-200 bg-[#6b21a8] hover:bg-[#4c1d95] text-white"
+          >
+            {t("report.print")}
+          </button>
+        </div>
+      </div>
+
+      {/* The document itself, as wide as the printable area of an A4 page so the chart fits */}
+      <article className="max-w-[180mm] mx-auto bg-white text-gray-900 rounded-xl shadow-lg p-8 space-y-8 print:shadow-none print:rounded-none print:p-0">
+        <header className="border-b border-gray-300 pb-4">
+          <h1 className="text-2xl font-bold text-[#4c1d95] print:text-black">
+            {t("report.title")}
+          </h1>
+          <p className="text-sm text-gray-600 mt-1">{t("app.bankName")}</p>
+          {periodStart && (
+            <p className="mt-2">
+              {t("report.period", {
+                start: formatDate(periodStart, calendar, language),
+                end: formatDate(periodEnd, calendar, language),
+              })}
+            </p>
+          )}
+          <p className="text-sm text-gray-500">
+            {t("report.generated", {
+              date: formatDate(toDateKey(new Date()), calendar, language),
+            })}
+          </p>
+        </header>
+
+        <section className="print-avoid-break">
+          <h2 className={sectionTitleClasses}>{t("report.summary")}</h2>
+          <dl className="grid grid-cols-2 sm:grid-cols-5 print:grid-cols-5 gap-3">
+            {figures.map(({ label, value }) => (
+              <div
+                key={label}
+                className="border border-gray-200 rounded-lg p-2"
+              >
+                <dt className="text-xs text-gray-500">{label}</dt>
+                <dd className="text-sm font-semibold break-words">{value}</dd>
+              </div>
+            ))}
+          </dl>
+        </section>
+
+        <section className="print-avoid-break">
+          <h2 className={sectionTitleClasses}>{t("app.expensesChart")}</h2>
+          <MonthlyExpensesChart
+            data={chartData}
+            calendar={calendar}
+            language={language}
+            darkMode={false}
+          />
+        </section>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 print:grid-cols-2 gap-8">
+          <section className="print-avoid-break">
+            <h2 className={sectionTitleClasses}>
+              {t("report.topRecipients", { count: REPORT_TOP_LIMIT })}
+            </h2>
+            <table className="w-full text-sm">
+              <thead>
+                <tr>
+                  <th className={headerCellClasses}>{t("table.recipient")}</th>
+                  <th className={`${headerCellClasses} text-right`}>
+                    {t("table.amount")}
+                  </th>
+                  <th className={`${headerCellClasses} text-right`}>
+                    {t("table.count")}
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {topRecipients.map((item) => (
+                  <tr key={item.recipient}>
+                    <td className={cellClasses}>{item.recipient}</td>
+                    <td className={`${cellClasses} text-right`}>
+                      {formatAmount(item.amount, language)}
+                    </td>
+                    <td className={`${cellClasses} text-right`}>
+                      {item.count}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+
+          <section className="print-avoid-break">
+            <h2 className={sectionTitleClasses}>
+              {t("report.topReasons", { count: REPORT_TOP_LIMIT })}
+            </h2>
+            <table className="w-full text-sm">
+              <thead>
+                <tr>
+                  <th className={headerCellClasses}>{t("table.reason")}</th>
+                  <th className={`${headerCellClasses} text-right`}>
+                    {t("table.amount")}
+                  </th>
+                  <th className={`${headerCellClasses} text-right`}>
+                    {t("table.count")}
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {topReasons.map((item) => (
+                  <tr key={item.reason}>
+                    <td className={cellClasses}>{item.reason}</td>
+                    <td className={`${cellClasses} text-right`}>
+                      {formatAmount(item.amount, language)}
+                    </td>
+                    <td className={`${cellClasses} text-right`}>
+                      {item.count}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+        </div>
+
+        <section>
+          <h2 className={sectionTitleClasses}>
+            {t("report.transactions", { count: orderedTransactions.length })}
+          </h2>
+          {orderedTransactions.length > 0 ? (
+            <table className="w-full text-sm">
+              <thead>
+                <tr>
+                  <th className={headerCellClasses}>{t("table.date")}</th>
+                  <th className={headerCellClasses}>{t("report.party")}</th>
+                  <th className={headerCellClasses}>{t("table.reason")}</th>
+                  <th className={headerCellClasses}>{t("table.category")}</th>
+                  <th className={`${headerCellClasses} text-right`}>
+                    {t("table.amount")}
+                  </th>
+                  <th className={`${headerCellClasses} text-right`}>
+                    {t("table.fees")}
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {orderedTransactions.map((tx, index) => (
+                  <tr
+                    key={tx.id || tx.date + index}
+                    className="print-avoid-break"
+                  >
+                    <td className={`${cellClasses} whitespace-nowrap`}>
+                      {formatDate(tx.date, calendar, language) || "-"}
+                    </td>
+                    <td className={cellClasses}>
+                      {(isIncome(tx) ? tx.payer : tx.receiver) || "-"}
+                    </td>
+                    <td className={cellClasses}>{tx.reason}</td>
+                    <td className={cellClasses}>{tx.category}</td>
+                    <td
+                      className={`${cellClasses} text-right whitespace-nowrap ${
+                        isIncome(tx) ? "text-green-700" : ""
+                      }`}
+                    >
+                      {isIncome(tx) && "+"}
+                      {tx.amount != null && formatAmount(tx.amount, language)}
+                    </td>
+                    <td
+                      className={`${cellClasses} text-right whitespace-nowrap`}
+                    >
+                      {getFees(tx) > 0
+                        ? formatAmount(getFees(tx), language)
+                        : "-"}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p className="text-gray-600">{t("table.noTransactions")}</p>
+          )}
+        </section>
+      </article>
+    </div>
+  );
+};
+
+export default PrintableReport;
@@ -0,0 +1,235 @@
+import React, { useState, useEffect } from "react";
+import {
+  getCacheSummary,
+  purgeCache,
+  MAX_CACHE_BYTES,
+} from "../lib/pdfCache.js";
+import { PDF_PARSER_VERSION } from "../lib/utils.js";
+import { getLocale, getTranslator, formatNumber } from "../lib/i18n.js";
+
+/**
+ * Formats a size in bytes for display.
+ *
+ * @param {number} bytes - The size in bytes.
+ * @param {string} language - The language the number is formatted in.
+ * @returns {string} The size in KB or MB.
+ */
+const formatSize = (bytes, language) => {
+  const t = getTranslator(language);
+  return bytes >= 1024 * 1024
+    ? t("cache.megabytes", {
+        size: formatNumber(
+          Math.round((bytes / (1024 * 1024)) * 10) / 10,
+          language
+        ),
+      })
+    : t("cache.kilobytes", {
+        size: formatNumber(Math.ceil(bytes / 1024), language),
+      });
+};
+
+/**
+ * A component for inspecting and purging the receipt cache.
+ * Lists the cached receipts with their size and when they were last used, and marks
+ * entries parsed by an older parser version as stale.
+ *
+ * @param {object} props - The component props.
+ * @param {string} [props.language="en"] - The language of the labels, dates and sizes.
+ * @param {boolean} props.darkMode - Whether dark mode is enabled
+ * @returns {JSX.Element} The rendered ReceiptCacheManager component.
+ */
+const ReceiptCacheManager = ({ language = "en", darkMode = false }) => {
+  const t = getTranslator(language);
+  const [summary, setSummary] = useState(null); // { entries, totalSize } once loaded
+  const [error, setError] = useState(""); // A translation key
+
+  const refresh = () => {
+    getCacheSummary()
+      .then((result) => {
+        setSummary(result);
+        setError("");
+      })
+      .catch((loadError) => {
+        console.error("Error loading the receipt cache:", loadError);
+        setError("cache.loadError");
+      });
+  };
+
+  useEffect(refresh, []);
+
+  /**
+   * Deletes cache entries and reloads the list.
+   *
+   * @param {Array<string>} [urls] - The receipt URLs to delete; everything when omitted.
+   */
+  const handlePurge = async (urls) => {
+    try {
+      await purgeCache(urls);
+    } catch (purgeError) {
+      console.error("Error purging the receipt cache:", purgeError);
+      setError("cache.purgeError");
+    }
+    refresh();
+  };
+
+  if (!summary) {
+    return (
+      <p className={`text-sm ${darkMode ? "text-gray-400" : "text-gray-500"}`}>
+        {t(error || "cache.loading")}
+      </p>
+    );
+  }
+
+  const { entries, totalSize } = summary;
+  const staleUrls = entries
+    .filter((entry) => entry.parserVersion !== PDF_PARSER_VERSION)
+    .map((entry) => entry.url);
+  const usedPercent = Math.min((totalSize / MAX_CACHE_BYTES) * 100, 100);
+
+  const secondaryButtonClasses = `px-3 py-1 text-sm rounded-md transition-colors duration-200 disabled:opacity-50 ${
+    darkMode
+      ? "bg-gray-700 hover:bg-gray-600 text-gray-300"
+      : "bg-gray-100 hover:bg-gray-200 text-gray-700"
+  }`;
+  const dangerButtonClasses = `px-3 py-1 text-sm rounded-md transition-colors duration-200 disabled:opacity-50 ${
+    darkMode
+      ? "bg-red-900/20 text-red-300 hover:bg-red-900/40"
+      : "bg-red-50 text-red-600 hover:bg-red-100"
+  }`;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div
+          className={`text-sm ${darkMode ? "text-gray-300" : "text-gray-600"}`}
+        >
+          {t("cache.summary", {
+            count: entries.length,
+            size: formatSize(totalSize, language),
+            max: formatSize(MAX_CACHE_BYTES, language),
+            version: PDF_PARSER_VERSION,
+          })}
+        </div>
+        <div className="flex space-x-2">
+          <button
+            onClick={() => handlePurge(staleUrls)}
+            disabled={staleUrls.length === 0}
+            className={secondaryButtonClasses}
+          >
+            {t("cache.purgeStale", { count: staleUrls.length })}
+          </button>
+          <button
+            onClick={() => handlePurge()}
+            disabled={entries.length === 0}
+            className={dangerButtonClasses}
+          >
+            {t("cache.purgeAll")}
+          </button>
+        </div>
+      </div>
+
+      {/* Cache usage bar */}
+      <div
+        className={`h-2 w-full rounded-full overflow-hidden ${
+          darkMode ? "bg-gray-700" : "bg-gray-200"
+        }`}
+      >
+        <div
+          className="h-full bg-gradient-to-r from-[#6b21a8] to-[#4c1d95] transition-all duration-300"
+          style={{ width: `${usedPercent}%` }}
+        ></div>
+      </div>
+
+      {error && (
+        <p className={`text-sm ${darkMode ? "text-red-300" : "text-red-600"}`}>
+          {t(error)}
+        </p>
+      )}
+
+      {entries.length > 0 && (
+        <div className="overflow-x-auto max-h-80 overflow-y-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr
+                className={`text-left ${
+                  darkMode ? "text-gray-400" : "text-gray-500"
+                }`}
+              >
+                <th className="py-2 pr-4 font-medium">{t("cache.receipt")}</th>
+                <th className="py-2 pr-4 font-medium">{t("cache.size")}</th>
+                <th className="py-2 pr-4 font-medium">{t("cache.lastUsed")}</th>
+                <th className="py-2 pr-4 font-medium">{t("cache.status")}</th>
+                <th className="py-2"></th>
+              </tr>
+            </thead>
+            <tbody
+              className={`divide-y ${
+                darkMode ? "divide-gray-700" : "divide-gray-200"
+              }`}
+            >
+              {entries.map((entry) => {
+                const stale = entry.parserVersion !== PDF_PARSER_VERSION;
+                return (
+                  <tr key={entry.url}>
+                    <td className="py-2 pr-4 max-w-xs truncate">
+                      <a
+                        href={entry.url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className={
+                          darkMode
+                            ? "text-purple-300 hover:underline"
+                            : "text-[#6b21a8] hover:underline"
+                        }
+                        title={entry.url}
+                      >
+                        {entry.url}
+                      </a>
+                    </td>
+                    <td className="py-2 pr-4 whitespace-nowrap">
+                      {formatSize(entry.size, language)}
+                    </td>
+                    <td className="py-2 pr-4 whitespace-nowrap">
+                      {new Date(entry.lastUsed).toLocaleString(
+                        getLocale(language)
+                      )}
+                    </td>
+                    <td className="py-2 pr-4 whitespace-nowrap">
+                      {stale ? (
+                        <span
+                          className={
+                            darkMode ? "text-yellow-300" : "text-yellow-700"
+                          }
+                        >
+                          {t("cache.stale", { version: entry.parserVersion })}
+                        </span>
+                      ) : (
+                        <span
+                          className={
+                            darkMode ? "text-green-300" : "text-green-700"
+                          }
+                        >
+                          {t("cache.current")}
+                        </span>
+                      )}
+                    </td>
+                    <td className="py-2 text-right">
+                      <button
+                        onClick={() => handlePurge([entry.url])}
+                        className={dangerButtonClasses}
+                      >
+                        {t("cache.delete")}
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReceiptCacheManager;
@@ -0,0 +1,145 @@
+import React, { useMemo } from "react";
+import { detectRecurringPayments } from "../lib/recurring";
+import { formatDate } from "../lib/calendar";
+import { getTranslator, formatCurrency } from "../lib/i18n";
+
+/**
+ * Lists the payments that repeat on a schedule, such as rent or a weekly allowance, with
+ * when the next one is expected and for how much. Series with gaps, an overdue next
+ * payment, or unusually large payments are flagged.
+ *
+ * @param {object} props - The component props.
+ * @param {Array<object>} props.transactions - The categorized transactions, the whole history.
+ * @param {string} [props.calendar="gregorian"] - The calendar dates are shown in.
+ * @param {string} [props.language="en"] - The language of the labels.
+ * @param {boolean} props.darkMode - Whether dark mode is enabled.
+ * @returns {JSX.Element} The rendered RecurringPaymentsPanel component.
+ */
+const RecurringPaymentsPanel = ({
+  transactions = [],
+  calendar = "gregorian",
+  language = "en",
+  darkMode = false,
+}) => {
+  const t = getTranslator(language);
+  const recurring = useMemo(
+    () => detectRecurringPayments(transactions),
+    [transactions]
+  );
+
+  if (recurring.length === 0) {
+    return (
+      <p className={darkMode ? "text-gray-400" : "text-gray-600"}>
+        {t("recurring.none")}
+      </p>
+    );
+  }
+
+  const headerClasses = `px-4 py-2 text-left text-xs font-medium uppercase tracking-wider ${
+    darkMode ? "text-gray-400" : "text-gray-500"
+  }`;
+  const badgeClasses = (tone) =>
+    `inline-block px-2 py-0.5 mr-1 mb-1 rounded-full text-xs ${
+      tone === "red"
+        ? darkMode
+          ? "bg-red-900/30 text-red-300"
+          : "bg-red-50 text-red-600"
+        : tone === "amber"
+        ? darkMode
+          ? "bg-amber-900/30 text-amber-300"
+          : "bg-amber-50 text-amber-700"
+        : darkMode
+        ? "bg-green-900/30 text-green-300"
+        : "bg-green-50 text-green-700"
+    }`;
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full text-sm">
+        <thead className={darkMode ? "bg-gray-700" : "bg-gray-50"}>
+          <tr>
+            <th className={headerClasses}>{t("table.recipient")}</th>
+            <th className={headerClasses}>{t("recurring.frequency")}</th>
+            <th className={`${headerClasses} text-right`}>
+              {t("recurring.amount")}
+            </th>
+            <th className={headerClasses}>{t("recurring.lastPaid")}</th>
+            <th className={headerClasses}>{t("recurring.nextDue")}</th>
+            <th className={headerClasses}>{t("recurring.status")}</th>
+          </tr>
+        </thead>
+        <tbody
+          className={`divide-y ${
+            darkMode ? "divide-gray-700" : "divide-gray-200"
+          }`}
+        >
+          {recurring.map((item) => (
+            <tr key={item.receiver}>
+              <td className="px-4 py-3">
+                <div className="font-medium">{item.receiver}</div>
+                <div
+                  className={`text-xs ${
+                    darkMode ? "text-gray-400" : "text-gray-500"
+                  }`}
+                >
+                  {item.category} ·{" "}
+                  {t("recurring.payments", { count: item.count })}
+                </div>
+              </td>
+              <td className="px-4 py-3">
+                {t(`recurring.period.${item.period}`)}
+              </td>
+              <td className="px-4 py-3 text-right whitespace-nowrap">
+                {formatCurrency(item.amount, language)}
+              </td>
+              <td className="px-4 py-3 whitespace-nowrap">
+                {formatDate(item.lastDate, calendar, language)}
+              </td>
+              <td className="px-4 py-3 whitespace-nowrap">
+                {formatDate(item.nextDate, calendar, language)}
+              </td>
+              <td className="px-4 py-3">
+                {item.overdue && (
+                  <span className={badgeClasses("red")}>
+                    {t("recurring.overdue")}
+                  </span>
+                )}
+                {item.missed > 0 && (
+                  <span className={badgeClasses("amber")}>
+                    {t("recurring.missed", { count: item.missed })}
+                  </span>
+                )}
+                {item.unusual.length > 0 && (
+                  <span
+                    className={badgeClasses("amber")}
+                    title={item.unusual
+                      .map(
+                        (tx) =>
+                          `${formatDate(
+                            tx.date,
+                            calendar,
+                            language
+                          )}: ${formatCurrency(tx.amount, language)}`
+                      )
+                      .join("\n")}
+                  >
+                    {t("recurring.unusual", { count: item.unusual.length })}
+                  </span>
+                )}
+                {!item.overdue &&
+                  item.missed === 0 &&
+                  item.unusual.length === 0 && (
+                    <span className={badgeClasses("green")}>
+                      {t("recurring.onSchedule")}
+                    </span>
+                  )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default RecurringPaymentsPanel;
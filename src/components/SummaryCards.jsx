@@ -1,27 +1,44 @@
 import React from "react";
+import { isIncome, getFees } from "../lib/utils";
+import { getTranslator, formatCurrency } from "../lib/i18n";
 
 /**
- * A component to display summary cards showing total expenses and current balance.
+ * A component to display summary cards showing total expenses, total income,
+ * net cash flow, bank fees paid and current balance.
  *
  * @param {object} props - The component props.
  * @param {Array<object>} props.transactions - An array of transaction objects.
+ * @param {number|null} props.currentBalance - The latest balance in the selected period, which
+ *  the table's search and filters do not change.
+ * @param {string} [props.language="en"] - The language of the labels and amounts.
  * @param {boolean} props.darkMode - Whether dark mode is enabled.
  * @returns {JSX.Element} The rendered SummaryCards component.
  */
-const SummaryCards = ({ transactions = [], darkMode = false }) => {
-  // Calculate total expenses.  Filters for transactions with positive amounts (CBE debits).
+const SummaryCards = ({
+  transactions = [],
+  currentBalance = null,
+  language = "en",
+  darkMode = false,
+}) => {
+  const t = getTranslator(language);
+
+  // Calculate total expenses.  Debited transactions (and those without a direction) count as spending.
   const totalExpenses = transactions
-    .filter((t) => t.amount && t.amount > 0)
+    .filter((t) => t.amount && !isIncome(t))
+    .reduce((acc, t) => acc + Math.abs(t.amount), 0);
+
+  // Calculate total income from credited transactions.
+  const totalIncome = transactions
+    .filter((t) => t.amount && isIncome(t))
     .reduce((acc, t) => acc + Math.abs(t.amount), 0);
 
-  // Get the most recent currentBalance from the first transaction in the sorted array.
-  // Assumes transactions are sorted newest to oldest.  Provides a default value of 0
-  // if there are no transactions.
-  const currentBalance =
-    transactions.length > 0 ? transactions[0].currentBalance : 0;
+  const netCashFlow = totalIncome - totalExpenses;
+
+  // Calculate the service charges and VAT paid on all transactions.
+  const totalFees = transactions.reduce((acc, t) => acc + getFees(t), 0);
 
   return (
-    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+    <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6">
       {/* Total Expenses Card */}
       <div
         className={`flex flex-col p-6 rounded-xl shadow-lg transition-all duration-300 hover:shadow-xl ${
@@ -31,7 +48,9 @@ const SummaryCards = ({ transactions = [], darkMode = false }) => {
         }`}
       >
         <div className="flex items-center justify-between mb-2">
-          <h3 className="text-xl font-semibold">Total Expenses</h3>
+          <h3 className="text-xl font-semibold">
+            {t("summary.totalExpenses")}
+          </h3>
           <svg
             xmlns="http://www.w3.org/2000/svg"
             className="h-6 w-6"
@@ -47,7 +66,99 @@ const SummaryCards = ({ transactions = [], darkMode = false }) => {
             />
           </svg>
         </div>
-        <p className="text-3xl font-bold">ETB {totalExpenses.toFixed(2)}</p>
+        <p className="text-3xl font-bold">
+          {formatCurrency(totalExpenses, language)}
+        </p>
+      </div>
+
+      {/* Total Income Card */}
+      <div
+        className={`flex flex-col p-6 rounded-xl shadow-lg transition-all duration-300 hover:shadow-xl ${
+          darkMode
+            ? "bg-blue-900/20 border border-blue-700 text-blue-300"
+            : "bg-blue-50 border border-blue-200 text-blue-700"
+        }`}
+      >
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-xl font-semibold">{t("summary.totalIncome")}</h3>
+          <svg
+            xmlns="http://www.w3.org/2000/svg"
+            className="h-6 w-6"
+            fill="none"
+            viewBox="0 0 24 24"
+            stroke="currentColor"
+            strokeWidth={2}
+          >
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              d="M7 11l5-5m0 0l5 5m-5-5v12"
+            />
+          </svg>
+        </div>
+        <p className="text-3xl font-bold">
+          {formatCurrency(totalIncome, language)}
+        </p>
+      </div>
+
+      {/* Net Cash Flow Card */}
+      <div
+        className={`flex flex-col p-6 rounded-xl shadow-lg transition-all duration-300 hover:shadow-xl ${
+          darkMode
+            ? "bg-purple-900/20 border border-purple-700 text-purple-300"
+            : "bg-purple-50 border border-purple-200 text-purple-700"
+        }`}
+      >
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-xl font-semibold">{t("summary.netCashFlow")}</h3>
+          <svg
+            xmlns="http://www.w3.org/2000/svg"
+            className="h-6 w-6"
+            fill="none"
+            viewBox="0 0 24 24"
+            stroke="currentColor"
+            strokeWidth={2}
+          >
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              d="M8 7h12m0 0l-4-4m4 4l-4 4m0 6H4m0 0l4 4m-4-4l4-4"
+            />
+          </svg>
+        </div>
+        <p className="text-3xl font-bold">
+          {formatCurrency(netCashFlow, language)}
+        </p>
+      </div>
+
+      {/* Bank Fees Card */}
+      <div
+        className={`flex flex-col p-6 rounded-xl shadow-lg transition-all duration-300 hover:shadow-xl ${
+          darkMode
+            ? "bg-amber-900/20 border border-amber-700 text-amber-300"
+            : "bg-amber-50 border border-amber-200 text-amber-700"
+        }`}
+      >
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-xl font-semibold">{t("summary.bankFees")}</h3>
+          <svg
+            xmlns="http://www.w3.org/2000/svg"
+            className="h-6 w-6"
+            fill="none"
+            viewBox="0 0 24 24"
+            stroke="currentColor"
+            strokeWidth={2}
+          >
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              d="M9 14l6-6m-5.5.5h.01m4.99 5h.01M19 21V5a2 2 0 00-2-2H7a2 2 0 00-2 2v16l3.5-2 3.5 2 3.5-2 3.5 2z"
+            />
+          </svg>
+        </div>
+        <p className="text-3xl font-bold">
+          {formatCurrency(totalFees, language)}
+        </p>
       </div>
 
       {/* Current Balance Card */}
@@ -59,7 +170,9 @@ const SummaryCards = ({ transactions = [], darkMode = false }) => {
         }`}
       >
         <div className="flex items-center justify-between mb-2">
-          <h3 className="text-xl font-semibold">Current Balance</h3>
+          <h3 className="text-xl font-semibold">
+            {t("summary.currentBalance")}
+          </h3>
           <svg
             xmlns="http://www.w3.org/2000/svg"
             className="h-6 w-6"
@@ -77,7 +190,9 @@ const SummaryCards = ({ transactions = [], darkMode = false }) => {
         </div>
 
         <p className="text-3xl font-bold">
-          ETB {currentBalance !== null ? currentBalance.toFixed(2) : "N/A"}
+          {currentBalance != null
+            ? formatCurrency(currentBalance, language)
+            : t("summary.notAvailable")}
         </p>
       </div>
     </div>
@@ -1,15 +1,19 @@
 import React, { useMemo, useState } from "react";
-import { sortData } from "../lib/utils";
+import { sortData, getTopReasons } from "../lib/utils";
+import { getTranslator, formatAmount } from "../lib/i18n";
 
 /**
- *  A component to display the top 25 transaction reasons in a sortable table.
+ *  A component to display the top 25 transaction reasons, with the category
+ *  assigned to each, in a sortable table.
  *
  * @param {object} props The component props
- * @param {Array} props.transactions The transaction data
+ * @param {Array} props.transactions The expenses, without the credits
+ * @param {string} [props.language="en"] - The language of the labels and amounts.
  * @param {boolean} props.darkMode - Whether dark mode is enabled
  * @returns {JSX.Element}
  */
-const TopReasonsTable = ({ transactions, darkMode }) => {
+const TopReasonsTable = ({ transactions, language = "en", darkMode }) => {
+  const t = getTranslator(language);
   const [sortColumn, setSortColumn] = useState("amount"); // Initialize
   const [sortDirection, setSortDirection] = useState("desc");
 
@@ -28,7 +32,7 @@ const TopReasonsTable = ({ transactions, darkMode }) => {
   };
   /**
    * Aggregates transaction data to determine the top transaction reasons.
-   * Calculates total amount and count for each reason.
+   * Calculates total amount, count and category for each reason.
    * useMemo ensures that this calculation only happens when `transactions` changes.
    */
   const topReasons = useMemo(() => {
@@ -36,24 +40,8 @@ const TopReasonsTable = ({ transactions, darkMode }) => {
       return [];
     }
 
-    const reasonCounts = {};
-    const reasonTotals = {};
-
-    transactions.forEach((tx) => {
-      if (tx.reason) {
-        reasonCounts[tx.reason] = (reasonCounts[tx.reason] || 0) + 1;
-        reasonTotals[tx.reason] =
-          (reasonTotals[tx.reason] || 0) + Math.abs(tx.amount);
-      }
-    });
-
-    const reasonData = Object.entries(reasonTotals).map(([reason, amount]) => ({
-      reason,
-      amount,
-      count: reasonCounts[reason] || 0,
-    }));
-
-    return reasonData;
+    // Keep every reason here; the top 25 are picked after sorting
+    return getTopReasons(transactions, Infinity);
   }, [transactions]);
   /**
    * Sorts the aggregated reasons data based on the selected column and direction.
@@ -79,7 +67,7 @@ const TopReasonsTable = ({ transactions, darkMode }) => {
             darkMode ? "text-purple-300" : "text-[#4c1d95]"
           }`}
         >
-          Top 25 Transaction Reasons
+          {t("table.topReasons")}
         </h2>
       </div>
       <div className="p-4 md:p-6 pt-0">
@@ -94,13 +82,27 @@ const TopReasonsTable = ({ transactions, darkMode }) => {
                   }`}
                   onClick={() => handleSort("reason")}
                 >
-                  Reason
+                  {t("table.reason")}
                   {sortColumn === "reason" && (
                     <span className="ml-1">
                       {sortDirection === "asc" ? "↑" : "↓"}
                     </span>
                   )}
                 </th>
+                <th
+                  scope="col"
+                  className={`px-3 py-2 text-left text-xs font-medium uppercase tracking-wider cursor-pointer ${
+                    darkMode ? "text-gray-300" : "text-gray-500"
+                  }`}
+                  onClick={() => handleSort("category")}
+                >
+                  {t("table.category")}
+                  {sortColumn === "category" && (
+                    <span className="ml-1">
+                      {sortDirection === "asc" ? "↑" : "↓"}
+                    </span>
+                  )}
+                </th>
                 <th
                   scope="col"
                   className={`px-3 py-2 text-right text-xs font-medium uppercase tracking-wider cursor-pointer ${
@@ -108,7 +110,7 @@ const TopReasonsTable = ({ transactions, darkMode }) => {
                   }`}
                   onClick={() => handleSort("amount")}
                 >
-                  Amount (ETB)
+                  {t("table.amount")}
                   {sortColumn === "amount" && (
                     <span className="ml-1">
                       {sortDirection === "asc" ? "↑" : "↓"}
@@ -122,7 +124,7 @@ const TopReasonsTable = ({ transactions, darkMode }) => {
                   }`}
                   onClick={() => handleSort("count")}
                 >
-                  Count
+                  {t("table.count")}
                   {sortColumn === "count" && (
                     <span className="ml-1">
                       {sortDirection === "asc" ? "↑" : "↓"}
@@ -152,12 +154,19 @@ const TopReasonsTable = ({ transactions, darkMode }) => {
                   >
                     {item.reason}
                   </td>
+                  <td
+                    className={`px-3 py-4 whitespace-nowrap text-sm ${
+                      darkMode ? "text-gray-200" : "text-gray-900"
+                    }`}
+                  >
+                    {item.category}
+                  </td>
                   <td
                     className={`px-3 py-4 whitespace-nowrap text-sm text-right ${
                       darkMode ? "text-gray-200" : "text-gray-900"
                     }`}
                   >
-                    {item.amount.toFixed(2)}
+                    {formatAmount(item.amount, language)}
                   </td>
                   <td
                     className={`px-3 py-4 whitespace-nowrap text-sm text-right ${
@@ -176,7 +185,7 @@ const TopReasonsTable = ({ transactions, darkMode }) => {
                 darkMode ? "text-gray-400" : "text-gray-600"
               }`}
             >
-              No transactions found.
+              {t("table.noTransactions")}
             </div>
           )}
         </div>
@@ -1,16 +1,19 @@
 import React, { useState, useMemo } from "react";
 import { sortData } from "../lib/utils";
+import { getTranslator, formatAmount } from "../lib/i18n";
 
 /**
  * A component to display a table of the top 25 recipients, sortable by recipient name,
  * amount, and count.
  *
  * @param {object} props The component props.
- * @param {Array<object>} props.transactions An array of transaction objects.
+ * @param {Array<object>} props.transactions The expenses, without the credits.
+ * @param {string} [props.language="en"] - The language of the labels and amounts.
  * @param {boolean} props.darkMode - Whether dark mode is enabled
  * @returns {JSX.Element}
  */
-const TopRecipientsTable = ({ transactions, darkMode }) => {
+const TopRecipientsTable = ({ transactions, language = "en", darkMode }) => {
+  const t = getTranslator(language);
   const [sortColumn, setSortColumn] = useState("amount"); // Initial sort column
   const [sortDirection, setSortDirection] = useState("desc"); // Initial sort direction
 
@@ -83,7 +86,7 @@ const TopRecipientsTable = ({ transactions, darkMode }) => {
             darkMode ? "text-purple-300" : "text-[#4c1d95]"
           }`}
         >
-          Top 25 Recipients
+          {t("table.topRecipients")}
         </h2>
       </div>
       <div className="p-4 md:p-6 pt-0">
@@ -98,7 +101,7 @@ const TopRecipientsTable = ({ transactions, darkMode }) => {
                   }`}
                   onClick={() => handleSort("recipient")}
                 >
-                  Recipient
+                  {t("table.recipient")}
                   {sortColumn === "recipient" && (
                     <span className="ml-1">
                       {sortDirection === "asc" ? "↑" : "↓"}
@@ -112,7 +115,7 @@ const TopRecipientsTable = ({ transactions, darkMode }) => {
                   }`}
                   onClick={() => handleSort("amount")}
                 >
-                  Amount (ETB)
+                  {t("table.amount")}
                   {sortColumn === "amount" && (
                     <span className="ml-1">
                       {sortDirection === "asc" ? "↑" : "↓"}
@@ -126,7 +129,7 @@ const TopRecipientsTable = ({ transactions, darkMode }) => {
                   }`}
                   onClick={() => handleSort("count")}
                 >
-                  Count
+                  {t("table.count")}
                   {sortColumn === "count" && (
                     <span className="ml-1">
                       {sortDirection === "asc" ? "↑" : "↓"}
@@ -161,7 +164,7 @@ const TopRecipientsTable = ({ transactions, darkMode }) => {
                       darkMode ? "text-gray-200" : "text-gray-900"
                     }`}
                   >
-                    {item.amount.toFixed(2)}
+                    {formatAmount(item.amount, language)}
                   </td>
                   <td
                     className={`px-3 py-4 whitespace-nowrap text-sm text-right ${
@@ -180,7 +183,7 @@ const TopRecipientsTable = ({ transactions, darkMode }) => {
                 darkMode ? "text-gray-400" : "text-gray-600"
               }`}
             >
-              No transactions found.
+              {t("table.noTransactions")}
             </div>
           )}
         </div>
@@ -7,6 +7,8 @@ import {
   ResponsiveContainer,
   Legend,
 } from "recharts";
+import { getCategoryDistribution } from "../lib/utils";
+import { getTranslator, formatPercent } from "../lib/i18n";
 
 // Color palette based on CBE colors
 const COLORS = [
@@ -34,6 +36,7 @@ const CustomLabel = ({
   percent,
   index,
   name,
+  language,
   darkMode,
 }) => {
   // Only show labels for segments that are large enough to be readable
@@ -54,40 +57,54 @@ const CustomLabel = ({
       fontSize="12"
       fontWeight="500"
     >
-      {`${(percent * 100).toFixed(0)}%`}
+      {formatPercent(percent, language)}
     </text>
   );
 };
 
 /**
- * A component to display the distribution of transactions across recipients using a pie chart.
- * Combines small slices into an "Others" category and shows the recipient name and count.
+ * A component to display the distribution of transactions across categories or recipients using a pie chart.
+ * Combines small slices into an "Others" category and shows the category or recipient name and count.
  *
  * @param {object} props - The component props.
- * @param {Array<object>} props.transactions - An array of transaction objects.
- *  Each object should have a receiver property
+ * @param {Array<object>} props.transactions - The expenses, without the credits.
+ *  Each object should have category and receiver properties
+ * @param {string} [props.language="en"] - The language of the labels and percentages.
  * @param {boolean} props.darkMode - Whether dark mode is enabled
  * @returns {JSX.Element} The rendered TransactionDistributionPieChart component.
  */
 const TransactionDistributionPieChart = ({
   transactions,
+  language = "en",
   darkMode = false,
 }) => {
+  const t = getTranslator(language);
   const [activeIndex, setActiveIndex] = useState(null);
+  const [groupBy, setGroupBy] = useState("category"); // 'category' or 'recipient'
+
+  const unknownRecipient = t("distribution.unknownRecipient");
+  const othersLabel = t("distribution.others");
 
   const data = useMemo(() => {
     if (!transactions || !transactions.length) return [];
 
-    const recipientCounts = {};
-    transactions.forEach((tx) => {
-      const recipient = tx.receiver || "Unknown Recipient"; // Default if missing
-      recipientCounts[recipient] = (recipientCounts[recipient] || 0) + 1;
-    });
+    let groupedData;
+    if (groupBy === "category") {
+      groupedData = getCategoryDistribution(transactions);
+    } else {
+      const recipientCounts = {};
+      transactions.forEach((tx) => {
+        const recipient = tx.receiver || unknownRecipient; // Default if missing
+        recipientCounts[recipient] = (recipientCounts[recipient] || 0) + 1;
+      });
+      groupedData = Object.entries(recipientCounts).map(([name, value]) => ({
+        name,
+        value,
+      }));
+    }
 
-    // Convert to array, sort by count (descending), and get total count
-    const sortedData = Object.entries(recipientCounts)
-      .map(([name, value]) => ({ name, value }))
-      .sort((a, b) => b.value - a.value);
+    // Sort by count (descending) and get total count
+    const sortedData = [...groupedData].sort((a, b) => b.value - a.value);
 
     const totalCount = sortedData.reduce((sum, { value }) => sum + value, 0);
     const othersThreshold = totalCount * 0.02; // "Others" if < 2% of total (adjustable)
@@ -104,17 +121,17 @@ const TransactionDistributionPieChart = ({
     }
 
     if (othersCount > 0) {
-      finalData.push({ name: "Others", value: othersCount });
+      finalData.push({ name: othersLabel, value: othersCount });
     }
 
     return finalData;
-  }, [transactions]);
+  }, [transactions, groupBy, unknownRecipient, othersLabel]);
 
   // Custom Tooltip Component
   const CustomTooltip = ({ active, payload }) => {
     if (active && payload && payload.length) {
       const { name, value } = payload[0].payload;
-      const percentage = ((value / transactions.length) * 100).toFixed(1);
+      const percentage = formatPercent(value / transactions.length, language);
 
       return (
         <div
@@ -127,15 +144,15 @@ const TransactionDistributionPieChart = ({
           <p className="font-semibold">{name}</p>
           <div className="flex justify-between gap-4 mt-1">
             <span className={darkMode ? "text-gray-300" : "text-gray-600"}>
-              Count:
+              {t("distribution.count")}
             </span>
             <span className="font-medium">{value}</span>
           </div>
           <div className="flex justify-between gap-4">
             <span className={darkMode ? "text-gray-300" : "text-gray-600"}>
-              Percentage:
+              {t("distribution.percentage")}
             </span>
-            <span className="font-medium">{percentage}%</span>
+            <span className="font-medium">{percentage}</span>
           </div>
         </div>
       );
@@ -166,8 +183,9 @@ const TransactionDistributionPieChart = ({
     return (
       <div className="flex flex-wrap justify-center mt-4 gap-x-4 gap-y-2">
         {payload.map((entry, index) => {
-          const percentage = ((entry.payload.value / totalValue) * 100).toFixed(
-            1
+          const percentage = formatPercent(
+            entry.payload.value / totalValue,
+            language
           );
           return (
             <div key={`legend-${index}`} className="flex items-center">
@@ -176,7 +194,7 @@ const TransactionDistributionPieChart = ({
                 style={{ backgroundColor: entry.color }}
               />
               <span className={darkMode ? "text-gray-300" : "text-gray-700"}>
-                {formatLegendText(entry.value)} ({percentage}%)
+                {formatLegendText(entry.value)} ({percentage})
               </span>
             </div>
           );
@@ -192,7 +210,7 @@ const TransactionDistributionPieChart = ({
           darkMode ? "text-gray-400" : "text-gray-500"
         }`}
       >
-        No transaction data to display
+        {t("distribution.none")}
       </div>
     );
   }
@@ -202,8 +220,28 @@ const TransactionDistributionPieChart = ({
       {/* Chart header with count */}
       <div className="flex justify-between items-center mb-4">
         <h3 className={darkMode ? "text-gray-200" : "text-gray-700"}>
-          Distribution of {transactions.length} transactions
+          {t("distribution.title", { count: transactions.length })}
         </h3>
+        <div className="flex space-x-2">
+          {[
+            ["category", t("distribution.byCategory")],
+            ["recipient", t("distribution.byRecipient")],
+          ].map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => setGroupBy(value)}
+              className={`px-3 py-1 text-sm rounded-md transition-colors duration-200 ${
+                groupBy === value
+                  ? "bg-[#6b21a8] text-white"
+                  : darkMode
+                  ? "bg-gray-700 hover:bg-gray-600 text-gray-300"
+                  : "bg-gray-100 hover:bg-gray-200 text-gray-700"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
       </div>
 
       {/* Chart area */}
@@ -215,7 +253,13 @@ const TransactionDistributionPieChart = ({
               cx="50%"
               cy="50%"
               labelLine={false}
-              label={(props) => <CustomLabel {...props} darkMode={darkMode} />}
+              label={(props) => (
+                <CustomLabel
+                  {...props}
+                  language={language}
+                  darkMode={darkMode}
+                />
+              )}
               outerRadius={130}
               innerRadius={50}
               fill="#8884d8"
@@ -0,0 +1,207 @@
+import React, { useState } from "react";
+import { buildEdits, parseTags } from "../lib/edits";
+import { getTranslator } from "../lib/i18n";
+
+/**
+ * Returns the value a field had before any manual correction.
+ *
+ * @param {object} transaction - A transaction from `applyEdits` and `categorizeTransactions`.
+ * @param {string} field - The editable field.
+ * @returns {any} The parsed value, or the category the rules assign.
+ */
+const parsedValue = (transaction, field) => {
+  if (field === "category") return transaction.ruleCategory;
+  if (transaction.parsedValues && field in transaction.parsedValues) {
+    return transaction.parsedValues[field];
+  }
+  return transaction[field];
+};
+
+/**
+ * A form for correcting a transaction's receiver, reason, category and amount, and for
+ * adding notes and tags. The parsed values are shown next to corrected fields and are
+ * never overwritten, so corrections can be reverted.
+ *
+ * @param {object} props - The component props.
+ * @param {object} props.transaction - The transaction being edited.
+ * @param {Array<string>} props.categories - Existing category names to suggest.
+ * @param {function} props.onSave - Receives the new `{ edits, notes, tags }` and resolves once saved.
+ * @param {function} props.onCancel - Closes the editor without saving.
+ * @param {string} [props.language="en"] - The language of the labels.
+ * @param {boolean} props.darkMode - Whether dark mode is enabled
+ * @returns {JSX.Element} The rendered TransactionEditor component.
+ */
+const TransactionEditor = ({
+  transaction,
+  categories = [],
+  onSave,
+  onCancel,
+  language = "en",
+  darkMode = false,
+}) => {
+  const t = getTranslator(language);
+  const [values, setValues] = useState({
+    receiver: transaction.receiver ?? "",
+    reason: transaction.reason ?? "",
+    category: transaction.category ?? "",
+    amount: transaction.amount ?? "",
+  });
+  const [notes, setNotes] = useState(transaction.notes ?? "");
+  const [tags, setTags] = useState((transaction.tags || []).join(", "));
+  const [error, setError] = useState(""); // A translation key
+  const [saving, setSaving] = useState(false);
+
+  const parsed = {
+    receiver: parsedValue(transaction, "receiver"),
+    reason: parsedValue(transaction, "reason"),
+    category: parsedValue(transaction, "category"),
+    amount: parsedValue(transaction, "amount"),
+  };
+
+  const save = async (annotations) => {
+    setSaving(true);
+    try {
+      await onSave(annotations);
+    } catch (saveError) {
+      console.error("Error saving transaction edits:", saveError);
+      setError("editor.saveError");
+      setSaving(false);
+    }
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    let edits;
+    try {
+      edits = buildEdits(parsed, values);
+    } catch {
+      // buildEdits only rejects an amount that is not a positive number
+      setError("editor.invalidAmount");
+      return;
+    }
+    setError("");
+    save({ edits, notes: notes.trim(), tags: parseTags(tags) });
+  };
+
+  const inputClasses = `mt-1 block w-full rounded-md p-2 text-sm focus:outline-none focus:ring-2 focus:ring-opacity-50 ${
+    darkMode
+      ? "bg-gray-700 text-white border-gray-600 focus:ring-[#8b5cf6] focus:border-[#8b5cf6]"
+      : "border border-gray-300 focus:ring-[#6b21a8] focus:border-[#6b21a8]"
+  }`;
+  const labelClasses = `block text-sm font-medium ${
+    darkMode ? "text-gray-300" : "text-gray-700"
+  }`;
+  const hintClasses = `mt-1 text-xs ${
+    darkMode ? "text-gray-400" : "text-gray-500"
+  }`;
+  const buttonClasses = `px-4 py-2 text-sm rounded-md transition-colors duration-200 disabled:opacity-50 ${
+    darkMode
+      ? "bg-gray-700 hover:bg-gray-600 text-gray-300"
+      : "bg-gray-100 hover:bg-gray-200 text-gray-700"
+  }`;
+
+  const fields = [
+    { name: "receiver", label: t("table.recipient") },
+    { name: "reason", label: t("table.reason") },
+    { name: "category", label: t("table.category") },
+    { name: "amount", label: t("table.amount") },
+  ];
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-4">
+        {fields.map(({ name, label }) => (
+          <div key={name}>
+            <label htmlFor={`edit-${name}`} className={labelClasses}>
+              {label}
+            </label>
+            <input
+              id={`edit-${name}`}
+              type={name === "amount" ? "number" : "text"}
+              step={name === "amount" ? "0.01" : undefined}
+              list={name === "category" ? "edit-category-options" : undefined}
+              value={values[name]}
+              onChange={(e) => setValues({ ...values, [name]: e.target.value })}
+              className={inputClasses}
+            />
+            {transaction.edits && name in transaction.edits && (
+              <p className={hintClasses}>
+                {t("editor.parsed", { value: parsed[name] ?? "-" })}
+              </p>
+            )}
+          </div>
+        ))}
+        <datalist id="edit-category-options">
+          {categories.map((category) => (
+            <option key={category} value={category} />
+          ))}
+        </datalist>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor="edit-notes" className={labelClasses}>
+            {t("editor.notes")}
+          </label>
+          <textarea
+            id="edit-notes"
+            rows={2}
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            className={inputClasses}
+          />
+        </div>
+        <div>
+          <label htmlFor="edit-tags" className={labelClasses}>
+            {t("editor.tags")}
+          </label>
+          <input
+            id="edit-tags"
+            type="text"
+            value={tags}
+            onChange={(e) => setTags(e.target.value)}
+            placeholder={t("editor.tagsPlaceholder")}
+            className={inputClasses}
+          />
+          <p className={hintClasses}>{t("editor.tagsHint")}</p>
+        </div>
+      </div>
+
+      {error && (
+        <p className={`text-sm ${darkMode ? "text-red-300" : "text-red-600"}`}>
+          {t(error)}
+        </p>
+      )}
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-4 py-2 text-sm rounded-md transition-colors duration-200 disabled:opacity-50 bg-[#6b21a8] hover:bg-[#4c1d95] text-white"
+        >
+          {t("editor.save")}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          disabled={saving}
+          className={buttonClasses}
+        >
+          {t("editor.cancel")}
+        </button>
+        {transaction.edits && Object.keys(transaction.edits).length > 0 && (
+          <button
+            type="button"
+            onClick={() => save({ edits: {} })}
+            disabled={saving}
+            className={buttonClasses}
+          >
+            {t("editor.revert")}
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+export default TransactionEditor;
@@ -0,0 +1,179 @@
+import React, { useState, useEffect } from "react";
+import {
+  EXPORT_COLUMNS,
+  loadExportColumns,
+  saveExportColumns,
+  toCsv,
+  toXlsx,
+  toOfx,
+  toQif,
+} from "../lib/exporters";
+import { toDateKey } from "../lib/dateRange";
+import { getTranslator } from "../lib/i18n";
+
+/**
+ * Export buttons for the transaction table: downloads the given transactions as CSV or
+ * XLSX, with a chooser for the columns to include. The chosen columns are remembered.
+ * They can also be downloaded as OFX or QIF for personal finance software; those files
+ * have a fixed layout and list the transactions oldest first.
+ *
+ * @param {object} props - The component props.
+ * @param {Array<object>} props.transactions - The transactions to export, filtered and sorted as in the table.
+ * @param {Array<object>} [props.allTransactions] - Every transaction of the account, so that OFX and QIF
+ *                                                   balances stay right when only some are exported.
+ * @param {string} [props.language="en"] - The language of the labels.
+ * @param {boolean} props.darkMode - Whether dark mode is enabled.
+ * @returns {JSX.Element} The rendered TransactionExport component.
+ */
+const TransactionExport = ({
+  transactions = [],
+  allTransactions = transactions,
+  language = "en",
+  darkMode = false,
+}) => {
+  const t = getTranslator(language);
+  const [columns, setColumns] = useState(loadExportColumns);
+  const [showColumns, setShowColumns] = useState(false);
+
+  useEffect(() => {
+    saveExportColumns(columns);
+  }, [columns]);
+
+  /**
+   * Adds or removes a column from the export.
+   *
+   * @param {string} key - The column key.
+   */
+  const toggleColumn = (key) => {
+    setColumns((current) =>
+      current.includes(key)
+        ? current.filter((column) => column !== key)
+        : [...current, key]
+    );
+  };
+
+  /**
+   * Downloads a file built in the browser.
+   *
+   * @param {BlobPart} content - The file contents.
+   * @param {string} type - The MIME type.
+   * @param {string} extension - The file extension, without the dot.
+   */
+  const download = (content, type, extension) => {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `cbe-transactions-${toDateKey(new Date())}.${extension}`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const exportCsv = () => {
+    // The byte order mark lets Excel detect UTF-8, so Amharic text survives
+    download(
+      "\uFEFF" + toCsv(transactions, columns),
+      "text/csv;charset=utf-8",
+      "csv"
+    );
+  };
+
+  const exportXlsx = () => {
+    download(
+      toXlsx(transactions, columns),
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      "xlsx"
+    );
+  };
+
+  const exportOfx = () => {
+    download(
+      toOfx(transactions, { allTransactions }),
+      "application/x-ofx",
+      "ofx"
+    );
+  };
+
+  const exportQif = () => {
+    download(
+      toQif(transactions, { allTransactions }),
+      "application/qif",
+      "qif"
+    );
+  };
+
+  const disabled = transactions.length === 0 || columns.length === 0;
+  const buttonClasses = `px-3 py-1 text-sm rounded-md transition-colors duration-200 disabled:opacity-50 ${
+    darkMode
+      ? "bg-gray-700 hover:bg-gray-600 text-gray-300"
+      : "bg-gray-100 hover:bg-gray-200 text-gray-700"
+  }`;
+
+  return (
+    <div className="mt-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={exportCsv}
+          disabled={disabled}
+          className={buttonClasses}
+        >
+          {t("export.csv")}
+        </button>
+        <button
+          onClick={exportXlsx}
+          disabled={disabled}
+          className={buttonClasses}
+        >
+          {t("export.xlsx")}
+        </button>
+        <button
+          onClick={exportOfx}
+          disabled={transactions.length === 0}
+          className={buttonClasses}
+        >
+          {t("export.ofx")}
+        </button>
+        <button
+          onClick={exportQif}
+          disabled={transactions.length === 0}
+          className={buttonClasses}
+        >
+          {t("export.qif")}
+        </button>
+        <button
+          onClick={() => setShowColumns(!showColumns)}
+          aria-expanded={showColumns}
+          className={`text-sm underline ${
+            darkMode ? "text-gray-400" : "text-gray-600"
+          }`}
+        >
+          {t("export.columns", {
+            count: columns.length,
+            total: EXPORT_COLUMNS.length,
+          })}
+        </button>
+      </div>
+      {showColumns && (
+        <fieldset
+          className={`flex flex-wrap gap-x-4 gap-y-2 mt-2 text-sm ${
+            darkMode ? "text-gray-300" : "text-gray-700"
+          }`}
+        >
+          <legend className="sr-only">{t("export.columnsLegend")}</legend>
+          {EXPORT_COLUMNS.map(({ key }) => (
+            <label key={key} className="inline-flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={columns.includes(key)}
+                onChange={() => toggleColumn(key)}
+              />
+              {t(`export.column.${key}`)}
+            </label>
+          ))}
+        </fieldset>
+      )}
+    </div>
+  );
+};
+
+export default TransactionExport;
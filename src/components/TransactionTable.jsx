@@ -1,23 +1,62 @@
 import React, { useState, useMemo, useEffect } from "react";
-import { sortData } from "../lib/utils";
+import { sortData, isIncome, getFees } from "../lib/utils";
+import { needsReview, describeWarning } from "../lib/validation";
+import { isUnusual, describeAnomaly } from "../lib/anomalies";
+import { formatDate } from "../lib/calendar";
+import { getTranslator, formatAmount, formatCurrency } from "../lib/i18n";
+import {
+  EMPTY_FILTERS,
+  filterTransactions,
+  describeActiveFilters,
+  summarizeTransactions,
+} from "../lib/filters";
+import TransactionEditor from "./TransactionEditor";
+import TransactionExport from "./TransactionExport";
 
 /**
  * A component to display transaction data in a table format with pagination.
- * Supports sorting by date, amount, reason, and receiver, and date range filtering.
+ * Supports sorting by date, amount, reason, category, receiver and reference number.
+ * A search box finds text in the receiver, payer, reason and notes, and filters narrow the list by
+ * amount range, category, direction and review status; the date range is set for the whole dashboard. Active filters are shown as
+ * removable chips, and the totals of the filtered transactions are shown above the table.
+ * Reference numbers link to the CBE receipt when its URL is known.
+ * Transactions with validation warnings are highlighted and can be filtered with "Needs review".
+ * Unusual transactions, as found by `flagAnomalies`, are highlighted in red with the reasons in a tooltip.
+ * Each transaction can be corrected and annotated with notes and tags; corrected values are
+ * marked, with the parsed value in their tooltip.
+ * The filtered transactions can be exported to CSV or Excel, in the order they are sorted.
  * Also allows the user to select the number of items to display per page.
  *
  * @param {object} props - The component props.
  * @param {Array<object>} props.transactions - An array of transaction objects.
+ * @param {Array<object>} [props.allTransactions] - Every transaction, also outside the date range, for the
+ *                                                   balances of OFX and QIF exports.
+ * @param {object} props.filters - The search text and filters, see EMPTY_FILTERS. Kept by the parent so the
+ *                                 summary cards can show the same transactions.
+ * @param {function} props.setFilters - Updates the filters.
+ * @param {function} [props.onUpdateTransaction] - Saves a transaction's `{ edits, notes, tags }`, given its id.
+ *                                                 Editing is disabled when omitted.
+ * @param {string} [props.calendar="gregorian"] - The calendar dates are shown in.
+ * @param {string} [props.language="en"] - The language of the labels and amounts.
  * @param {boolean} props.darkMode - Whether dark mode is enabled.
  * @returns {JSX.Element} The rendered TransactionTable component.
  */
-const TransactionTable = ({ transactions = [], darkMode }) => {
+const TransactionTable = ({
+  transactions = [],
+  allTransactions = transactions,
+  filters = EMPTY_FILTERS,
+  setFilters,
+  onUpdateTransaction,
+  calendar = "gregorian",
+  language = "en",
+  darkMode,
+}) => {
+  const t = getTranslator(language);
   const [sortColumn, setSortColumn] = useState(""); // The column to sort by.
   const [sortDirection, setSortDirection] = useState("asc"); // Sort direction ('asc' or 'desc').
-  const [filterStart, setFilterStart] = useState(""); // Start date for filtering.
-  const [filterEnd, setFilterEnd] = useState(""); // End date for filtering.
   const [currentPage, setCurrentPage] = useState(1);
   const [itemsPerPage, setItemsPerPage] = useState(10); // Items per page, default is 10
+  const [editingId, setEditingId] = useState(null); // The transaction open in the editor
 
   /**
    * Handles sorting when a column header is clicked.  Toggles the sort direction
@@ -36,20 +75,70 @@ const TransactionTable = ({ transactions = [], darkMode }) => {
   };
 
   /**
-   * Filters the transactions based on the selected start and end dates.
+   * Updates one filter.
+   *
+   * @param {string} key - The filter to change.
+   * @param {string} value - Its new value; an empty string clears it.
+   */
+  const setFilter = (key, value) => {
+    setFilters((current) => ({ ...current, [key]: value }));
+  };
+
+  /**
+   * Filters the transactions with the search text and the selected filters.
    * useMemo ensures this is only recalculated when dependencies change.
    *
    * @returns {Array<object>} The filtered array of transactions.
    */
   const filteredTransactions = useMemo(() => {
-    return transactions.filter((tx) => {
-      const txDate = new Date(tx.date);
-      if (filterStart && txDate < new Date(filterStart + "T00:00:00"))
-        return false;
-      if (filterEnd && txDate > new Date(filterEnd + "T23:59:59")) return false; // Include time for end date
-      return true;
-    });
-  }, [transactions, filterStart, filterEnd]);
+    return filterTransactions(transactions, filters);
+  }, [transactions, filters]);
+
+  const activeFilters = useMemo(
+    () => describeActiveFilters(filters, language),
+    [filters, language]
+  );
+
+  const totals = useMemo(
+    () => summarizeTransactions(filteredTransactions),
+    [filteredTransactions]
+  );
+
+  const categories = useMemo(
+    () =>
+      [
+        ...new Set(transactions.map((tx) => tx.category).filter(Boolean)),
+      ].sort(),
+    [transactions]
+  );
+
+  /**
+   * Renders a marker for a corrected field, with the parsed value in its tooltip.
+   *
+   * @param {object} tx - The transaction.
+   * @param {string} field - The editable field.
+   * @returns {JSX.Element|null} The marker, or null if the field was not corrected.
+   */
+  const editedMarker = (tx, field) => {
+    if (!tx.edits || !(field in tx.edits)) return null;
+    const parsed =
+      field === "category" ? tx.ruleCategory : tx.parsedValues?.[field];
+    return (
+      <span
+        className={`ml-1 cursor-help ${
+          darkMode ? "text-purple-300" : "text-[#6b21a8]"
+        }`}
+        title={t("transactions.edited", { value: parsed ?? "-" })}
+      >
+        ✎
+      </span>
+    );
+  };
+
+  const reviewCount = useMemo(
+    () => transactions.filter(needsReview).length,
+    [transactions]
+  );
 
   /**
    * Sorts the filtered transactions based on the selected column and direction.
@@ -75,52 +164,138 @@ const TransactionTable = ({ transactions = [], darkMode }) => {
     setCurrentPage(1);
   }, [itemsPerPage, sortedTransactions.length]);
 
+  const labelClasses = `block text-sm font-medium ${
+    darkMode ? "text-gray-300" : "text-gray-700"
+  }`;
+  const inputClasses = `mt-1 block w-full rounded-md p-2 focus:outline-none focus:ring-2 focus:ring-opacity-50 ${
+    darkMode
+      ? "bg-gray-700 text-white border-gray-600 focus:ring-[#8b5cf6] focus:border-[#8b5cf6]"
+      : "border border-gray-300 focus:ring-[#6b21a8] focus:border-[#6b21a8]"
+  }`;
+
   return (
     <div className="p-4">
-      {/* Date Filtering inputs */}
-      <div className="mb-4 flex flex-col md:flex-row space-y-2 md:space-y-0 md:space-x-4">
-        <div className="flex flex-col">
-          <label
-            htmlFor="filterStart"
-            className={`block text-sm font-medium ${
-              darkMode ? "text-gray-300" : "text-gray-700"
-            }`}
-          >
-            Start Date
-          </label>
-          <input
-            id="filterStart"
-            type="date"
-            value={filterStart}
-            onChange={(e) => setFilterStart(e.target.value)}
-            className={`mt-1 block w-full rounded-md  p-2 focus:outline-none focus:ring-2 focus:ring-opacity-50  ${
-              darkMode
-                ? "bg-gray-700 text-white border-gray-600 focus:ring-[#8b5cf6] focus:border-[#8b5cf6]"
-                : "border border-gray-300 focus:ring-[#6b21a8] focus:border-[#6b21a8]"
-            }`}
-          />
-        </div>
-        <div className="flex flex-col">
-          <label
-            htmlFor="filterEnd"
-            className={`block text-sm font-medium ${
-              darkMode ? "text-gray-300" : "text-gray-700"
-            }`}
-          >
-            End Date
-          </label>
-          <input
-            id="filterEnd"
-            type="date"
-            value={filterEnd}
-            onChange={(e) => setFilterEnd(e.target.value)}
-            className={`mt-1 block w-full  rounded-md p-2 focus:outline-none focus:ring-2 focus:ring-opacity-50 ${
-              darkMode
-                ? "bg-gray-700 text-white border-gray-600 focus:ring-[#8b5cf6] focus:border-[#8b5cf6]"
-                : "border border-gray-300 focus:ring-[#6b21a8] focus:border-[#6b21a8]"
-            }`}
-          />
+      {/* Search and filter inputs */}
+      <div className="mb-4 space-y-4">
+        <input
+          type="search"
+          value={filters.search}
+          onChange={(e) => setFilter("search", e.target.value)}
+          placeholder={t("transactions.searchPlaceholder")}
+          aria-label={t("transactions.searchLabel")}
+          className={inputClasses}
+        />
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-4">
+          <div className="flex flex-col">
+            <label htmlFor="filterMinAmount" className={labelClasses}>
+              {t("transactions.minAmount")}
+            </label>
+            <input
+              id="filterMinAmount"
+              type="number"
+              min="0"
+              value={filters.minAmount}
+              onChange={(e) => setFilter("minAmount", e.target.value)}
+              className={inputClasses}
+            />
+          </div>
+          <div className="flex flex-col">
+            <label htmlFor="filterMaxAmount" className={labelClasses}>
+              {t("transactions.maxAmount")}
+            </label>
+            <input
+              id="filterMaxAmount"
+              type="number"
+              min="0"
+              value={filters.maxAmount}
+              onChange={(e) => setFilter("maxAmount", e.target.value)}
+              className={inputClasses}
+            />
+          </div>
+          <div className="flex flex-col">
+            <label htmlFor="filterCategory" className={labelClasses}>
+              {t("table.category")}
+            </label>
+            <select
+              id="filterCategory"
+              value={filters.category}
+              onChange={(e) => setFilter("category", e.target.value)}
+              className={inputClasses}
+            >
+              <option value="">{t("transactions.allCategories")}</option>
+              {categories.map((category) => (
+                <option key={category} value={category}>
+                  {category}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="flex flex-col">
+            <label htmlFor="filterDirection" className={labelClasses}>
+              {t("transactions.direction")}
+            </label>
+            <select
+              id="filterDirection"
+              value={filters.direction}
+              onChange={(e) => setFilter("direction", e.target.value)}
+              className={inputClasses}
+            >
+              <option value="">{t("transactions.allDirections")}</option>
+              <option value="debit">{t("transactions.expenses")}</option>
+              <option value="credit">{t("transactions.income")}</option>
+            </select>
+          </div>
+          <div className="flex flex-col">
+            <label htmlFor="filterFlagged" className={labelClasses}>
+              {t("transactions.reviewStatus")}
+            </label>
+            <select
+              id="filterFlagged"
+              value={filters.flagged}
+              onChange={(e) => setFilter("flagged", e.target.value)}
+              className={inputClasses}
+            >
+              <option value="">{t("transactions.all")}</option>
+              <option value="flagged">
+                {t("transactions.needsReviewCount", { count: reviewCount })}
+              </option>
+              <option value="ok">{t("transactions.noWarnings")}</option>
+            </select>
+          </div>
         </div>
+
+        {/* Active filter chips */}
+        {activeFilters.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2">
+            {activeFilters.map(({ key, label }) => (
+              <span
+                key={key}
+                className={`inline-flex items-center px-3 py-1 rounded-full text-sm ${
+                  darkMode
+                    ? "bg-gray-700 text-purple-300"
+                    : "bg-purple-50 text-purple-800"
+                }`}
+              >
+                {label}
+                <button
+                  onClick={() => setFilter(key, EMPTY_FILTERS[key])}
+                  className="ml-2 font-bold hover:opacity-70"
+                  aria-label={t("transactions.removeFilter", { label })}
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+            <button
+              onClick={() => setFilters(EMPTY_FILTERS)}
+              className={`text-sm underline ${
+                darkMode ? "text-gray-400" : "text-gray-600"
+              }`}
+            >
+              {t("transactions.clearFilters")}
+            </button>
+          </div>
+        )}
       </div>
 
       <div
@@ -136,8 +311,47 @@ const TransactionTable = ({ transactions = [], darkMode }) => {
               darkMode ? "text-purple-300" : "text-[#4c1d95]"
             }`}
           >
-            Transactions
+            {t("transactions.title")}
           </h2>
+          {/* Totals of the filtered transactions */}
+          <div
+            className={`flex flex-wrap gap-x-6 gap-y-1 mt-2 text-sm ${
+              darkMode ? "text-gray-400" : "text-gray-600"
+            }`}
+          >
+            <span>
+              {t("transactions.shownCount", {
+                count: totals.count,
+                total: transactions.length,
+              })}
+            </span>
+            <span>
+              {t("transactions.expensesTotal", {
+                amount: formatCurrency(totals.expenses, language),
+              })}
+            </span>
+            <span>
+              {t("transactions.incomeTotal", {
+                amount: formatCurrency(totals.income, language),
+              })}
+            </span>
+            <span>
+              {t("transactions.netTotal", {
+                amount: formatCurrency(totals.net, language),
+              })}
+            </span>
+            <span>
+              {t("transactions.feesTotal", {
+                amount: formatCurrency(totals.fees, language),
+              })}
+            </span>
+          </div>
+          <TransactionExport
+            transactions={sortedTransactions}
+            allTransactions={allTransactions}
+            language={language}
+            darkMode={darkMode}
+          />
         </div>
         <div className="p-4 md:p-6 pt-0">
           <div className="overflow-x-auto">
@@ -151,7 +365,7 @@ const TransactionTable = ({ transactions = [], darkMode }) => {
                       darkMode ? "text-gray-300" : "text-gray-500"
                     }`}
                   >
-                    Date
+                    {t("table.date")}
                     {sortColumn === "date" && (
                       <span className="ml-1">
                         {sortDirection === "asc" ? "↑" : "↓"}
@@ -165,13 +379,21 @@ const TransactionTable = ({ transactions = [], darkMode }) => {
                       darkMode ? "text-gray-300" : "text-gray-500"
                     }`}
                   >
-                    Amount (ETB)
+                    {t("table.amount")}
                     {sortColumn === "amount" && (
                       <span className="ml-1">
                         {sortDirection === "asc" ? "↑" : "↓"}
                       </span>
                     )}
                   </th>
+                  <th
+                    scope="col"
+                    className={`px-3 py-2 text-right text-xs font-medium uppercase tracking-wider ${
+                      darkMode ? "text-gray-300" : "text-gray-500"
+                    }`}
+                  >
+                    {t("table.fees")}
+                  </th>
                   <th
                     scope="col"
                     onClick={() => handleSort("reason")}
@@ -179,13 +401,27 @@ const TransactionTable = ({ transactions = [], darkMode }) => {
                       darkMode ? "text-gray-300" : "text-gray-500"
                     }`}
                   >
-                    Reason
+                    {t("table.reason")}
                     {sortColumn === "reason" && (
                       <span className="ml-1">
                         {sortDirection === "asc" ? "↑" : "↓"}
                       </span>
                     )}
                   </th>
+                  <th
+                    scope="col"
+                    onClick={() => handleSort("category")}
+                    className={`px-3 py-2 text-left text-xs font-medium uppercase tracking-wider cursor-pointer ${
+                      darkMode ? "text-gray-300" : "text-gray-500"
+                    }`}
+                  >
+                    {t("table.category")}
+                    {sortColumn === "category" && (
+                      <span className="ml-1">
+                        {sortDirection === "asc" ? "↑" : "↓"}
+                      </span>
+                    )}
+                  </th>
                   <th
                     scope="col"
                     onClick={() => handleSort("receiver")}
@@ -193,13 +429,32 @@ const TransactionTable = ({ transactions = [], darkMode }) => {
                       darkMode ? "text-gray-300" : "text-gray-500"
                     }`}
                   >
-                    Recipient
+                    {t("table.recipient")}
                     {sortColumn === "receiver" && (
                       <span className="ml-1">
                         {sortDirection === "asc" ? "↑" : "↓"}
                       </span>
                     )}
                   </th>
+                  <th
+                    scope="col"
+                    onClick={() => handleSort("referenceNo")}
+                    className={`px-3 py-2 text-left text-xs font-medium uppercase tracking-wider cursor-pointer ${
+                      darkMode ? "text-gray-300" : "text-gray-500"
+                    }`}
+                  >
+                    {t("table.reference")}
+                    {sortColumn === "referenceNo" && (
+                      <span className="ml-1">
+                        {sortDirection === "asc" ? "↑" : "↓"}
+                      </span>
+                    )}
+                  </th>
+                  {onUpdateTransaction && (
+                    <th scope="col" className="px-3 py-2">
+                      <span className="sr-only">{t("transactions.edit")}</span>
+                    </th>
+                  )}
                 </tr>
               </thead>
               <tbody
@@ -211,51 +466,222 @@ const TransactionTable = ({ transactions = [], darkMode }) => {
               >
                 {pagedTransactions.length > 0 ? (
                   pagedTransactions.map((tx, index) => (
-                    <tr
-                      key={tx.date + index}
-                      className={`hover:bg-gray-50 transition-colors duration-150 ${
-                        darkMode ? "hover:bg-gray-700/50" : ""
-                      }`}
-                    >
-                      <td
-                        className={`px-3 py-4 whitespace-nowrap text-sm ${
-                          darkMode ? "text-gray-200" : "text-gray-900"
-                        }`}
-                      >
-                        {tx.date}
-                      </td>
-                      <td
-                        className={`px-3 py-4 whitespace-nowrap text-sm text-right ${
-                          darkMode ? "text-gray-200" : "text-gray-900"
-                        }`}
-                      >
-                        {tx.amount && tx.amount.toFixed(2)}
-                      </td>
-                      <td
-                        className={`px-3 py-4 whitespace-nowrap text-sm ${
-                          darkMode ? "text-gray-200" : "text-gray-900"
-                        }`}
-                      >
-                        {tx.reason}
-                      </td>
-                      <td
-                        className={`px-3 py-4 whitespace-nowrap text-sm ${
-                          darkMode ? "text-gray-200" : "text-gray-900"
+                    <React.Fragment key={tx.id || tx.date + index}>
+                      <tr
+                        className={`hover:bg-gray-50 transition-colors duration-150 ${
+                          darkMode ? "hover:bg-gray-700/50" : ""
+                        } ${
+                          needsReview(tx)
+                            ? darkMode
+                              ? "bg-yellow-900/20"
+                              : "bg-yellow-50"
+                            : isUnusual(tx)
+                            ? darkMode
+                              ? "bg-red-900/20"
+                              : "bg-red-50"
+                            : ""
                         }`}
                       >
-                        {tx.receiver}
-                      </td>
-                    </tr>
+                        <td
+                          className={`px-3 py-4 whitespace-nowrap text-sm ${
+                            darkMode ? "text-gray-200" : "text-gray-900"
+                          }`}
+                        >
+                          {needsReview(tx) && (
+                            <span
+                              className={`mr-1 cursor-help ${
+                                darkMode ? "text-yellow-300" : "text-yellow-600"
+                              }`}
+                              title={tx.warnings
+                                .map((warning) =>
+                                  describeWarning(warning, language)
+                                )
+                                .join("\n")}
+                              aria-label={t("transactions.needsReview")}
+                            >
+                              ⚠
+                            </span>
+                          )}
+                          {isUnusual(tx) && (
+                            <span
+                              className={`mr-1 cursor-help ${
+                                darkMode ? "text-red-300" : "text-red-600"
+                              }`}
+                              title={tx.anomalies
+                                .map((anomaly) =>
+                                  describeAnomaly(anomaly, language)
+                                )
+                                .join("\n")}
+                              aria-label={t("transactions.unusual")}
+                            >
+                              ❗
+                            </span>
+                          )}
+                          {formatDate(tx.date, calendar, language) || "-"}
+                        </td>
+                        <td
+                          className={`px-3 py-4 whitespace-nowrap text-sm text-right ${
+                            isIncome(tx)
+                              ? darkMode
+                                ? "text-green-300"
+                                : "text-green-700"
+                              : darkMode
+                              ? "text-gray-200"
+                              : "text-gray-900"
+                          }`}
+                        >
+                          {isIncome(tx) && "+"}
+                          {tx.amount && formatAmount(tx.amount, language)}
+                          {editedMarker(tx, "amount")}
+                        </td>
+                        <td
+                          className={`px-3 py-4 whitespace-nowrap text-sm text-right ${
+                            darkMode ? "text-gray-400" : "text-gray-500"
+                          }`}
+                          title={
+                            tx.serviceCharge != null || tx.vat != null
+                              ? t("transactions.feeBreakdown", {
+                                  serviceCharge: formatAmount(
+                                    tx.serviceCharge || 0,
+                                    language
+                                  ),
+                                  vat: formatAmount(tx.vat || 0, language),
+                                })
+                              : undefined
+                          }
+                        >
+                          {getFees(tx) > 0
+                            ? formatAmount(getFees(tx), language)
+                            : "-"}
+                        </td>
+                        <td
+                          className={`px-3 py-4 whitespace-nowrap text-sm ${
+                            darkMode ? "text-gray-200" : "text-gray-900"
+                          }`}
+                        >
+                          {tx.reason}
+                          {editedMarker(tx, "reason")}
+                          {tx.notes && (
+                            <span
+                              className="ml-1 cursor-help"
+                              title={tx.notes}
+                              aria-label={t("transactions.note")}
+                            >
+                              📝
+                            </span>
+                          )}
+                          {tx.tags?.length > 0 && (
+                            <div className="flex flex-wrap gap-1 mt-1">
+                              {tx.tags.map((tag) => (
+                                <span
+                                  key={tag}
+                                  className={`px-2 py-0.5 rounded-full text-xs ${
+                                    darkMode
+                                      ? "bg-gray-700 text-purple-300"
+                                      : "bg-purple-50 text-purple-800"
+                                  }`}
+                                >
+                                  {tag}
+                                </span>
+                              ))}
+                            </div>
+                          )}
+                        </td>
+                        <td
+                          className={`px-3 py-4 whitespace-nowrap text-sm ${
+                            darkMode ? "text-gray-200" : "text-gray-900"
+                          }`}
+                        >
+                          {tx.category}
+                          {editedMarker(tx, "category")}
+                        </td>
+                        <td
+                          className={`px-3 py-4 whitespace-nowrap text-sm ${
+                            darkMode ? "text-gray-200" : "text-gray-900"
+                          }`}
+                        >
+                          {tx.receiver}
+                          {editedMarker(tx, "receiver")}
+                        </td>
+                        <td
+                          className={`px-3 py-4 whitespace-nowrap text-sm font-mono ${
+                            darkMode ? "text-gray-200" : "text-gray-900"
+                          }`}
+                        >
+                          {tx.receiptUrl ? (
+                            <a
+                              href={tx.receiptUrl}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              className={`underline ${
+                                darkMode
+                                  ? "text-purple-300 hover:text-purple-200"
+                                  : "text-[#6b21a8] hover:text-[#4c1d95]"
+                              }`}
+                            >
+                              {tx.referenceNo || t("transactions.receipt")}
+                            </a>
+                          ) : (
+                            tx.referenceNo
+                          )}
+                        </td>
+                        {onUpdateTransaction && (
+                          <td className="px-3 py-4 whitespace-nowrap text-sm text-right">
+                            {tx.id && (
+                              <button
+                                onClick={() =>
+                                  setEditingId(
+                                    editingId === tx.id ? null : tx.id
+                                  )
+                                }
+                                className={`px-3 py-1 rounded-md transition-colors duration-200 ${
+                                  darkMode
+                                    ? "bg-gray-700 hover:bg-gray-600 text-gray-300"
+                                    : "bg-gray-100 hover:bg-gray-200 text-gray-700"
+                                }`}
+                              >
+                                {editingId === tx.id
+                                  ? t("transactions.close")
+                                  : t("transactions.edit")}
+                              </button>
+                            )}
+                          </td>
+                        )}
+                      </tr>
+                      {editingId && editingId === tx.id && (
+                        <tr>
+                          <td
+                            colSpan="8"
+                            className={`px-3 py-4 ${
+                              darkMode ? "bg-gray-900/40" : "bg-gray-50"
+                            }`}
+                          >
+                            <TransactionEditor
+                              key={tx.id}
+                              transaction={tx}
+                              categories={categories}
+                              onSave={async (annotations) => {
+                                await onUpdateTransaction(tx.id, annotations);
+                                setEditingId(null);
+                              }}
+                              onCancel={() => setEditingId(null)}
+                              language={language}
+                              darkMode={darkMode}
+                            />
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
                   ))
                 ) : (
                   <tr>
                     <td
-                      colSpan="4"
+                      colSpan={onUpdateTransaction ? 8 : 7}
                       className={`p-4 text-center ${
                         darkMode ? "text-gray-400" : "text-gray-600"
                       }`}
                     >
-                      No transactions found matching the selected criteria.
+                      {t("transactions.noMatches")}
                     </td>
                   </tr>
                 )}
@@ -271,7 +697,7 @@ const TransactionTable = ({ transactions = [], darkMode }) => {
               }`}
             >
               <div className="flex items-center space-x-2">
-                <span>Rows per page:</span>
+                <span>{t("transactions.rowsPerPage")}</span>
                 <select
                   value={itemsPerPage}
                   onChange={(e) => setItemsPerPage(Number(e.target.value))}
@@ -298,12 +724,15 @@ const TransactionTable = ({ transactions = [], darkMode }) => {
                       ? "bg-gray-700 hover:bg-gray-600 text-gray-300 disabled:opacity-50"
                       : "bg-gray-100 hover:bg-gray-200 text-gray-700 disabled:opacity-50"
                   }`}
-                  aria-label="Previous Page"
+                  aria-label={t("transactions.previousPage")}
                 >
-                  Previous
+                  {t("transactions.previous")}
                 </button>
                 <span className="">
-                  Page {currentPage} of {totalPages}
+                  {t("transactions.page", {
+                    page: currentPage,
+                    pages: totalPages,
+                  })}
                 </span>
                 <button
                   onClick={() =>
@@ -315,9 +744,9 @@ const TransactionTable = ({ transactions = [], darkMode }) => {
                       ? "bg-gray-700 hover:bg-gray-600 text-gray-300 disabled:opacity-50"
                       : "bg-gray-100 hover:bg-gray-200 text-gray-700 disabled:opacity-50"
                   }`}
-                  aria-label="Next Page"
+                  aria-label={t("transactions.nextPage")}
                 >
-                  Next
+                  {t("transactions.next")}
                 </button>
               </div>
             </div>
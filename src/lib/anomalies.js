@@ -0,0 +1,202 @@
+import { isIncome, median, parseTime } from './utils.js';
+import { UNCATEGORIZED } from './categories.js';
+import { getTranslator, formatCurrency } from './i18n.js';
+
+// How many earlier payments a receiver or category needs before its amounts are judged
+const MIN_HISTORY = 5;
+
+// Robust z-score above which an amount is an outlier (Iglewicz and Hoaglin's cut-off)
+const OUTLIER_SCORE = 3.5;
+
+// The spread of a history is taken to be at least 5% of its median, so a run of identical
+// payments (such as rent) does not make every small difference an outlier
+const MIN_SPREAD_RATIO = 0.05;
+
+// A first payment to a new receiver is large when it is among the top 5% of all payments
+// and at least this much (in ETB)
+const LARGE_PAYMENT_PERCENTILE = 0.95;
+const LARGE_PAYMENT_MINIMUM = 1000;
+
+// Payees first seen this soon after the earliest transaction are not "new"; the history
+// simply starts there
+const NEW_PAYEE_GRACE_DAYS = 30;
+
+// Payments made from midnight up to (not including) this hour are at an odd hour
+const ODD_HOURS_END = 5;
+
+/**
+ * Summarizes a history of amounts by its median and its median absolute deviation (MAD).
+ *
+ * @param {Array<number>} amounts - The amounts.
+ * @returns {{ median: number, spread: number }} - The median and the MAD, floored at MIN_SPREAD_RATIO of the median.
+ */
+function summarizeAmounts(amounts) {
+    const middle = median(amounts);
+    const deviation = median(amounts.map(amount => Math.abs(amount - middle)));
+    return { median: middle, spread: Math.max(deviation, middle * MIN_SPREAD_RATIO) };
+}
+
+/**
+ * Scores how far an amount is above a history, as a robust z-score.
+ *
+ * @param {number} amount - The amount.
+ * @param {{ median: number, spread: number }} history - The history, from `summarizeAmounts`.
+ * @returns {number} - The score; 0.6745 scales the MAD to a standard deviation.
+ */
+function outlierScore(amount, history) {
+    return history.spread > 0 ? (0.6745 * (amount - history.median)) / history.spread : 0;
+}
+
+/**
+ * Finds the amount below which a share of the values lies.
+ *
+ * @param {Array<number>} values - The values, in any order.
+ * @param {number} share - The share, from 0 to 1.
+ * @returns {number} - The percentile, or 0 for an empty list.
+ */
+function percentile(values, share) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(share * sorted.length))];
+}
+
+/**
+ * Orders payments oldest first. Payments on the same day are ordered by time, those without
+ * a time coming first, and otherwise keep their order.
+ *
+ * @param {object} a - A payment with a date.
+ * @param {object} b - Another payment with a date.
+ * @returns {number} - Negative if `a` was made first, positive if `b` was, 0 if it is unknown.
+ */
+function compareChronologically(a, b) {
+    const secondsOfDay = tx => {
+        const time = parseTime(tx.time);
+        return time ? time.hours * 3600 + time.minutes * 60 + time.seconds : -1;
+    };
+    return a.date.localeCompare(b.date) || secondsOfDay(a) - secondsOfDay(b);
+}
+
+/**
+ * Summarizes, for every payment, the amounts paid earlier in its group, so that a payment
+ * is judged only by what came before it.
+ *
+ * @param {Array<object>} payments - The payments, oldest first.
+ * @param {function(object): string} getKey - Returns a payment's group, or an empty string to leave it out.
+ * @returns {Map<object, { median: number, spread: number }>} - The summaries by payment, for the payments
+ *          whose group already had MIN_HISTORY payments.
+ */
+function summarizeEarlierPayments(payments, getKey) {
+    const earlierAmounts = new Map();
+    const summaries = new Map();
+    payments.forEach(tx => {
+        const key = getKey(tx);
+        if (!key) return;
+        const amounts = earlierAmounts.get(key) || [];
+        if (amounts.length >= MIN_HISTORY) summaries.set(tx, summarizeAmounts(amounts));
+        amounts.push(tx.amount);
+        earlierAmounts.set(key, amounts);
+    });
+    return summaries;
+}
+
+/**
+ * Looks for unusual payments. Each payment is compared to the earlier payments to the same
+ * receiver and in the same category, using the median and the median absolute deviation
+ * so that past outliers barely move the baseline. Later payments are left out, so a large
+ * payment is not hidden by its own repeats and its flags do not change as new data arrives.
+ *
+ * The checks are:
+ * - receiver-outlier: far more than is usually paid to this receiver.
+ * - category-outlier: far more than is usually spent in this category.
+ * - new-large-payee: the first payment to a receiver, and one of the largest payments overall.
+ * - odd-hour: paid between midnight and 5 AM.
+ *
+ * Only expenses are checked, and only dated ones are compared to a history.
+ *
+ * @param {Array<object>} transactions - The categorized transactions.
+ * @returns {Map<object, Array<{ code: string, amount: number, typical?: number, time?: string }>>}
+ *          - The anomalies found, by transaction. `typical` is the usual amount the payment was compared to.
+ */
+export function detectAnomalies(transactions) {
+    const payments = transactions.filter(tx => !isIncome(tx) && tx.amount > 0);
+    const receiverKey = tx => (tx.receiver || '').trim().toLowerCase();
+    const categoryKey = tx => (tx.category && tx.category !== UNCATEGORIZED ? tx.category : '');
+    const dated = payments.filter(tx => tx.date).sort(compareChronologically);
+    const byReceiver = summarizeEarlierPayments(dated, receiverKey);
+    const byCategory = summarizeEarlierPayments(dated, categoryKey);
+
+    const largePayment = Math.max(
+        percentile(payments.map(tx => tx.amount), LARGE_PAYMENT_PERCENTILE),
+        LARGE_PAYMENT_MINIMUM
+    );
+    const graceEnd = new Date(dated.length ? `${dated[0].date}T00:00:00` : 0);
+    graceEnd.setDate(graceEnd.getDate() + NEW_PAYEE_GRACE_DAYS);
+    const firstPayments = new Map();
+    dated.forEach(tx => {
+        const key = receiverKey(tx);
+        if (key && !firstPayments.has(key)) firstPayments.set(key, tx);
+    });
+
+    const anomalies = new Map();
+    payments.forEach(tx => {
+        const found = [];
+        const receiverHistory = byReceiver.get(tx);
+        const categoryHistory = byCategory.get(tx);
+        if (receiverHistory && outlierScore(tx.amount, receiverHistory) > OUTLIER_SCORE) {
+            found.push({ code: 'receiver-outlier', amount: tx.amount, typical: receiverHistory.median });
+        } else if (categoryHistory && outlierScore(tx.amount, categoryHistory) > OUTLIER_SCORE) {
+            // A payment that is unusual for its receiver is reported once, as that is the closer comparison
+            found.push({ code: 'category-outlier', amount: tx.amount, typical: categoryHistory.median });
+        }
+
+        if (firstPayments.get(receiverKey(tx)) === tx && tx.amount >= largePayment
+            && new Date(`${tx.date}T00:00:00`) >= graceEnd) {
+            found.push({ code: 'new-large-payee', amount: tx.amount });
+        }
+
+        const time = parseTime(tx.time);
+        if (time && time.hours < ODD_HOURS_END) {
+            found.push({ code: 'odd-hour', amount: tx.amount, time: tx.time });
+        }
+
+        if (found.length) anomalies.set(tx, found);
+    });
+    return anomalies;
+}
+
+/**
+ * Attaches the anomalies to every transaction, the way `validateTransactions` attaches warnings.
+ *
+ * @param {Array<object>} transactions - The categorized transactions.
+ * @returns {Array<object>} - Copies of the transactions with an `anomalies` list.
+ */
+export function flagAnomalies(transactions) {
+    const anomalies = detectAnomalies(transactions);
+    return transactions.map(tx => ({ ...tx, anomalies: anomalies.get(tx) || [] }));
+}
+
+/**
+ * Checks whether a transaction was flagged as unusual.
+ *
+ * @param {object} transaction - A transaction from `flagAnomalies`.
+ * @returns {boolean} - True if the transaction has any anomalies.
+ */
+export function isUnusual(transaction) {
+    return Boolean(transaction.anomalies?.length);
+}
+
+/**
+ * Describes an anomaly in words.
+ *
+ * @param {{ code: string, amount: number, typical?: number, time?: string }} anomaly - The anomaly.
+ * @param {string} [language='en'] - The language of the description.
+ * @returns {string} - The description, such as "ETB 9,000.00 is far above the usual ETB 1,200.00 for this recipient".
+ */
+export function describeAnomaly(anomaly, language = 'en') {
+    const t = getTranslator(language);
+    return t(`anomalies.${anomaly.code}`, {
+        amount: formatCurrency(anomaly.amount, language),
+        typical: anomaly.typical != null ? formatCurrency(anomaly.typical, language) : '',
+        time: anomaly.time || '',
+    });
+}
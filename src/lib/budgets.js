@@ -0,0 +1,89 @@
+import { isIncome } from './utils.js';
+
+const BUDGETS_STORAGE_KEY = 'budgets';
+
+/**
+ * Loads the monthly budgets from localStorage.
+ *
+ * @returns {Array<{ id: string, type: 'category'|'recipient', target: string, limit: number }>} - The saved budgets.
+ */
+export function loadBudgets() {
+    const savedBudgets = localStorage.getItem(BUDGETS_STORAGE_KEY);
+    if (!savedBudgets) return [];
+    try {
+        const budgets = JSON.parse(savedBudgets);
+        return Array.isArray(budgets) ? budgets : [];
+    } catch (error) {
+        console.warn("loadBudgets: Ignoring invalid saved budgets:", error); // Development warning for corrupted storage
+        return [];
+    }
+}
+
+/**
+ * Saves the monthly budgets to localStorage.
+ *
+ * @param {Array<object>} budgets - The budgets to save.
+ */
+export function saveBudgets(budgets) {
+    localStorage.setItem(BUDGETS_STORAGE_KEY, JSON.stringify(budgets));
+}
+
+/**
+ * Formats a date as a "YYYY-MM" month key in local time.
+ *
+ * @param {Date} date - The date to format.
+ * @returns {string} - The month key.
+ */
+export function toMonthKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Checks whether a transaction counts against a budget: an expense in the budget's
+ * category, or paid to the budget's recipient.
+ *
+ * @param {object} budget - The budget.
+ * @param {object} transaction - A categorized transaction.
+ * @returns {boolean} - True if the transaction is spending covered by the budget.
+ */
+function budgetCovers(budget, transaction) {
+    if (isIncome(transaction) || !transaction.amount) return false;
+    const target = budget.target.trim().toLowerCase();
+    const value = budget.type === 'recipient' ? transaction.receiver : transaction.category;
+    return (value || '').trim().toLowerCase() === target;
+}
+
+/**
+ * Calculates how a budget stands in a given month.
+ *
+ * For the current month, spending is projected to the month's end at the average daily
+ * rate so far. For past months the projection is simply what was spent.
+ *
+ * @param {object} budget - The budget, with type, target and monthly limit.
+ * @param {Array<object>} transactions - The categorized transactions.
+ * @param {string} monthKey - The month to evaluate, as "YYYY-MM".
+ * @param {Date} [today=new Date()] - The current date, used for the projection.
+ * @returns {{ spent: number, remaining: number, projected: number, status: 'ok'|'warning'|'exceeded' }}
+ *          - The spending so far, what is left, the projected month-end spending, and whether
+ *            the budget is on track, projected to overspend, or already exceeded.
+ */
+export function getBudgetStatus(budget, transactions, monthKey, today = new Date()) {
+    const spent = transactions
+        .filter(tx => tx.date?.startsWith(monthKey) && budgetCovers(budget, tx))
+        .reduce((sum, tx) => sum + Math.abs(tx.amount), 0);
+
+    let projected = spent;
+    if (monthKey === toMonthKey(today)) {
+        const daysInMonth = new Date(today.getFullYear(), today.getMonth() + 1, 0).getDate();
+        projected = (spent / today.getDate()) * daysInMonth;
+    }
+
+    let status = 'ok';
+    if (spent > budget.limit) {
+        status = 'exceeded';
+    } else if (projected > budget.limit) {
+        status = 'warning';
+    }
+
+    return { spent, remaining: budget.limit - spent, projected, status };
+}
@@ -0,0 +1,68 @@
+import { formatMonthLabel } from './utils.js';
+import { toEthiopianMonthKey, formatEthiopianMonth, formatEthiopianDate } from './ethiopianCalendar.js';
+
+/**
+ * The calendars dates can be shown in. Transactions always store Gregorian "YYYY-MM-DD"
+ * dates; the calendar only changes how they are displayed and grouped into months.
+ */
+export const CALENDARS = ['gregorian', 'ethiopian'];
+
+const CALENDAR_STORAGE_KEY = 'calendar';
+
+/**
+ * Loads the calendar setting from localStorage.
+ *
+ * @returns {string} - 'gregorian' or 'ethiopian'; Gregorian when nothing valid is saved.
+ */
+export function loadCalendar() {
+    const savedCalendar = localStorage.getItem(CALENDAR_STORAGE_KEY);
+    return CALENDARS.includes(savedCalendar) ? savedCalendar : 'gregorian';
+}
+
+/**
+ * Saves the calendar setting to localStorage.
+ *
+ * @param {string} calendar - 'gregorian' or 'ethiopian'.
+ */
+export function saveCalendar(calendar) {
+    localStorage.setItem(CALENDAR_STORAGE_KEY, calendar);
+}
+
+/**
+ * Formats a transaction date in the chosen calendar.
+ *
+ * @param {string|null} dateKey - The Gregorian date as "YYYY-MM-DD".
+ * @param {string} calendar - 'gregorian' or 'ethiopian'.
+ * @param {string} [language='en'] - The language of Ethiopian month names.
+ * @returns {string} - The date for display; Gregorian dates are shown as stored.
+ */
+export function formatDate(dateKey, calendar, language = 'en') {
+    if (!dateKey) return '';
+    return calendar === 'ethiopian' ? formatEthiopianDate(dateKey, language) : dateKey;
+}
+
+/**
+ * Builds the "YYYY-MM" month key a date is grouped under in the chosen calendar.
+ *
+ * @param {string} dateKey - The Gregorian date as "YYYY-MM-DD".
+ * @param {string} calendar - 'gregorian' or 'ethiopian'.
+ * @returns {string|null} - The month key, or null if the date is invalid.
+ */
+export function toCalendarMonthKey(dateKey, calendar) {
+    if (calendar === 'ethiopian') {
+        return toEthiopianMonthKey(dateKey);
+    }
+    return /^\d{4}-\d{2}/.test(dateKey || '') ? dateKey.slice(0, 7) : null;
+}
+
+/**
+ * Formats a month key from `toCalendarMonthKey` for display.
+ *
+ * @param {string} monthKey - The month key.
+ * @param {string} calendar - The calendar the key belongs to.
+ * @param {string} [language='en'] - The language of the month name.
+ * @returns {string} - The label, e.g. "Mar 2024" or "Megabit 2016".
+ */
+export function formatCalendarMonth(monthKey, calendar, language = 'en') {
+    return calendar === 'ethiopian' ? formatEthiopianMonth(monthKey, language) : formatMonthLabel(monthKey, language);
+}
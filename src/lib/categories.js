@@ -0,0 +1,217 @@
+import { isIncome } from './utils.js';
+
+export const UNCATEGORIZED = 'Uncategorized';
+export const INCOME_CATEGORY = 'Income';
+
+/**
+ * The kinds of condition a categorization rule can test.
+ *
+ * - reasonContains: the reason contains `value` (case-insensitive).
+ * - receiverEquals: the receiver is `value` (case-insensitive, ignoring surrounding spaces).
+ * - amountRange: the amount lies between `min` and `max` (either bound may be left empty).
+ * - regex: the regular expression `value` matches `field` ('reason', 'receiver', 'payer', 'payee'
+ *   for the reason or the receiver, or 'any').
+ */
+export const RULE_TYPES = ['reasonContains', 'receiverEquals', 'amountRange', 'regex'];
+
+/**
+ * Default rules for common Ethiopian payees. Lower priority numbers are checked first.
+ * They look at who was paid and what for, never the payer, so that a salary from a
+ * university is not filed under School Fees.
+ */
+export const DEFAULT_RULES = [
+    { id: 'default-eeu', category: 'Utilities', type: 'regex', field: 'payee', value: 'ethiopian electric|\\bEEU\\b|electricity|መብራት', priority: 10, enabled: true },
+    { id: 'default-water', category: 'Utilities', type: 'regex', field: 'payee', value: 'water( and sewerage)?|AAWSA|ውሃ', priority: 11, enabled: true },
+    { id: 'default-ethio-telecom', category: 'Telecom', type: 'regex', field: 'payee', value: 'ethio ?telecom|safaricom|airtime|mobile card|data package|internet package', priority: 20, enabled: true },
+    { id: 'default-rent', category: 'Rent', type: 'regex', field: 'reason', value: '\\brent\\b|house ?rent|ኪራይ', priority: 30, enabled: true },
+    { id: 'default-school', category: 'School Fees', type: 'regex', field: 'payee', value: 'school|tuition|academy|college|university|ትምህርት', priority: 40, enabled: true },
+];
+
+/**
+ * Compiles a rule's regular expression, treating invalid patterns as never matching.
+ *
+ * @param {string} pattern - The pattern text.
+ * @returns {RegExp|null} - The case-insensitive expression, or null if the pattern is invalid.
+ */
+function compilePattern(pattern) {
+    try {
+        return new RegExp(pattern, 'i');
+    } catch {
+        return null;
+    }
+}
+
+// The transaction fields a regex rule's `field` stands for, where it names more than one
+const REGEX_FIELD_GROUPS = {
+    any: ['reason', 'receiver', 'payer'],
+    payee: ['reason', 'receiver'],
+};
+
+// The compiled expressions of regex rules, by rule, with the pattern text they were compiled from
+const compiledPatterns = new WeakMap();
+
+/**
+ * Returns a regex rule's compiled expression, compiling it only when the rule is new or its pattern changed.
+ *
+ * @param {object} rule - The regex rule.
+ * @returns {RegExp|null} - The expression, or null if the pattern is empty or invalid.
+ */
+function getRulePattern(rule) {
+    const compiled = compiledPatterns.get(rule);
+    if (compiled && compiled.pattern === rule.value) return compiled.regex;
+    const regex = rule.value ? compilePattern(rule.value) : null;
+    compiledPatterns.set(rule, { pattern: rule.value, regex });
+    return regex;
+}
+
+/**
+ * Checks whether a single rule matches a transaction. Disabled rules, and rules
+ * without a category, never match.
+ *
+ * @param {object} rule - The categorization rule.
+ * @param {object} transaction - The transaction to test.
+ * @returns {boolean} - True if the rule's condition holds.
+ */
+export function ruleMatches(rule, transaction) {
+    if (!rule.enabled || !rule.category?.trim()) return false;
+
+    switch (rule.type) {
+        case 'reasonContains':
+            return Boolean(rule.value) && (transaction.reason || '').toLowerCase().includes(rule.value.toLowerCase());
+        case 'receiverEquals':
+            return Boolean(rule.value) && (transaction.receiver || '').trim().toLowerCase() === rule.value.trim().toLowerCase();
+        case 'amountRange': {
+            if (transaction.amount == null) return false;
+            const amount = Math.abs(transaction.amount);
+            const hasMin = rule.min !== '' && rule.min != null;
+            const hasMax = rule.max !== '' && rule.max != null;
+            if (!hasMin && !hasMax) return false;
+            return (!hasMin || amount >= Number(rule.min)) && (!hasMax || amount <= Number(rule.max));
+        }
+        case 'regex': {
+            const regex = getRulePattern(rule);
+            if (!regex) return false;
+            const fields = REGEX_FIELD_GROUPS[rule.field || 'any'] || [rule.field];
+            return fields.some(field => regex.test(transaction[field] || ''));
+        }
+        default:
+            return false;
+    }
+}
+
+/**
+ * Orders rules for evaluation: by ascending priority, keeping list order for ties.
+ * The patterns of regex rules are compiled here, once, rather than for every transaction.
+ *
+ * @param {Array<object>} rules - The categorization rules.
+ * @returns {Array<object>} - A sorted copy of the rules.
+ */
+export function sortRules(rules) {
+    const sorted = rules
+        .map((rule, index) => ({ rule, index }))
+        .sort((a, b) => (a.rule.priority ?? 0) - (b.rule.priority ?? 0) || a.index - b.index)
+        .map(({ rule }) => rule);
+    sorted.filter(rule => rule.type === 'regex').forEach(getRulePattern);
+    return sorted;
+}
+
+/**
+ * Assigns a category to a transaction using the first matching rule.
+ *
+ * Credited transactions that no rule matches are filed under "Income"; anything else
+ * that no rule matches is "Uncategorized".
+ *
+ * @param {object} transaction - The transaction to categorize.
+ * @param {Array<object>} sortedRules - The rules, already ordered with `sortRules`.
+ * @returns {string} - The category name.
+ */
+export function categorizeTransaction(transaction, sortedRules) {
+    const matchingRule = sortedRules.find(rule => ruleMatches(rule, transaction));
+    if (matchingRule) return matchingRule.category;
+    return isIncome(transaction) ? INCOME_CATEGORY : UNCATEGORIZED;
+}
+
+/**
+ * Categorizes every transaction with the given rules. A category set by hand in the
+ * transaction's `edits` overrides the rules.
+ *
+ * @param {Array<object>} transactions - The transactions to categorize.
+ * @param {Array<object>} [rules=DEFAULT_RULES] - The categorization rules.
+ * @returns {Array<object>} - Copies of the transactions with a `category` field, and the
+ *                    `ruleCategory` the rules alone would assign.
+ */
+export function categorizeTransactions(transactions, rules = DEFAULT_RULES) {
+    const sortedRules = sortRules(rules);
+    return transactions.map(tx => {
+        const ruleCategory = categorizeTransaction(tx, sortedRules);
+        return {
+            ...tx,
+            category: tx.edits?.category || ruleCategory,
+            ruleCategory,
+        };
+    });
+}
+
+const RULES_STORAGE_KEY = 'categoryRules';
+
+/**
+ * Creates a new rule id that will not collide with existing ones.
+ *
+ * @returns {string} - The rule id.
+ */
+export function createRuleId() {
+    return `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Validates a list of rules, e.g. from an imported JSON file, and fills in optional fields.
+ *
+ * @param {any} data - The parsed rule list.
+ * @returns {Array<object>} - The rules, ready to use.
+ * @throws {Error} If the data is not an array of rules with a category and a known type.
+ */
+export function normalizeRules(data) {
+    if (!Array.isArray(data)) {
+        throw new Error('Invalid rules file: Expected an array of rules.');
+    }
+    return data.map((rule, index) => {
+        if (!rule || typeof rule.category !== 'string' || !rule.category.trim()) {
+            throw new Error(`Invalid rule at position ${index + 1}: A category is required.`);
+        }
+        if (!RULE_TYPES.includes(rule.type)) {
+            throw new Error(`Invalid rule at position ${index + 1}: Unknown type "${rule.type}".`);
+        }
+        return {
+            ...rule,
+            id: rule.id || createRuleId(),
+            category: rule.category.trim(),
+            priority: Number.isFinite(rule.priority) ? rule.priority : (index + 1) * 10,
+            enabled: rule.enabled !== false,
+        };
+    });
+}
+
+/**
+ * Loads the user's categorization rules from localStorage, falling back to the defaults.
+ *
+ * @returns {Array<object>} - The saved rules, or `DEFAULT_RULES` if none are saved or they are invalid.
+ */
+export function loadRules() {
+    const savedRules = localStorage.getItem(RULES_STORAGE_KEY);
+    if (!savedRules) return DEFAULT_RULES;
+    try {
+        return normalizeRules(JSON.parse(savedRules));
+    } catch (error) {
+        console.warn("loadRules: Ignoring invalid saved rules:", error); // Development warning for corrupted storage
+        return DEFAULT_RULES;
+    }
+}
+
+/**
+ * Saves the user's categorization rules to localStorage.
+ *
+ * @param {Array<object>} rules - The rules to save.
+ */
+export function saveRules(rules) {
+    localStorage.setItem(RULES_STORAGE_KEY, JSON.stringify(rules));
+}
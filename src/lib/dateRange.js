@@ -0,0 +1,113 @@
+import { toMonthKey } from './budgets.js';
+import { toEthiopianDate, fromEthiopianDate, ethiopianMonthLength } from './ethiopianCalendar.js';
+
+/**
+ * The dashboard date range presets.
+ *
+ * - all: every transaction.
+ * - this-month / last-month: calendar months, Ethiopian months when that calendar is chosen.
+ * - last-90-days: the 90 days up to and including today.
+ * - fiscal-year: the current Ethiopian fiscal year, which starts on Hamle 1 (July 8).
+ * - custom: the `start` and `end` dates chosen by the user.
+ */
+export const DATE_RANGE_PRESETS = ['all', 'this-month', 'last-month', 'last-90-days', 'fiscal-year', 'custom'];
+
+export const DEFAULT_DATE_RANGE = { preset: 'all', start: '', end: '' };
+
+// Hamle 1, when the Ethiopian fiscal year starts, falls on July 8 in the Gregorian calendar
+const FISCAL_YEAR_START_MONTH = 6; // July, zero-based
+const FISCAL_YEAR_START_DAY = 8;
+
+/**
+ * Formats a date as "YYYY-MM-DD" in local time.
+ *
+ * @param {Date} date - The date to format.
+ * @returns {string} - The formatted date.
+ */
+export function toDateKey(date) {
+    return `${toMonthKey(date)}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Finds the first day of the Ethiopian fiscal year that contains a date.
+ *
+ * @param {Date} date - The date.
+ * @returns {Date} - Hamle 1 of that fiscal year.
+ */
+export function fiscalYearStart(date) {
+    const start = new Date(date.getFullYear(), FISCAL_YEAR_START_MONTH, FISCAL_YEAR_START_DAY);
+    if (date < start) {
+        start.setFullYear(start.getFullYear() - 1);
+    }
+    return start;
+}
+
+/**
+ * Finds the first and last day of an Ethiopian month, counted from the month containing a date.
+ *
+ * @param {Date} date - A date in the reference month.
+ * @param {number} offset - 0 for that month, -1 for the month before.
+ * @returns {{ start: string, end: string }} - The Gregorian dates as "YYYY-MM-DD".
+ */
+function ethiopianMonthRange(date, offset) {
+    let { year, month } = toEthiopianDate(toDateKey(date));
+    month += offset;
+    if (month < 1) {
+        month += 13;
+        year -= 1;
+    }
+    return {
+        start: fromEthiopianDate(year, month, 1),
+        end: fromEthiopianDate(year, month, ethiopianMonthLength(year, month)),
+    };
+}
+
+/**
+ * Turns a date range selection into concrete start and end dates.
+ *
+ * @param {{ preset: string, start: string, end: string }} range - The selection; `start` and `end` are used by 'custom'.
+ * @param {Date} [today=new Date()] - The current date.
+ * @param {string} [calendar='gregorian'] - The calendar whose months 'this-month' and 'last-month' refer to.
+ * @returns {{ start: string|null, end: string|null }} - The first and last day as "YYYY-MM-DD"; null leaves that side open.
+ */
+export function resolveDateRange(range, today = new Date(), calendar = 'gregorian') {
+    const year = today.getFullYear();
+    const month = today.getMonth();
+    switch (range.preset) {
+        case 'this-month':
+            if (calendar === 'ethiopian') return ethiopianMonthRange(today, 0);
+            return { start: toDateKey(new Date(year, month, 1)), end: toDateKey(new Date(year, month + 1, 0)) };
+        case 'last-month':
+            if (calendar === 'ethiopian') return ethiopianMonthRange(today, -1);
+            return { start: toDateKey(new Date(year, month - 1, 1)), end: toDateKey(new Date(year, month, 0)) };
+        case 'last-90-days':
+            return { start: toDateKey(new Date(year, month, today.getDate() - 89)), end: toDateKey(today) };
+        case 'fiscal-year': {
+            const start = fiscalYearStart(today);
+            const end = new Date(start.getFullYear() + 1, FISCAL_YEAR_START_MONTH, FISCAL_YEAR_START_DAY - 1);
+            return { start: toDateKey(start), end: toDateKey(end) };
+        }
+        case 'custom':
+            return { start: range.start || null, end: range.end || null };
+        default:
+            return { start: null, end: null };
+    }
+}
+
+/**
+ * Keeps the transactions dated within a range. When the range is open on both sides,
+ * every transaction is kept, including those without a valid date.
+ *
+ * @param {Array<object>} transactions - The transactions to filter.
+ * @param {{ start: string|null, end: string|null }} range - The range from `resolveDateRange`.
+ * @returns {Array<object>} - The transactions in the range.
+ */
+export function filterByDateRange(transactions, { start, end }) {
+    if (!start && !end) return transactions;
+    return transactions.filter(tx => {
+        if (!tx.date) return false;
+        if (start && tx.date < start) return false;
+        if (end && tx.date > end) return false;
+        return true;
+    });
+}
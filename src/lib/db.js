@@ -0,0 +1,193 @@
+const DB_NAME = 'cbe-expense';
+const DB_VERSION = 2;
+const TRANSACTIONS_STORE = 'transactions';
+export const PDF_CACHE_STORE = 'pdfCache';
+
+// Fields the user adds to a transaction, which re-imports must not overwrite
+const ANNOTATION_FIELDS = ['edits', 'notes', 'tags'];
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ *
+ * @param {IDBRequest} request - The request to wait for.
+ * @returns {Promise<any>} - Resolves with the request result, rejects with its error.
+ */
+export function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Wraps the completion of an IndexedDB transaction in a promise.
+ *
+ * @param {IDBTransaction} transaction - The transaction to wait for.
+ * @returns {Promise<void>} - Resolves when the transaction commits, rejects if it fails or is aborted.
+ */
+export function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+let dbPromise = null;
+
+/**
+ * Opens the app's IndexedDB database, creating the object stores on first use.
+ * The connection is shared by all callers.
+ *
+ * @returns {Promise<IDBDatabase>} - The open database.
+ */
+export function openDatabase() {
+    if (!dbPromise) {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(TRANSACTIONS_STORE)) {
+                db.createObjectStore(TRANSACTIONS_STORE, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(PDF_CACHE_STORE)) {
+                const cacheStore = db.createObjectStore(PDF_CACHE_STORE, { keyPath: 'url' });
+                cacheStore.createIndex('lastUsed', 'lastUsed');
+            }
+        };
+        dbPromise = promisifyRequest(request).catch(error => {
+            dbPromise = null; // Allow a later call to retry
+            throw error;
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Builds the storage key of a transaction.
+ *
+ * The receipt reference number identifies a transaction uniquely, so importing the same
+ * receipt twice updates one record. Transactions without a reference fall back to a
+ * fingerprint of their date, time, amount and parties.
+ *
+ * @param {object} transaction - The transaction to identify.
+ * @returns {string} - The key used to store the transaction.
+ */
+export function transactionKey(transaction) {
+    if (transaction.referenceNo) {
+        return `ref:${transaction.referenceNo}`;
+    }
+    return [
+        'tx',
+        transaction.date,
+        transaction.time,
+        transaction.amount,
+        transaction.direction,
+        transaction.receiver,
+        transaction.payer,
+    ].join('|');
+}
+
+/**
+ * Loads every stored transaction, newest first.
+ *
+ * @returns {Promise<Array<object>>} - The stored transactions.
+ */
+export async function getAllTransactions() {
+    const db = await openDatabase();
+    const store = db.transaction(TRANSACTIONS_STORE, 'readonly').objectStore(TRANSACTIONS_STORE);
+    const transactions = await promisifyRequest(store.getAll());
+    return transactions.sort((a, b) => new Date(b.date) - new Date(a.date));
+}
+
+/**
+ * Merges imported transactions into the store. A transaction whose key is already
+ * stored replaces the stored copy instead of being added twice, keeping the user's
+ * edits, notes and tags.
+ *
+ * A record stored under a different key for the same receipt link is replaced as well.
+ * That happens when a receipt failed to load and its SMS, which carried no reference
+ * number, was saved under a fingerprint: once the receipt loads, one record remains.
+ *
+ * @param {Array<object>} transactions - The newly imported transactions.
+ * @returns {Promise<{ added: number, updated: number }>} - How many records were new and how many replaced existing ones.
+ */
+export async function saveTransactions(transactions) {
+    const db = await openDatabase();
+    const transaction = db.transaction(TRANSACTIONS_STORE, 'readwrite');
+    const store = transaction.objectStore(TRANSACTIONS_STORE);
+    const existing = new Map(
+        (await promisifyRequest(store.getAll())).map(record => [record.id, record])
+    );
+    const idsByReceipt = new Map();
+    existing.forEach(record => {
+        if (record.receiptUrl) idsByReceipt.set(record.receiptUrl, record.id);
+    });
+
+    let added = 0;
+    let updated = 0;
+    for (const tx of transactions) {
+        const id = transactionKey(tx);
+        const record = { ...tx, id };
+        let stored = existing.get(id);
+
+        const previousId = tx.receiptUrl ? idsByReceipt.get(tx.receiptUrl) : undefined;
+        if (previousId !== undefined && previousId !== id && existing.has(previousId)) {
+            stored = stored || existing.get(previousId);
+            existing.delete(previousId);
+            store.delete(previousId);
+        }
+        if (tx.receiptUrl) idsByReceipt.set(tx.receiptUrl, id);
+
+        if (stored) {
+            ANNOTATION_FIELDS.forEach(field => {
+                if (stored[field] !== undefined) record[field] = stored[field];
+            });
+            updated++;
+        } else {
+            added++;
+        }
+        existing.set(id, record);
+        store.put(record);
+    }
+
+    await transactionDone(transaction);
+    return { added, updated };
+}
+
+/**
+ * Saves the user's edits, notes or tags on a stored transaction.
+ *
+ * @param {string} id - The transaction's storage key.
+ * @param {{ edits?: object, notes?: string, tags?: Array<string> }} annotations - The fields to replace.
+ * @returns {Promise<object>} - The updated record.
+ * @throws {Error} If no transaction is stored under `id`.
+ */
+export async function updateTransactionAnnotations(id, annotations) {
+    const db = await openDatabase();
+    const transaction = db.transaction(TRANSACTIONS_STORE, 'readwrite');
+    const store = transaction.objectStore(TRANSACTIONS_STORE);
+    const stored = await promisifyRequest(store.get(id));
+    if (!stored) {
+        throw new Error(`Transaction ${id} not found.`);
+    }
+
+    const record = { ...stored };
+    ANNOTATION_FIELDS.forEach(field => {
+        if (field in annotations) record[field] = annotations[field];
+    });
+    store.put(record);
+    await transactionDone(transaction);
+    return record;
+}
+
+/**
+ * Deletes every stored transaction.
+ *
+ * @returns {Promise<void>}
+ */
+export async function clearTransactions() {
+    const db = await openDatabase();
+    const transaction = db.transaction(TRANSACTIONS_STORE, 'readwrite');
+    transaction.objectStore(TRANSACTIONS_STORE).clear();
+    await transactionDone(transaction);
+}
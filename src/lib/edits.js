@@ -0,0 +1,71 @@
+/**
+ * Fields of a transaction that can be corrected by hand. Corrections are kept in the
+ * transaction's `edits`, so the parsed values stay untouched for reference.
+ */
+export const EDITABLE_FIELDS = ['receiver', 'reason', 'category', 'amount'];
+
+/**
+ * Applies a transaction's manual corrections on top of its parsed values.
+ *
+ * The category correction is left in `edits`, because categories are assigned later by
+ * `categorizeTransactions`, which gives it precedence over the rules. The replaced values
+ * are kept in `parsedValues`.
+ *
+ * @param {object} transaction - A stored transaction, with optional `edits`.
+ * @returns {object} - The transaction as corrected; unchanged if it has no edits.
+ */
+export function applyEdits(transaction) {
+    const { edits } = transaction;
+    if (!edits || Object.keys(edits).length === 0) {
+        return transaction;
+    }
+
+    const corrected = { ...transaction, parsedValues: {} };
+    for (const field of EDITABLE_FIELDS) {
+        if (field !== 'category' && field in edits) {
+            corrected.parsedValues[field] = transaction[field];
+            corrected[field] = edits[field];
+        }
+    }
+    return corrected;
+}
+
+/**
+ * Builds the `edits` for a transaction from the values entered in the editor.
+ * Values equal to the parsed ones, or left empty, are not stored as edits.
+ *
+ * @param {object} parsed - The parsed values: receiver, reason, amount, and the category the rules assign.
+ * @param {object} values - The values entered, as strings.
+ * @returns {object} - The corrections by field.
+ * @throws {Error} If the amount is not a positive number.
+ */
+export function buildEdits(parsed, values) {
+    const edits = {};
+    for (const field of EDITABLE_FIELDS) {
+        const raw = (values[field] ?? '').toString().trim();
+        if (raw === '') continue;
+
+        let value = raw;
+        if (field === 'amount') {
+            value = parseFloat(raw.replace(/,/g, ''));
+            if (!isFinite(value) || value <= 0) {
+                throw new Error('The amount must be a positive number.');
+            }
+        }
+        if (value !== parsed[field]) {
+            edits[field] = value;
+        }
+    }
+    return edits;
+}
+
+/**
+ * Splits a comma-separated tag list into unique, trimmed tags.
+ *
+ * @param {string} text - The tags as typed, e.g. "family, rent".
+ * @returns {Array<string>} - The tags.
+ */
+export function parseTags(text) {
+    const tags = (text || '').split(',').map(tag => tag.trim()).filter(Boolean);
+    return [...new Set(tags)];
+}
@@ -0,0 +1,130 @@
+import { translate } from './i18n.js';
+
+/**
+ * The number of Ethiopian months. The first twelve have 30 days; Pagume, the 13th, has 5
+ * (6 in a leap year).
+ */
+export const ETHIOPIAN_MONTH_COUNT = 13;
+
+/**
+ * Names an Ethiopian month in a language.
+ *
+ * @param {number} month - The 1-based month; 13 is Pagume.
+ * @param {string} [language='en'] - 'en' or 'am'.
+ * @returns {string} - The month name, e.g. "Meskerem" or "መስከረም".
+ */
+export function getEthiopianMonthName(month, language = 'en') {
+    return translate(language, `ethiopianDate.month.${month}`);
+}
+
+// Julian day number of the day before the Ethiopian epoch (Amete Mihret)
+const ETHIOPIAN_EPOCH = 1723856;
+
+// Julian day number of 1970-01-01, the Unix epoch
+const UNIX_EPOCH_JDN = 2440588;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Converts a Gregorian "YYYY-MM-DD" date to a Julian day number.
+ *
+ * @param {string} dateKey - The Gregorian date.
+ * @returns {number} - The Julian day number, or NaN if the date is invalid.
+ */
+function dateKeyToJdn(dateKey) {
+    const [year, month, day] = (dateKey || '').split('-').map(Number);
+    return Math.floor(Date.UTC(year, month - 1, day) / MS_PER_DAY) + UNIX_EPOCH_JDN;
+}
+
+/**
+ * Converts a Julian day number to a Gregorian "YYYY-MM-DD" date.
+ *
+ * @param {number} jdn - The Julian day number.
+ * @returns {string} - The Gregorian date.
+ */
+function jdnToDateKey(jdn) {
+    return new Date((jdn - UNIX_EPOCH_JDN) * MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * Converts a Gregorian date to the Ethiopian calendar.
+ *
+ * @param {string} dateKey - The Gregorian date as "YYYY-MM-DD".
+ * @returns {{ year: number, month: number, day: number }|null} - The Ethiopian date with a 1-based month (13 is Pagume),
+ *          or null if the date is invalid.
+ */
+export function toEthiopianDate(dateKey) {
+    const jdn = dateKeyToJdn(dateKey);
+    if (isNaN(jdn)) return null;
+
+    const cycle = jdn - ETHIOPIAN_EPOCH; // Days since the epoch, in four-year cycles of 1461 days
+    const r = cycle % 1461;
+    const n = (r % 365) + 365 * Math.floor(r / 1460);
+    return {
+        year: 4 * Math.floor(cycle / 1461) + Math.floor(r / 365) - Math.floor(r / 1460),
+        month: Math.floor(n / 30) + 1,
+        day: (n % 30) + 1,
+    };
+}
+
+/**
+ * Converts an Ethiopian date to the Gregorian calendar.
+ *
+ * @param {number} year - The Ethiopian year.
+ * @param {number} month - The 1-based Ethiopian month (13 is Pagume).
+ * @param {number} day - The day of the month.
+ * @returns {string} - The Gregorian date as "YYYY-MM-DD".
+ */
+export function fromEthiopianDate(year, month, day) {
+    const jdn = ETHIOPIAN_EPOCH + 365 + 365 * (year - 1) + Math.floor(year / 4) + 30 * month + day - 31;
+    return jdnToDateKey(jdn);
+}
+
+/**
+ * Returns how many days an Ethiopian month has.
+ *
+ * @param {number} year - The Ethiopian year.
+ * @param {number} month - The 1-based Ethiopian month.
+ * @returns {number} - 30, or 5 or 6 for Pagume.
+ */
+export function ethiopianMonthLength(year, month) {
+    if (month < 13) return 30;
+    return year % 4 === 3 ? 6 : 5; // The year before an Ethiopian leap year ends with a sixth Pagume
+}
+
+/**
+ * Builds the Ethiopian "YYYY-MM" month key of a Gregorian date, for grouping by month.
+ *
+ * @param {string} dateKey - The Gregorian date as "YYYY-MM-DD".
+ * @returns {string|null} - The month key, e.g. "2016-13" for Pagume 2016, or null if the date is invalid.
+ */
+export function toEthiopianMonthKey(dateKey) {
+    const date = toEthiopianDate(dateKey);
+    if (!date) return null;
+    return `${date.year}-${String(date.month).padStart(2, '0')}`;
+}
+
+/**
+ * Formats an Ethiopian "YYYY-MM" month key for display.
+ *
+ * @param {string} monthKey - The month key.
+ * @param {string} [language='en'] - The language of the month name.
+ * @returns {string} - The month name and year, e.g. "Pagume 2016".
+ */
+export function formatEthiopianMonth(monthKey, language = 'en') {
+    const [year, month] = monthKey.split('-').map(Number);
+    if (!(month >= 1 && month <= ETHIOPIAN_MONTH_COUNT)) return monthKey;
+    return `${getEthiopianMonthName(month, language)} ${year}`;
+}
+
+/**
+ * Formats a Gregorian date as an Ethiopian date for display.
+ *
+ * @param {string} dateKey - The Gregorian date as "YYYY-MM-DD".
+ * @param {string} [language='en'] - The language of the month name.
+ * @returns {string} - The Ethiopian date, e.g. "Tir 6, 2016", or the input if it is not a valid date.
+ */
+export function formatEthiopianDate(dateKey, language = 'en') {
+    const date = toEthiopianDate(dateKey);
+    if (!date) return dateKey;
+    return `${getEthiopianMonthName(date.month, language)} ${date.day}, ${date.year}`;
+}
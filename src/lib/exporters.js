@@ -0,0 +1,468 @@
+import { getFees, isIncome, parseTime } from './utils.js';
+import { createZip } from './zip.js';
+
+/**
+ * The columns transactions can be exported with, in the order they appear in the file.
+ * `type` decides how a value is written to a spreadsheet:
+ *
+ * - text: written as is.
+ * - date: a "YYYY-MM-DD" date, stored as a real date in XLSX so it can be sorted and filtered.
+ * - amount: a number in ETB, formatted with two decimals in XLSX.
+ */
+export const EXPORT_COLUMNS = [
+    { key: 'date', label: 'Date', type: 'date', value: tx => tx.date },
+    { key: 'time', label: 'Time', type: 'text', value: tx => tx.time },
+    { key: 'receiver', label: 'Receiver', type: 'text', value: tx => tx.receiver },
+    { key: 'payer', label: 'Payer', type: 'text', value: tx => tx.payer },
+    { key: 'reason', label: 'Reason', type: 'text', value: tx => tx.reason },
+    { key: 'amount', label: 'Amount (ETB)', type: 'amount', value: tx => tx.amount },
+    { key: 'totalAmount', label: 'Total Amount (ETB)', type: 'amount', value: tx => tx.totalAmount },
+    { key: 'fees', label: 'Fees (ETB)', type: 'amount', value: tx => getFees(tx) },
+    { key: 'balance', label: 'Balance (ETB)', type: 'amount', value: tx => tx.currentBalance },
+    { key: 'category', label: 'Category', type: 'text', value: tx => tx.category },
+    { key: 'notes', label: 'Notes', type: 'text', value: tx => tx.notes },
+];
+
+export const DEFAULT_EXPORT_COLUMNS = EXPORT_COLUMNS.map(column => column.key);
+
+const EXPORT_COLUMNS_STORAGE_KEY = 'exportColumns';
+
+/**
+ * Loads the chosen export columns from localStorage.
+ *
+ * @returns {Array<string>} - The column keys; every column when nothing valid is saved.
+ */
+export function loadExportColumns() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(EXPORT_COLUMNS_STORAGE_KEY));
+        if (Array.isArray(saved)) {
+            const keys = saved.filter(key => DEFAULT_EXPORT_COLUMNS.includes(key));
+            if (keys.length > 0) return keys;
+        }
+    } catch (error) {
+        console.warn("Could not load the export columns, using all columns.", error);
+    }
+    return DEFAULT_EXPORT_COLUMNS;
+}
+
+/**
+ * Saves the chosen export columns to localStorage.
+ *
+ * @param {Array<string>} columnKeys - The column keys.
+ */
+export function saveExportColumns(columnKeys) {
+    localStorage.setItem(EXPORT_COLUMNS_STORAGE_KEY, JSON.stringify(columnKeys));
+}
+
+/**
+ * Picks the export columns for a list of keys, keeping the order of `EXPORT_COLUMNS`.
+ *
+ * @param {Array<string>} columnKeys - The chosen column keys.
+ * @returns {Array<object>} - The column definitions.
+ */
+function selectColumns(columnKeys) {
+    return EXPORT_COLUMNS.filter(column => columnKeys.includes(column.key));
+}
+
+/**
+ * Formats one CSV field, quoting it when needed. Text that a spreadsheet would run as a
+ * formula (starting with =, +, -, @ or a control character) is prefixed with an apostrophe.
+ *
+ * @param {*} value - The value; null and undefined become an empty field.
+ * @returns {string} - The CSV field.
+ */
+function toCsvField(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes transactions as CSV, one row per transaction after a header row.
+ *
+ * @param {Array<object>} transactions - The transactions, in the order to export them.
+ * @param {Array<string>} columnKeys - The columns to include.
+ * @returns {string} - The CSV text, with CRLF line endings.
+ */
+export function toCsv(transactions, columnKeys) {
+    const columns = selectColumns(columnKeys);
+    const lines = [columns.map(column => toCsvField(column.label)).join(',')];
+    transactions.forEach(tx => {
+        lines.push(columns.map(column => toCsvField(column.value(tx))).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Escapes text for XML, dropping the control characters XML cannot contain.
+ *
+ * @param {string} text - The text.
+ * @returns {string} - The escaped text.
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/[^\t\n\r\u0020-\uFFFF]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Builds a spreadsheet column name from a zero-based index: A, B, ..., Z, AA, AB, ...
+ *
+ * @param {number} index - The column index.
+ * @returns {string} - The column name.
+ */
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+/**
+ * Converts a "YYYY-MM-DD" date to an Excel date serial number.
+ *
+ * @param {string} dateKey - The date.
+ * @returns {number|null} - Days since 1899-12-30, or null if the date is invalid.
+ */
+function toExcelDate(dateKey) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateKey || '');
+    if (!match) return null;
+    const [, year, month, day] = match.map(Number);
+    return (Date.UTC(year, month - 1, day) - Date.UTC(1899, 11, 30)) / (24 * 60 * 60 * 1000);
+}
+
+// Cell styles defined in styles.xml: 0 is the default, 1 a date, 2 an amount, 3 the bold header
+const DATE_STYLE = 1;
+const AMOUNT_STYLE = 2;
+const HEADER_STYLE = 3;
+
+/**
+ * Writes one worksheet cell.
+ *
+ * @param {string} ref - The cell reference, e.g. "B2".
+ * @param {*} value - The value.
+ * @param {string} type - The column type: 'text', 'date' or 'amount'.
+ * @returns {string} - The `<c>` element, or an empty string for an empty cell.
+ */
+function toXlsxCell(ref, value, type) {
+    if (value === null || value === undefined || value === '') return '';
+    if (type === 'date' && toExcelDate(value) !== null) {
+        return `<c r="${ref}" s="${DATE_STYLE}"><v>${toExcelDate(value)}</v></c>`;
+    }
+    if (type === 'amount' && typeof value === 'number' && isFinite(value)) {
+        return `<c r="${ref}" s="${AMOUNT_STYLE}"><v>${value}</v></c>`;
+    }
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+/**
+ * Writes transactions as an Excel workbook with a single "Transactions" sheet.
+ * Dates are real dates and amounts are numbers, so the sheet can be totalled right away.
+ *
+ * @param {Array<object>} transactions - The transactions, in the order to export them.
+ * @param {Array<string>} columnKeys - The columns to include.
+ * @returns {Uint8Array} - The XLSX file.
+ */
+export function toXlsx(transactions, columnKeys) {
+    const columns = selectColumns(columnKeys);
+    const header = columns
+        .map((column, i) => `<c r="${columnName(i)}1" t="inlineStr" s="${HEADER_STYLE}"><is><t>${escapeXml(column.label)}</t></is></c>`)
+        .join('');
+    const rows = transactions.map((tx, rowIndex) => {
+        const row = rowIndex + 2;
+        const cells = columns.map((column, i) => toXlsxCell(`${columnName(i)}${row}`, column.value(tx), column.type)).join('');
+        return `<row r="${row}">${cells}</row>`;
+    });
+
+    const sheet = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" state="frozen"/></sheetView></sheetViews>'
+        + `<sheetData><row r="1">${header}</row>${rows.join('')}</sheetData>`
+        + '</worksheet>';
+
+    return createZip([
+        {
+            name: '[Content_Types].xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+                + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                + '<Default Extension="xml" ContentType="application/xml"/>'
+                + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+                + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+                + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+                + '</Types>',
+        },
+        {
+            name: '_rels/.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+                + '</Relationships>',
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" '
+                + 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+                + '<sheets><sheet name="Transactions" sheetId="1" r:id="rId1"/></sheets>'
+                + '</workbook>',
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+                + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+                + '</Relationships>',
+        },
+        {
+            name: 'xl/styles.xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+                + '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/></numFmts>'
+                + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+                + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+                + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+                + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+                + '<cellXfs count="4">'
+                + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+                + '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+                + '<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+                + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+                + '</cellXfs>'
+                + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+                + '</styleSheet>',
+        },
+        { name: 'xl/worksheets/sheet1.xml', content: sheet },
+    ]);
+}
+
+/**
+ * Converts a receipt time such as "2:05:09 PM" to 24-hour "HHMMSS".
+ *
+ * @param {string|null} time - The time from the receipt.
+ * @returns {string} - The time, or "000000" when it is missing or unreadable.
+ */
+function toCompactTime(time) {
+    const parsed = parseTime(time);
+    if (!parsed) return '000000';
+    return [parsed.hours, parsed.minutes, parsed.seconds].map(value => String(value).padStart(2, '0')).join('');
+}
+
+/**
+ * Works out how much a transaction changed the account balance. Debits include their
+ * service charge and VAT, since that is what leaves the account.
+ *
+ * @param {object} tx - The transaction.
+ * @returns {number} - The signed amount in ETB: positive for credits, negative for debits.
+ */
+export function toSignedAmount(tx) {
+    const amount = Math.abs(tx.amount || 0);
+    const signed = isIncome(tx) ? amount : -(amount + getFees(tx));
+    return Math.round(signed * 100) / 100;
+}
+
+/**
+ * Orders dated transactions from oldest to newest and tracks the account balance after each one.
+ *
+ * The balance starts from the first `currentBalance` reported by SMS, worked back to before the
+ * oldest transaction, and is reset to every later SMS balance so that gaps in the data do not
+ * accumulate. Without any SMS balance it starts from zero.
+ *
+ * @param {Array<object>} transactions - The transactions; those without a date are left out.
+ * @returns {{ openingBalance: number, entries: Array<{ tx: object, amount: number, balance: number }> }}
+ *          - The balance before the first transaction, and each transaction with its signed amount and the balance after it.
+ */
+export function computeRunningBalances(transactions) {
+    const dated = transactions
+        .filter(tx => tx.date)
+        .map(tx => ({ tx, sortKey: `${tx.date}${toCompactTime(tx.time)}`, amount: toSignedAmount(tx) }))
+        .sort((a, b) => a.sortKey.localeCompare(b.sortKey));
+
+    let openingBalance = 0;
+    const anchorIndex = dated.findIndex(({ tx }) => tx.currentBalance != null);
+    if (anchorIndex >= 0) {
+        const change = dated.slice(0, anchorIndex + 1).reduce((sum, { amount }) => sum + amount, 0);
+        openingBalance = Math.round((dated[anchorIndex].tx.currentBalance - change) * 100) / 100;
+    }
+
+    let balance = openingBalance;
+    const entries = dated.map(({ tx, amount }) => {
+        balance = tx.currentBalance != null ? tx.currentBalance : Math.round((balance + amount) * 100) / 100;
+        return { tx, amount, balance };
+    });
+    return { openingBalance, entries };
+}
+
+/**
+ * Tracks the running balances over the whole history, then keeps only the transactions being
+ * exported, so that a filtered export shows the same balances as the full one.
+ *
+ * @param {Array<object>} transactions - The transactions to export, taken from `allTransactions`.
+ * @param {Array<object>} allTransactions - Every transaction of the account.
+ * @returns {{ openingBalance: number, entries: Array<{ tx: object, amount: number, balance: number }> }}
+ *          - The balance before the first exported transaction, and the exported transactions as in `computeRunningBalances`.
+ */
+function selectRunningBalances(transactions, allTransactions) {
+    const { openingBalance, entries } = computeRunningBalances(allTransactions);
+    const selected = new Set(transactions);
+    const firstIndex = entries.findIndex(({ tx }) => selected.has(tx));
+    return {
+        openingBalance: firstIndex > 0 ? entries[firstIndex - 1].balance : openingBalance,
+        entries: entries.filter(({ tx }) => selected.has(tx)),
+    };
+}
+
+// East Africa Time, the time zone of CBE receipts, is UTC+3 all year
+const EAT_OFFSET_HOURS = 3;
+
+/**
+ * Escapes text for an OFX 1.x (SGML) element and keeps it on one line.
+ *
+ * @param {string|null} text - The text.
+ * @param {number} maxLength - The longest value the element allows.
+ * @returns {string} - The escaped text.
+ */
+function escapeOfx(text, maxLength) {
+    return String(text || '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, maxLength)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Picks the other party of a transaction: the payer of a credit, the receiver of a debit.
+ *
+ * @param {object} tx - The transaction.
+ * @returns {string} - The payee, or an empty string.
+ */
+function getPayee(tx) {
+    return (isIncome(tx) ? tx.payer : tx.receiver) || '';
+}
+
+/**
+ * Writes transactions as an OFX 1.02 bank statement, which GnuCash, HomeBank and Firefly III can import.
+ * Amounts are signed by direction, the receipt reference is the FITID, the other party is the payee
+ * and the reason is the memo. The ledger balance is the running balance after the newest transaction.
+ *
+ * @param {Array<object>} transactions - The transactions; those without a date are left out.
+ * @param {object} [options={}] - Statement details.
+ * @param {string} [options.accountId='CBE'] - The account number shown by the importing program.
+ * @param {Date} [options.now=new Date()] - When the statement was generated.
+ * @param {Array<object>} [options.allTransactions=transactions] - Every transaction of the account, which the
+ *        balances are worked out from when only some of them are exported.
+ * @returns {string} - The OFX file.
+ */
+export function toOfx(transactions, { accountId = 'CBE', now = new Date(), allTransactions = transactions } = {}) {
+    const { openingBalance, entries } = selectRunningBalances(transactions, allTransactions);
+    // Receipts show times in East Africa Time
+    const ofxDate = (date, time) => `${date.replace(/-/g, '')}${toCompactTime(time)}[+3:EAT]`;
+    // The generation time is written in East Africa Time too, whatever the computer's time zone
+    const eastAfricaNow = new Date(now.getTime() + EAT_OFFSET_HOURS * 60 * 60 * 1000).toISOString();
+    const generated = `${eastAfricaNow.slice(0, 10).replace(/-/g, '')}${eastAfricaNow.slice(11, 19).replace(/:/g, '')}[+3:EAT]`;
+    const first = entries[0]?.tx;
+    const last = entries[entries.length - 1]?.tx;
+    const usedIds = new Set();
+
+    const statementLines = entries.map(({ tx, amount }, index) => {
+        // FITIDs must be unique, so a missing or repeated reference falls back to the storage key
+        let fitId = tx.referenceNo || tx.id || `${tx.date}-${index}`;
+        if (usedIds.has(fitId)) fitId = `${fitId}-${index}`;
+        usedIds.add(fitId);
+        const name = escapeOfx(getPayee(tx), 32);
+        const memo = escapeOfx(tx.reason, 255);
+        // Empty elements are not allowed, so a missing payee or reason is left out
+        return [
+            '<STMTTRN>',
+            `<TRNTYPE>${amount >= 0 ? 'CREDIT' : 'DEBIT'}`,
+            `<DTPOSTED>${ofxDate(tx.date, tx.time)}`,
+            `<TRNAMT>${amount.toFixed(2)}`,
+            `<FITID>${escapeOfx(fitId, 255)}`,
+            ...(name ? [`<NAME>${name}`] : []),
+            ...(memo ? [`<MEMO>${memo}`] : []),
+            '</STMTTRN>',
+        ].join('\r\n');
+    });
+
+    const closingBalance = entries.length ? entries[entries.length - 1].balance : openingBalance;
+    return [
+        'OFXHEADER:100',
+        'DATA:OFXSGML',
+        'VERSION:102',
+        'SECURITY:NONE',
+        'ENCODING:UNICODE',
+        'CHARSET:NONE',
+        'COMPRESSION:NONE',
+        'OLDFILEUID:NONE',
+        'NEWFILEUID:NONE',
+        '',
+        '<OFX>',
+        '<SIGNONMSGSRSV1><SONRS>',
+        '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+        `<DTSERVER>${generated}`,
+        '<LANGUAGE>ENG',
+        '</SONRS></SIGNONMSGSRSV1>',
+        '<BANKMSGSRSV1><STMTTRNRS>',
+        '<TRNUID>1',
+        '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+        '<STMTRS>',
+        '<CURDEF>ETB',
+        `<BANKACCTFROM><BANKID>CBE<ACCTID>${escapeOfx(accountId, 22)}<ACCTTYPE>CHECKING</BANKACCTFROM>`,
+        '<BANKTRANLIST>',
+        `<DTSTART>${first ? ofxDate(first.date, first.time) : generated}`,
+        `<DTEND>${last ? ofxDate(last.date, last.time) : generated}`,
+        ...statementLines,
+        '</BANKTRANLIST>',
+        `<LEDGERBAL><BALAMT>${closingBalance.toFixed(2)}<DTASOF>${last ? ofxDate(last.date, last.time) : generated}</LEDGERBAL>`,
+        '</STMTRS>',
+        '</STMTTRNRS></BANKMSGSRSV1>',
+        '</OFX>',
+        '',
+    ].join('\r\n');
+}
+
+/**
+ * Writes transactions as a QIF bank account register. The register starts with an
+ * "Opening Balance" entry, so the running balance in the importing program matches the
+ * balances CBE reported by SMS. Each entry has the signed amount, the other party as payee,
+ * the reason as memo, the receipt reference as its number and the category.
+ *
+ * @param {Array<object>} transactions - The transactions; those without a date are left out.
+ * @param {object} [options={}] - Register details.
+ * @param {string} [options.accountName='CBE'] - The account the register belongs to.
+ * @param {Array<object>} [options.allTransactions=transactions] - Every transaction of the account, which the
+ *        opening balance is worked out from when only some of them are exported.
+ * @returns {string} - The QIF file.
+ */
+export function toQif(transactions, { accountName = 'CBE', allTransactions = transactions } = {}) {
+    const { openingBalance, entries } = selectRunningBalances(transactions, allTransactions);
+    const line = text => String(text || '').replace(/\s+/g, ' ').trim();
+    const qifDate = date => {
+        const [year, month, day] = date.split('-');
+        return `${month}/${day}/${year}`;
+    };
+
+    const lines = ['!Account', `N${line(accountName)}`, 'TBank', '^', '!Type:Bank'];
+    if (entries.length > 0) {
+        lines.push(`D${qifDate(entries[0].tx.date)}`, `T${openingBalance.toFixed(2)}`, 'POpening Balance', `L[${line(accountName)}]`, '^');
+    }
+    entries.forEach(({ tx, amount }) => {
+        lines.push(`D${qifDate(tx.date)}`, `T${amount.toFixed(2)}`);
+        if (tx.referenceNo) lines.push(`N${line(tx.referenceNo)}`);
+        if (getPayee(tx)) lines.push(`P${line(getPayee(tx))}`);
+        if (tx.reason) lines.push(`M${line(tx.reason)}`);
+        if (tx.category) lines.push(`L${line(tx.category)}`);
+        lines.push('^');
+    });
+    return lines.join('\r\n') + '\r\n';
+}
@@ -0,0 +1,111 @@
+import { fetchContent } from './utils.js';
+
+/**
+ * Waits for a delay, ending early if the signal is aborted.
+ *
+ * @param {number} ms - The delay in milliseconds.
+ * @param {AbortSignal} [signal] - Ends the wait when aborted.
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+    return new Promise(resolve => {
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            resolve();
+        }, { once: true });
+    });
+}
+
+/**
+ * Fetches a receipt with `fetchContent`, retrying transient errors with exponential backoff.
+ *
+ * @param {string} url - The receipt URL.
+ * @param {object} [options] - Retry options.
+ * @param {AbortSignal} [options.signal] - Stops fetching and retrying when aborted.
+ * @param {object} [options.cache] - The PDF text cache passed on to `fetchContent`.
+ * @param {number} [options.maxRetries=3] - How many times to retry after the first attempt.
+ * @param {number} [options.retryDelay=1000] - The delay before the first retry in milliseconds; doubled for each further retry.
+ * @returns {Promise<object>} - The last `fetchContent` result, with the number of `attempts` made.
+ */
+export async function fetchWithRetry(url, { signal, cache, maxRetries = 3, retryDelay = 1000 } = {}) {
+    for (let attempt = 1; ; attempt++) {
+        const result = await fetchContent(url, { signal, cache });
+        const retry = result.type === 'error' && result.transient && attempt <= maxRetries && !signal?.aborted;
+        if (!retry) {
+            return { ...result, attempts: attempt };
+        }
+        await sleep(retryDelay * 2 ** (attempt - 1), signal);
+    }
+}
+
+/**
+ * Creates a queue that processes items with bounded concurrency and can be paused,
+ * resumed and cancelled.
+ *
+ * Cancelling aborts the queue's signal, so in-flight fetches stop too; items that were
+ * never started are left without a result.
+ *
+ * @param {object} [options] - Queue options.
+ * @param {number} [options.concurrency=4] - How many items may be processed at the same time.
+ * @returns {{ run: function, pause: function, resume: function, cancel: function, signal: AbortSignal, isPaused: function }}
+ */
+export function createFetchQueue({ concurrency = 4 } = {}) {
+    const controller = new AbortController();
+    let paused = false;
+    let resumeWaiters = [];
+
+    const waitWhilePaused = () => {
+        if (!paused) return Promise.resolve();
+        return new Promise(resolve => resumeWaiters.push(resolve));
+    };
+
+    const pause = () => {
+        paused = true;
+    };
+
+    const resume = () => {
+        paused = false;
+        resumeWaiters.forEach(resolve => resolve());
+        resumeWaiters = [];
+    };
+
+    const cancel = () => {
+        controller.abort();
+        resume(); // Release paused workers so they can stop
+    };
+
+    /**
+     * Processes every item with `processItem`, at most `concurrency` at a time.
+     *
+     * @param {Array<any>} items - The items to process.
+     * @param {function(any, number, AbortSignal): Promise<any>} processItem - Handles one item; receives the item, its index and the queue's signal.
+     * @returns {Promise<Array<any>>} - The results by item index; items skipped by a cancel have no entry.
+     */
+    const run = async (items, processItem) => {
+        const results = new Array(items.length);
+        let nextIndex = 0;
+
+        const worker = async () => {
+            for (;;) {
+                await waitWhilePaused();
+                if (controller.signal.aborted || nextIndex >= items.length) return;
+                const index = nextIndex++;
+                results[index] = await processItem(items[index], index, controller.signal);
+            }
+        };
+
+        const workerCount = Math.min(concurrency, items.length);
+        await Promise.all(Array.from({ length: workerCount }, worker));
+        return results;
+    };
+
+    return {
+        run,
+        pause,
+        resume,
+        cancel,
+        signal: controller.signal,
+        isPaused: () => paused,
+    };
+}
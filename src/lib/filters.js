@@ -0,0 +1,118 @@
+import { isIncome, getFees } from './utils.js';
+import { needsReview } from './validation.js';
+import { getTranslator, formatCurrency } from './i18n.js';
+
+/**
+ * The transaction table filters with nothing selected. Every filter is a string, as
+ * entered in the filter inputs; empty strings mean "any". The date range is chosen for
+ * the whole dashboard instead, see `resolveDateRange`.
+ *
+ * - search: text to find in the receiver, payer, reason, notes or tags.
+ * - minAmount / maxAmount: the amount range in ETB.
+ * - category: the category name.
+ * - direction: 'debit' or 'credit'.
+ * - flagged: 'flagged' for transactions that need review, 'ok' for the others.
+ */
+export const EMPTY_FILTERS = {
+    search: '',
+    minAmount: '',
+    maxAmount: '',
+    category: '',
+    direction: '',
+    flagged: '',
+};
+
+// The fields the search box looks in
+const SEARCH_FIELDS = ['receiver', 'payer', 'reason', 'notes'];
+
+/**
+ * Checks whether a transaction's text fields contain the search text.
+ *
+ * @param {object} transaction - The transaction to search.
+ * @param {string} search - The text to find (case-insensitive).
+ * @returns {boolean} - True if any searched field, or any tag, contains the text.
+ */
+function matchesSearch(transaction, search) {
+    const needle = search.trim().toLowerCase();
+    if (!needle) return true;
+    const haystack = [...SEARCH_FIELDS.map(field => transaction[field]), ...(transaction.tags || [])];
+    return haystack.some(value => value && value.toString().toLowerCase().includes(needle));
+}
+
+/**
+ * Checks whether a transaction passes every active filter.
+ *
+ * @param {object} transaction - The transaction to check.
+ * @param {object} filters - The filters, shaped like `EMPTY_FILTERS`.
+ * @returns {boolean} - True if the transaction should be shown.
+ */
+export function matchesFilters(transaction, filters) {
+    if (!matchesSearch(transaction, filters.search)) return false;
+
+    const minAmount = parseFloat(filters.minAmount);
+    const maxAmount = parseFloat(filters.maxAmount);
+    if (!isNaN(minAmount) && !(transaction.amount >= minAmount)) return false;
+    if (!isNaN(maxAmount) && !(transaction.amount <= maxAmount)) return false;
+
+    if (filters.category && transaction.category !== filters.category) return false;
+    if (filters.direction && (isIncome(transaction) ? 'credit' : 'debit') !== filters.direction) return false;
+    if (filters.flagged && needsReview(transaction) !== (filters.flagged === 'flagged')) return false;
+    return true;
+}
+
+/**
+ * Applies the table filters to a list of transactions.
+ *
+ * @param {Array<object>} transactions - The transactions to filter.
+ * @param {object} filters - The filters, shaped like `EMPTY_FILTERS`.
+ * @returns {Array<object>} - The transactions that pass every active filter.
+ */
+export function filterTransactions(transactions, filters) {
+    return transactions.filter(tx => matchesFilters(tx, filters));
+}
+
+/**
+ * Describes the active filters, for showing them as removable chips.
+ *
+ * @param {object} filters - The filters, shaped like `EMPTY_FILTERS`.
+ * @param {string} [language='en'] - The language of the labels.
+ * @returns {Array<{ key: string, label: string }>} - One entry per active filter; `key` is the filter to clear.
+ */
+export function describeActiveFilters(filters, language = 'en') {
+    const t = getTranslator(language);
+    const chips = [];
+    if (filters.search.trim()) chips.push({ key: 'search', label: t('filters.search', { text: filters.search.trim() }) });
+    if (filters.minAmount !== '') {
+        chips.push({ key: 'minAmount', label: t('filters.minAmount', { amount: formatCurrency(Number(filters.minAmount), language) }) });
+    }
+    if (filters.maxAmount !== '') {
+        chips.push({ key: 'maxAmount', label: t('filters.maxAmount', { amount: formatCurrency(Number(filters.maxAmount), language) }) });
+    }
+    if (filters.category) chips.push({ key: 'category', label: t('filters.category', { category: filters.category }) });
+    if (filters.direction) chips.push({ key: 'direction', label: t(filters.direction === 'credit' ? 'filters.incomeOnly' : 'filters.expensesOnly') });
+    if (filters.flagged) chips.push({ key: 'flagged', label: t(filters.flagged === 'flagged' ? 'filters.needsReview' : 'filters.noWarnings') });
+    return chips;
+}
+
+/**
+ * Totals a list of transactions the way the summary cards do.
+ *
+ * @param {Array<object>} transactions - The transactions to total.
+ * @returns {{ count: number, expenses: number, income: number, net: number, fees: number }} - The totals in ETB.
+ */
+export function summarizeTransactions(transactions) {
+    let expenses = 0;
+    let income = 0;
+    let fees = 0;
+    transactions.forEach(tx => {
+        if (tx.amount) {
+            if (isIncome(tx)) {
+                income += Math.abs(tx.amount);
+            } else {
+                expenses += Math.abs(tx.amount);
+            }
+        }
+        fees += getFees(tx);
+    });
+    return { count: transactions.length, expenses, income, net: income - expenses, fees };
+}
@@ -0,0 +1,137 @@
+import { TRANSLATIONS } from './translations.js';
+
+/**
+ * The languages the UI is available in.
+ *
+ * - en: English.
+ * - am: Amharic.
+ */
+export const LANGUAGES = ['en', 'am'];
+
+// Each language's name in that language, for the language switcher
+export const LANGUAGE_NAMES = { en: 'English', am: 'አማርኛ' };
+
+// The locales amounts and dates are formatted in; both use Ethiopian conventions
+const LOCALES = { en: 'en-ET', am: 'am-ET' };
+
+const LANGUAGE_STORAGE_KEY = 'language';
+
+/**
+ * Loads the language setting from localStorage.
+ *
+ * @returns {string} - 'en' or 'am'; English when nothing valid is saved.
+ */
+export function loadLanguage() {
+    const savedLanguage = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    return LANGUAGES.includes(savedLanguage) ? savedLanguage : 'en';
+}
+
+/**
+ * Saves the language setting to localStorage.
+ *
+ * @param {string} language - 'en' or 'am'.
+ */
+export function saveLanguage(language) {
+    localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+}
+
+/**
+ * Returns the locale used to format numbers and dates in a language.
+ *
+ * @param {string} language - 'en' or 'am'.
+ * @returns {string} - The BCP 47 locale, e.g. "am-ET".
+ */
+export function getLocale(language) {
+    return LOCALES[language] || LOCALES.en;
+}
+
+/**
+ * Looks up a UI string and fills in its placeholders.
+ *
+ * @param {string} language - 'en' or 'am'.
+ * @param {string} key - The message id, e.g. "summary.totalIncome".
+ * @param {object} [params={}] - Values for the `{name}` placeholders in the message.
+ * @returns {string} - The message; the English one if the language lacks it, or the key if neither has it.
+ */
+export function translate(language, key, params = {}) {
+    const message = TRANSLATIONS[language]?.[key] ?? TRANSLATIONS.en[key] ?? key;
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
+
+/**
+ * Binds `translate` to a language, for use as `t(key, params)` in a component.
+ *
+ * @param {string} language - 'en' or 'am'.
+ * @returns {function(string, object=): string} - The bound translate function.
+ */
+export function getTranslator(language) {
+    return (key, params) => translate(language, key, params);
+}
+
+// Intl.NumberFormat instances are costly to create, so each one is reused
+const numberFormats = new Map();
+
+/**
+ * Returns a cached number format for a language.
+ *
+ * @param {string} language - 'en' or 'am'.
+ * @param {string} kind - 'currency', 'amount', 'number' or 'percent'.
+ * @returns {Intl.NumberFormat} - The number format.
+ */
+function getNumberFormat(language, kind) {
+    const cacheKey = `${language}:${kind}`;
+    if (!numberFormats.has(cacheKey)) {
+        const options = {
+            currency: { style: 'currency', currency: 'ETB' },
+            amount: { minimumFractionDigits: 2, maximumFractionDigits: 2 },
+            number: {},
+            percent: { style: 'percent', maximumFractionDigits: 1 },
+        }[kind];
+        numberFormats.set(cacheKey, new Intl.NumberFormat(getLocale(language), options));
+    }
+    return numberFormats.get(cacheKey);
+}
+
+/**
+ * Formats an amount in Ethiopian birr, with the currency sign of the language.
+ *
+ * @param {number} amount - The amount in ETB.
+ * @param {string} language - 'en' or 'am'.
+ * @returns {string} - The amount, e.g. "ETB 1,234.50" or "ብር 1,234.50".
+ */
+export function formatCurrency(amount, language) {
+    return getNumberFormat(language, 'currency').format(amount);
+}
+
+/**
+ * Formats an amount with two decimals and no currency sign, for columns whose header names the currency.
+ *
+ * @param {number} amount - The amount in ETB.
+ * @param {string} language - 'en' or 'am'.
+ * @returns {string} - The amount, e.g. "1,234.50".
+ */
+export function formatAmount(amount, language) {
+    return getNumberFormat(language, 'amount').format(amount);
+}
+
+/**
+ * Formats a number with the grouping of the language, e.g. for chart axes.
+ *
+ * @param {number} value - The number.
+ * @param {string} language - 'en' or 'am'.
+ * @returns {string} - The formatted number.
+ */
+export function formatNumber(value, language) {
+    return getNumberFormat(language, 'number').format(value);
+}
+
+/**
+ * Formats a share as a percentage with up to one decimal.
+ *
+ * @param {number} share - The share, from 0 to 1.
+ * @param {string} language - 'en' or 'am'.
+ * @returns {string} - The percentage, e.g. "12.5%".
+ */
+export function formatPercent(share, language) {
+    return getNumberFormat(language, 'percent').format(share);
+}
@@ -0,0 +1,200 @@
+import { extractFromSms, extractFromPdf, resolveDirection } from './utils.js';
+import { parseSmsBody, smsToTransaction, extractBalanceFromSms, timestampToDateTime } from './sms.js';
+import { getTranslator } from './i18n.js';
+
+/**
+ * Reads everything the SMS bodies offer up front, so that only the receipts remain to be fetched.
+ *
+ * Each item remembers the most recent account owner name seen so far (from the "Dear X" greeting),
+ * which is used to tell incoming receipts apart.
+ *
+ * @param {Array<{ text: string, timestamp?: number|null }>} messages - The imported SMS messages.
+ * @returns {Array<object>} - One item per message with text: the message, its parsed SMS body,
+ *                    accountOwner, currentBalance and receiptUrl (null when there is no CBE link).
+ */
+export function prepareImportItems(messages) {
+    let accountOwner = null;
+    return messages
+        .filter(message => message?.text)
+        .map(message => {
+            const sms = parseSmsBody(message.text);
+            if (sms?.accountHolder) {
+                accountOwner = sms.accountHolder;
+            }
+            const link = extractFromSms(message.text);
+            return {
+                message,
+                sms,
+                accountOwner,
+                currentBalance: extractBalanceFromSms(message.text),
+                receiptUrl: link && link.includes('cbe.com.et') ? link : null,
+            };
+        });
+}
+
+/**
+ * Reads the receipt reference number from a CBE receipt link. The link's `id` is the
+ * reference (such as "FT24123ABC45") followed by the last eight digits of the account.
+ *
+ * @param {string|null} receiptUrl - The receipt link.
+ * @returns {string|null} - The reference number, or null if the link carries none.
+ */
+export function referenceFromReceiptUrl(receiptUrl) {
+    const match = /[?&]id=(FT[A-Z0-9]{10})/i.exec(receiptUrl || '');
+    return match ? match[1].toUpperCase() : null;
+}
+
+/**
+ * Builds the transaction for one imported message.
+ *
+ * The receipt's details are used when it was fetched; otherwise (older SMS, or offline) the
+ * SMS body is used instead. Fields the receipt lacks are filled in from the SMS.
+ * The reference number is taken from the SMS or the receipt link when the receipt is missing,
+ * so that a later successful fetch updates the same stored record instead of adding another.
+ *
+ * @param {object} item - An item from `prepareImportItems`.
+ * @param {object|null} result - The `fetchContent` result for the item's receipt, or null if it has none.
+ *                    Cached results carry the transaction already parsed from the receipt.
+ * @returns {object|null} - The transaction, or null if neither the receipt nor the SMS describes one.
+ */
+export function buildTransaction({ message, sms, accountOwner, currentBalance, receiptUrl }, result) {
+    let transactionData = null;
+    if (result?.type === 'pdf') {
+        transactionData = result.parsed ?? extractFromPdf(result.text);
+    }
+
+    if (!transactionData && sms) {
+        transactionData = smsToTransaction(sms);
+    }
+    if (!transactionData) {
+        return null;
+    }
+
+    // Fall back to the time the SMS was received when the transaction itself has no date
+    if (!transactionData.date && message.timestamp) {
+        transactionData = { ...transactionData, ...timestampToDateTime(message.timestamp) };
+    }
+
+    return {
+        ...transactionData,
+        direction: resolveDirection(transactionData, { smsDirection: sms?.direction, accountOwner }),
+        referenceNo: transactionData.referenceNo || sms?.reference || referenceFromReceiptUrl(receiptUrl),
+        serviceCharge: transactionData.serviceCharge ?? sms?.serviceCharge ?? null,
+        vat: transactionData.vat ?? sms?.vat ?? null,
+        receiptUrl,
+        smsAmount: sms?.amount ?? null, // Kept to check the receipt amount against it
+        smsTimestamp: message.timestamp ?? null,
+        currentBalance: currentBalance !== null ? currentBalance : transactionData.currentBalance,
+    };
+}
+
+/**
+ * What happened to an imported message, as shown in the import report.
+ *
+ * - parsed: the receipt was fetched and parsed.
+ * - cached: the receipt was parsed from the receipt cache.
+ * - no-link: the message has no receipt link; only its SMS body was used.
+ * - http-error: the receipt server answered with an error status.
+ * - network-error: the receipt could not be downloaded at all.
+ * - content-type: the receipt link did not return a PDF.
+ * - pdf-parse-error: the PDF could not be read.
+ * - missing-fields: the transaction lacks an amount or date.
+ */
+export const IMPORT_OUTCOMES = [
+    'parsed',
+    'cached',
+    'no-link',
+    'http-error',
+    'network-error',
+    'content-type',
+    'pdf-parse-error',
+    'missing-fields',
+];
+
+/**
+ * Outcomes that may turn out differently when the receipt is fetched again.
+ */
+export const RETRYABLE_OUTCOMES = ['http-error', 'network-error', 'content-type', 'pdf-parse-error'];
+
+// Fields a transaction needs to be counted on the dashboard
+const REQUIRED_FIELDS = ['amount', 'date'];
+
+// Maps the `reason` of a failed `fetchContent` result to its outcome
+const FETCH_ERROR_OUTCOMES = {
+    'http': 'http-error',
+    'network': 'network-error',
+    'content-type': 'content-type',
+    'pdf-parse': 'pdf-parse-error',
+};
+
+/**
+ * Describes the outcome of one imported message for the import report.
+ *
+ * @param {object} item - An item from `prepareImportItems`.
+ * @param {number} index - The item's position in the `prepareImportItems` result, used to retry it.
+ * @param {object|null} result - The `fetchContent` result for the item's receipt, or null if it has none.
+ * @param {object|null} transaction - The transaction `buildTransaction` made from the item, if any.
+ * @returns {object} - The report entry: index, text, timestamp, receiptUrl, outcome, detail, the
+ *                    error of a failed fetch, missingFields, whether a transaction was saved, and whether it is provisional:
+ *                    taken from the SMS because the receipt failed, to be replaced when it is retried.
+ */
+export function describeImportOutcome(item, index, result, transaction) {
+    let outcome;
+    let detail = null;
+    let error = null;
+    if (!result) {
+        outcome = 'no-link';
+        detail = transaction ? 'Details taken from the SMS' : 'Not a transaction message';
+    } else if (result.type === 'pdf') {
+        outcome = result.cached ? 'cached' : 'parsed';
+    } else {
+        outcome = FETCH_ERROR_OUTCOMES[result.reason] || 'network-error';
+        error = result.message;
+        detail = transaction ? `${result.message}; details taken from the SMS` : result.message;
+    }
+
+    const missingFields = transaction
+        ? REQUIRED_FIELDS.filter(field => transaction[field] === null || transaction[field] === undefined)
+        : [];
+    if (missingFields.length > 0 && (outcome === 'parsed' || outcome === 'cached')) {
+        outcome = 'missing-fields';
+        detail = `Missing ${missingFields.join(', ')}`;
+    }
+
+    return {
+        index,
+        text: item.message.text,
+        timestamp: item.message.timestamp ?? null,
+        receiptUrl: item.receiptUrl,
+        outcome,
+        detail,
+        error,
+        missingFields,
+        saved: Boolean(transaction) && !RETRYABLE_OUTCOMES.includes(outcome),
+        provisional: Boolean(transaction) && RETRYABLE_OUTCOMES.includes(outcome),
+    };
+}
+
+/**
+ * Describes a report entry in words, like its `detail` but in the chosen language.
+ *
+ * @param {object} entry - An entry from `describeImportOutcome`.
+ * @param {string} [language='en'] - The language of the description.
+ * @returns {string|null} - The description, or null when there is nothing to add to the outcome.
+ */
+export function describeImportEntry(entry, language = 'en') {
+    const t = getTranslator(language);
+    if (entry.outcome === 'missing-fields') {
+        return t('importReport.missing', {
+            fields: entry.missingFields.map(field => t(`warnings.field.${field}`)).join(', '),
+        });
+    }
+    if (entry.outcome === 'no-link') {
+        return t(entry.saved ? 'importReport.fromSms' : 'importReport.notTransaction');
+    }
+    if (entry.error) {
+        // The error comes from the network or the PDF parser and is left as it is
+        return entry.provisional ? t('importReport.errorFromSms', { error: entry.error }) : entry.error;
+    }
+    return null;
+}
@@ -0,0 +1,106 @@
+/**
+ * Sender addresses CBE uses for its SMS notifications. Phones and operators show the same
+ * sender in different ways, so any address starting with "CBE" matches, case-insensitively:
+ * "CBE", "CBE Birr", "CBEBank", "cbebirr".
+ */
+const CBE_SENDER_PATTERN = /^cbe/i;
+
+/**
+ * Creates an error for a messages file that cannot be read. It carries the translation key
+ * of its message, so the UI can show it in the user's language.
+ *
+ * @param {string} key - The translation key, e.g. "fileInput.invalidJson".
+ * @param {string} message - The English message, for the console.
+ * @returns {Error} - The error, with its `key`.
+ */
+function createFileError(key, message) {
+    const error = new Error(message);
+    error.key = key;
+    return error;
+}
+
+/**
+ * Checks whether an SMS sender address belongs to the Commercial Bank of Ethiopia.
+ *
+ * @param {string|null} address - The sender address from the backup.
+ * @returns {boolean} - True if the message was sent by CBE.
+ */
+function isCbeSender(address) {
+    return CBE_SENDER_PATTERN.test((address || '').trim());
+}
+
+/**
+ * Parses a hand-made JSON export: an array of `{ text }` message objects.
+ * All of its messages are kept, as the file holds only the ones chosen for import.
+ *
+ * @param {string} jsonText - The file contents.
+ * @returns {{ messages: Array<{ text: string, timestamp?: number, sender?: string }>, skipped: number }}
+ *          - The messages, and 0 messages skipped.
+ * @throws {Error} If the JSON is malformed or is not an array; its `key` names the message to show.
+ */
+export function parseSmsJson(jsonText) {
+    let parsedData;
+    try {
+        parsedData = JSON.parse(jsonText);
+    } catch {
+        throw createFileError('fileInput.invalidJson', 'Invalid JSON format: The file could not be parsed.');
+    }
+    if (!Array.isArray(parsedData)) {
+        throw createFileError('fileInput.notMessageArray', 'Invalid JSON format: Expected an array of messages.');
+    }
+    return { messages: parsedData, skipped: 0 };
+}
+
+/**
+ * Parses an "SMS Backup & Restore" XML export and keeps only the messages sent by CBE.
+ *
+ * The backup looks like `<smses><sms address="CBE" body="..." date="1700000000000" /></smses>`,
+ * where `date` is the time the message was received, in milliseconds since the epoch.
+ *
+ * @param {string} xmlText - The file contents.
+ * @returns {{ messages: Array<{ text: string, timestamp: number|null, sender: string }>, skipped: number }}
+ *          - The CBE messages, in file order, and how many messages from other senders were left out.
+ * @throws {Error} If the XML is malformed or contains no `<sms>` elements; its `key` names the message to show.
+ */
+export function parseSmsBackupXml(xmlText) {
+    const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw createFileError('fileInput.invalidXml', 'Invalid XML format: The file could not be parsed.');
+    }
+
+    const smsElements = Array.from(doc.getElementsByTagName('sms'));
+    if (smsElements.length === 0) {
+        throw createFileError('fileInput.notSmsBackup', 'Invalid XML format: Expected an SMS Backup & Restore file.');
+    }
+
+    const cbeElements = smsElements.filter(element => isCbeSender(element.getAttribute('address')));
+    const messages = cbeElements.map(element => {
+        const timestamp = parseInt(element.getAttribute('date'), 10);
+        return {
+            text: element.getAttribute('body') || '',
+            timestamp: isNaN(timestamp) ? null : timestamp,
+            sender: element.getAttribute('address'),
+        };
+    });
+    return { messages, skipped: smsElements.length - cbeElements.length };
+}
+
+/**
+ * Reads the SMS messages from an uploaded file, choosing the parser by file extension.
+ *
+ * @param {string} fileName - The name of the uploaded file.
+ * @param {string} text - The file contents.
+ * @returns {{ messages: Array<{ text: string, timestamp?: number|null, sender?: string }>, skipped: number }}
+ *          - The messages, and how many messages from other senders were left out.
+ * @throws {Error} If the file type is not supported or the contents are invalid; its `key` names the message to show.
+ */
+export function parseMessagesFile(fileName, text) {
+    const name = fileName.toLowerCase();
+    if (name.endsWith('.xml')) {
+        return parseSmsBackupXml(text);
+    }
+    if (name.endsWith('.json')) {
+        return parseSmsJson(text);
+    }
+    throw createFileError('fileInput.wrongType', 'Please select a JSON or XML file');
+}
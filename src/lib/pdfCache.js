@@ -0,0 +1,193 @@
+import { openDatabase, promisifyRequest, transactionDone, PDF_CACHE_STORE } from './db.js';
+import { extractFromPdf, PDF_PARSER_VERSION } from './utils.js';
+
+/**
+ * The most the receipt cache may hold, in bytes (estimated as two bytes per character).
+ */
+export const MAX_CACHE_BYTES = 25 * 1024 * 1024;
+
+const LEGACY_CACHE_PREFIX = 'pdfCache_';
+
+/**
+ * Estimates how much space a cache entry takes.
+ *
+ * @param {string} text - The PDF text.
+ * @param {object} parsed - The transaction parsed from it.
+ * @returns {number} - The estimated size in bytes.
+ */
+function estimateSize(text, parsed) {
+    return (text.length + JSON.stringify(parsed).length) * 2;
+}
+
+/**
+ * Builds a cache entry for a receipt, parsing its text with the current parser version.
+ *
+ * @param {string} url - The receipt URL.
+ * @param {string} text - The PDF text.
+ * @param {number} [createdAt=Date.now()] - When the text was first cached.
+ * @returns {object} - The entry to store.
+ */
+function createEntry(url, text, createdAt = Date.now()) {
+    const parsed = extractFromPdf(text);
+    return {
+        url,
+        text,
+        parsed,
+        parserVersion: PDF_PARSER_VERSION,
+        size: estimateSize(text, parsed),
+        createdAt,
+        lastUsed: Date.now(),
+    };
+}
+
+/**
+ * Deletes the least recently used entries until the cache fits within `maxBytes`.
+ *
+ * @param {number} [maxBytes=MAX_CACHE_BYTES] - The size to shrink the cache to.
+ * @returns {Promise<number>} - How many entries were evicted.
+ */
+export async function evictLeastRecentlyUsed(maxBytes = MAX_CACHE_BYTES) {
+    const db = await openDatabase();
+    const transaction = db.transaction(PDF_CACHE_STORE, 'readwrite');
+    const store = transaction.objectStore(PDF_CACHE_STORE);
+    const entries = await promisifyRequest(store.index('lastUsed').getAll()); // Oldest first
+
+    let totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+    let evicted = 0;
+    for (const entry of entries) {
+        if (totalSize <= maxBytes) break;
+        store.delete(entry.url);
+        totalSize -= entry.size;
+        evicted++;
+    }
+
+    await transactionDone(transaction);
+    return evicted;
+}
+
+/**
+ * Looks up a cached receipt and marks it as recently used.
+ *
+ * Entries parsed by an older parser version keep their text, but are parsed again and updated.
+ *
+ * @param {string} url - The receipt URL.
+ * @returns {Promise<{ text: string, parsed: object }|null>} - The PDF text and its parsed transaction, or null if not cached.
+ */
+export async function getCachedReceipt(url) {
+    const db = await openDatabase();
+    const transaction = db.transaction(PDF_CACHE_STORE, 'readwrite');
+    const store = transaction.objectStore(PDF_CACHE_STORE);
+    const cached = await promisifyRequest(store.get(url));
+    if (!cached) {
+        return null;
+    }
+
+    const entry = cached.parserVersion === PDF_PARSER_VERSION
+        ? { ...cached, lastUsed: Date.now() }
+        : createEntry(url, cached.text, cached.createdAt);
+    store.put(entry);
+    await transactionDone(transaction);
+    return { text: entry.text, parsed: entry.parsed };
+}
+
+// Bytes written since the last eviction. Each import runs in a fresh worker, so this only
+// bounds how far one large import overshoots the cap; the import and the app also evict
+// once they are done or loaded.
+let bytesSinceEviction = 0;
+
+/**
+ * Caches a receipt's PDF text together with the transaction parsed from it.
+ * Once about a tenth of the cap has been written, least recently used entries are evicted.
+ *
+ * @param {string} url - The receipt URL.
+ * @param {string} text - The PDF text.
+ * @returns {Promise<void>}
+ */
+export async function putCachedReceipt(url, text) {
+    const db = await openDatabase();
+    const transaction = db.transaction(PDF_CACHE_STORE, 'readwrite');
+    const entry = createEntry(url, text);
+    transaction.objectStore(PDF_CACHE_STORE).put(entry);
+    await transactionDone(transaction);
+
+    bytesSinceEviction += entry.size;
+    if (bytesSinceEviction >= MAX_CACHE_BYTES / 10) {
+        bytesSinceEviction = 0;
+        await evictLeastRecentlyUsed();
+    }
+}
+
+/**
+ * The receipt cache in the form `fetchContent` accepts.
+ */
+export const receiptCache = {
+    get: getCachedReceipt,
+    set: putCachedReceipt,
+};
+
+/**
+ * Lists the cached receipts without their text, most recently used first.
+ *
+ * @returns {Promise<{ entries: Array<object>, totalSize: number }>} - Each entry's url, size, parserVersion,
+ *          createdAt and lastUsed, and the size of the whole cache in bytes.
+ */
+export async function getCacheSummary() {
+    const db = await openDatabase();
+    const store = db.transaction(PDF_CACHE_STORE, 'readonly').objectStore(PDF_CACHE_STORE);
+    const entries = (await promisifyRequest(store.index('lastUsed').getAll()))
+        .reverse()
+        .map(({ url, size, parserVersion, createdAt, lastUsed }) => ({ url, size, parserVersion, createdAt, lastUsed }));
+    return {
+        entries,
+        totalSize: entries.reduce((sum, entry) => sum + entry.size, 0),
+    };
+}
+
+/**
+ * Deletes cached receipts.
+ *
+ * @param {Array<string>} [urls] - The receipt URLs to delete; the whole cache is cleared when omitted.
+ * @returns {Promise<void>}
+ */
+export async function purgeCache(urls) {
+    const db = await openDatabase();
+    const transaction = db.transaction(PDF_CACHE_STORE, 'readwrite');
+    const store = transaction.objectStore(PDF_CACHE_STORE);
+    if (urls) {
+        urls.forEach(url => store.delete(url));
+    } else {
+        store.clear();
+    }
+    await transactionDone(transaction);
+}
+
+/**
+ * Moves PDF texts cached in localStorage by earlier versions into the IndexedDB cache,
+ * freeing the localStorage quota.
+ *
+ * @returns {Promise<number>} - How many entries were moved.
+ */
+export async function migrateLocalStorageCache() {
+    const legacyKeys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key.startsWith(LEGACY_CACHE_PREFIX)) {
+            legacyKeys.push(key);
+        }
+    }
+    if (legacyKeys.length === 0) {
+        return 0;
+    }
+
+    const db = await openDatabase();
+    const transaction = db.transaction(PDF_CACHE_STORE, 'readwrite');
+    const store = transaction.objectStore(PDF_CACHE_STORE);
+    legacyKeys.forEach(key => {
+        store.put(createEntry(key.slice(LEGACY_CACHE_PREFIX.length), localStorage.getItem(key)));
+    });
+    await transactionDone(transaction);
+
+    legacyKeys.forEach(key => localStorage.removeItem(key));
+    await evictLeastRecentlyUsed();
+    return legacyKeys.length;
+}
@@ -0,0 +1,204 @@
+import { isIncome, median } from './utils.js';
+import { toDateKey } from './dateRange.js';
+
+/**
+ * The schedules a series of payments can follow, each with how many days an interval
+ * may be off and still count, and how many payments are needed to trust the pattern.
+ *
+ * - weekly: every 7 days, such as an allowance.
+ * - biweekly: every 14 days.
+ * - monthly: on about the same day every month, such as rent.
+ * - quarterly: every three months.
+ * - yearly: once a year, such as a school fee.
+ */
+export const RECURRENCE_PERIODS = [
+    { key: 'weekly', days: 7, tolerance: 1, minPayments: 4 },
+    { key: 'biweekly', days: 14, tolerance: 2, minPayments: 3 },
+    { key: 'monthly', days: 30.44, tolerance: 5, minPayments: 3 },
+    { key: 'quarterly', days: 91.31, tolerance: 10, minPayments: 3 },
+    { key: 'yearly', days: 365.25, tolerance: 20, minPayments: 2 },
+];
+
+// How far a payment may be from the usual amount and still belong to the series (25%)
+const AMOUNT_TOLERANCE = 0.25;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Counts the days from one "YYYY-MM-DD" date to another, ignoring daylight saving time.
+ *
+ * @param {string} from - The earlier date.
+ * @param {string} to - The later date.
+ * @returns {number} - The number of days, negative if `to` is earlier.
+ */
+function daysBetween(from, to) {
+    const [fromYear, fromMonth, fromDay] = from.split('-').map(Number);
+    const [toYear, toMonth, toDay] = to.split('-').map(Number);
+    return Math.round((Date.UTC(toYear, toMonth - 1, toDay) - Date.UTC(fromYear, fromMonth - 1, fromDay)) / MS_PER_DAY);
+}
+
+/**
+ * Moves a date forward by a number of periods. Monthly and longer periods keep the day of
+ * the month, falling back to the month's last day when it is shorter.
+ *
+ * @param {string} dateKey - The date as "YYYY-MM-DD".
+ * @param {object} period - One of the RECURRENCE_PERIODS.
+ * @param {number} [count=1] - How many periods to move forward.
+ * @returns {string} - The new date as "YYYY-MM-DD".
+ */
+function addPeriods(dateKey, period, count = 1) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const months = { monthly: 1, quarterly: 3, yearly: 12 }[period.key];
+    if (!months) {
+        return toDateKey(new Date(year, month - 1, day + period.days * count));
+    }
+    const lastDay = new Date(year, month - 1 + months * count + 1, 0).getDate();
+    return toDateKey(new Date(year, month - 1 + months * count, Math.min(day, lastDay)));
+}
+
+/**
+ * Checks whether the gaps between payments follow a period. A gap may span several periods
+ * when payments were missed, but at least half of the gaps must be a single period.
+ *
+ * @param {Array<number>} intervals - The days between consecutive payments.
+ * @param {object} period - One of the RECURRENCE_PERIODS.
+ * @returns {number|null} - The number of missed payments, or null if the gaps do not fit the period.
+ */
+function matchPeriod(intervals, period) {
+    let missed = 0;
+    let single = 0;
+    for (const interval of intervals) {
+        const periods = Math.round(interval / period.days);
+        if (periods < 1 || Math.abs(interval - periods * period.days) > period.tolerance * periods) {
+            return null;
+        }
+        if (periods === 1) single++;
+        missed += periods - 1;
+    }
+    return single * 2 >= intervals.length ? missed : null;
+}
+
+/**
+ * Adds up the amounts of some payments, rounded to cents.
+ *
+ * @param {Array<object>} payments - The payments.
+ * @returns {number} - The total amount.
+ */
+function sumAmounts(payments) {
+    return Math.round(payments.reduce((sum, tx) => sum + tx.amount, 0) * 100) / 100;
+}
+
+/**
+ * Groups payments by the day they were made.
+ *
+ * @param {Array<object>} payments - The payments to one receiver.
+ * @returns {Array<Array<object>>} - The payments of each day, oldest day first.
+ */
+function groupByDay(payments) {
+    const byDate = new Map();
+    payments.forEach(tx => {
+        if (!byDate.has(tx.date)) byDate.set(tx.date, []);
+        byDate.get(tx.date).push(tx);
+    });
+    return [...byDate.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([, day]) => day);
+}
+
+/**
+ * Picks one payment per day: the one closest to the expected amount, or the day's payments
+ * added up when their total is closer, such as a rent paid in two transfers. The other
+ * payments of the day, such as a one-off to the same landlord, are left out.
+ *
+ * @param {Array<Array<object>>} days - The payments to one receiver, grouped with `groupByDay`.
+ * @param {number} expected - The amount a payment of the series is expected to have.
+ * @returns {Array<object>} - One payment per day, oldest first. A total is a copy of the day's first
+ *          payment with the amounts added up.
+ */
+function pickDailyPayments(days, expected) {
+    return days.map(day => {
+        const options = day.length > 1 ? [...day, { ...day[0], amount: sumAmounts(day) }] : day;
+        return options.reduce((best, tx) => (Math.abs(tx.amount - expected) < Math.abs(best.amount - expected) ? tx : best));
+    });
+}
+
+/**
+ * Finds the series of payments to one receiver, at most one payment a day, of about the usual amount.
+ * The usual amount is either that of a single payment or that of a day's payments together;
+ * the one more days fit is taken, and the day's total when both fit as many.
+ *
+ * @param {Array<object>} payments - The payments to one receiver.
+ * @returns {{ usualAmount: number, series: Array<object> }} - The usual amount and the payments of the series, oldest first.
+ */
+function findSeries(payments) {
+    const days = groupByDay(payments);
+    const [single, daily] = [median(payments.map(tx => tx.amount)), median(days.map(sumAmounts))].map(expected => {
+        const picked = pickDailyPayments(days, expected);
+        const usualAmount = median(picked.map(tx => tx.amount));
+        const series = picked.filter(tx => Math.abs(tx.amount - usualAmount) <= usualAmount * AMOUNT_TOLERANCE);
+        return { usualAmount, series };
+    });
+    return single.series.length > daily.series.length ? single : daily;
+}
+
+/**
+ * Looks for recurring payments: expenses to the same receiver, of about the same amount,
+ * at regular intervals. Payments to the receiver that are well above the usual amount are
+ * reported as unusual rather than breaking the series. Of several payments to the receiver
+ * on the same day, the series takes the one of about the usual amount, or their total when
+ * it is the total that matches.
+ *
+ * Only one series is found per receiver, so two different regular payments to the same
+ * person are reported as the one that fits best.
+ *
+ * @param {Array<object>} transactions - The categorized transactions.
+ * @param {Date} [today=new Date()] - The current date, used to tell whether a payment is overdue.
+ * @returns {Array<{ receiver: string, category: string, period: string, amount: number, count: number,
+ *          lastDate: string, nextDate: string, missed: number, overdue: boolean, unusual: Array<object> }>}
+ *          - The recurring payments, the next one due first. `amount` is the expected next amount,
+ *            `missed` counts the gaps in the history, `overdue` tells whether the next payment is
+ *            late, and `unusual` lists the unusually large payments to the receiver.
+ */
+export function detectRecurringPayments(transactions, today = new Date()) {
+    const todayKey = toDateKey(today);
+    const byReceiver = new Map();
+    transactions.forEach(tx => {
+        if (isIncome(tx) || !(tx.amount > 0) || !tx.date || !tx.receiver) return;
+        const key = tx.receiver.trim().toLowerCase();
+        if (!byReceiver.has(key)) byReceiver.set(key, []);
+        byReceiver.get(key).push(tx);
+    });
+
+    const recurring = [];
+    byReceiver.forEach(receiverPayments => {
+        const { usualAmount, series } = findSeries(receiverPayments);
+
+        const intervals = series.slice(1).map((tx, index) => daysBetween(series[index].date, tx.date));
+
+        for (const period of RECURRENCE_PERIODS) {
+            if (series.length < period.minPayments) continue;
+            const missed = matchPeriod(intervals, period);
+            if (missed === null) continue;
+
+            const last = series[series.length - 1];
+            const nextDate = addPeriods(last.date, period);
+            // The latest amounts are the best guess, as rents and fees go up over time
+            const amount = median(series.slice(-3).map(tx => tx.amount));
+            recurring.push({
+                receiver: last.receiver,
+                category: last.category,
+                period: period.key,
+                amount,
+                count: series.length,
+                lastDate: last.date,
+                nextDate,
+                missed,
+                overdue: daysBetween(nextDate, todayKey) > period.tolerance,
+                unusual: receiverPayments
+                    .filter(tx => tx.amount > usualAmount * (1 + AMOUNT_TOLERANCE))
+                    .sort((a, b) => a.date.localeCompare(b.date)),
+            });
+            break;
+        }
+    });
+
+    return recurring.sort((a, b) => a.nextDate.localeCompare(b.nextDate));
+}
@@ -0,0 +1,170 @@
+const MONTH_ABBREVIATIONS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Parses an ETB amount string such as "1,234.56" into a number.
+ *
+ * @param {string|undefined} value - The raw amount text captured from an SMS.
+ * @returns {number|null} - The parsed amount, or null if it is missing or not a number.
+ */
+function parseEtb(value) {
+    if (!value) return null;
+    const amount = parseFloat(value.replace(/,/g, ''));
+    return isNaN(amount) ? null : amount;
+}
+
+/**
+ * Runs a regular expression against the SMS text and returns its first capture group.
+ *
+ * @param {string} text - The SMS message body text.
+ * @param {RegExp} regex - The expression to match, with one capture group.
+ * @returns {string|null} - The trimmed capture, or null if the expression does not match.
+ */
+function matchFirst(text, regex) {
+    const match = text.match(regex);
+    return match ? match[1].trim() : null;
+}
+
+/**
+ * Converts a 24-hour "HH:MM[:SS]" string into the "h:mm:ss AM/PM" form used by the PDF receipts.
+ *
+ * @param {string} timeStr - The time as written in the SMS.
+ * @returns {string} - The time in 12-hour notation.
+ */
+function toReceiptTime(timeStr) {
+    const [hoursStr, minutes, seconds = '00'] = timeStr.split(':');
+    const hours = parseInt(hoursStr, 10);
+    const period = hours >= 12 ? 'PM' : 'AM';
+    const displayHours = hours % 12 === 0 ? 12 : hours % 12;
+    return `${displayHours}:${minutes}:${seconds} ${period}`;
+}
+
+/**
+ * Extracts the transaction date and time from the SMS body.
+ *
+ * CBE writes dates as "on 12/03/2024 at 14:23:11" (day first) or "on 12-Mar-2024 at 14:23:11".
+ *
+ * @param {string} text - The SMS message body text.
+ * @returns {{ date: string|null, time: string|null }} - The date as "YYYY-MM-DD" and the time as "h:mm:ss AM/PM".
+ */
+function extractDateTime(text) {
+    const dateMatch = text.match(/\bon\s+(\d{1,2})[/-](\d{1,2}|[A-Za-z]{3})[/-](\d{2,4})(?:\s+at\s+(\d{1,2}:\d{2}(?::\d{2})?))?/i);
+    if (!dateMatch) {
+        return { date: null, time: null };
+    }
+
+    const [, dayStr, monthStr, yearStr, timeStr] = dateMatch;
+    const month = /^\d+$/.test(monthStr)
+        ? parseInt(monthStr, 10)
+        : MONTH_ABBREVIATIONS.indexOf(monthStr.toLowerCase()) + 1;
+    const day = parseInt(dayStr, 10);
+    const year = yearStr.length === 2 ? `20${yearStr}` : yearStr;
+
+    if (month < 1 || month > 12 || day < 1 || day > 31) {
+        console.warn("parseSmsBody: Invalid date in SMS:", dateMatch[0]); // Development warning for date parsing issues
+        return { date: null, time: null };
+    }
+
+    return {
+        date: `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`,
+        time: timeStr ? toReceiptTime(timeStr) : null,
+    };
+}
+
+/**
+ * Converts an SMS receipt timestamp into the date and time fields used by transactions.
+ *
+ * @param {number|null} timestamp - Milliseconds since the epoch, as stored by SMS backups.
+ * @returns {{ date: string|null, time: string|null }} - The local date as "YYYY-MM-DD" and the time as "h:mm:ss AM/PM".
+ */
+export function timestampToDateTime(timestamp) {
+    const received = new Date(timestamp);
+    if (timestamp === null || timestamp === undefined || isNaN(received)) {
+        return { date: null, time: null };
+    }
+    const pad = value => String(value).padStart(2, '0');
+    return {
+        date: `${received.getFullYear()}-${pad(received.getMonth() + 1)}-${pad(received.getDate())}`,
+        time: toReceiptTime(`${received.getHours()}:${pad(received.getMinutes())}:${pad(received.getSeconds())}`),
+    };
+}
+
+/**
+ * Extracts the account balance quoted at the end of CBE SMS notifications.
+ *
+ * @param {string} text - The SMS message body text.
+ * @returns {number|null} - The balance in ETB, or null if the message does not state one.
+ */
+export function extractBalanceFromSms(text) {
+    return parseEtb(matchFirst(text, /Current Balance is ETB\s*([\d,]+(?:\.\d+)?)/i));
+}
+
+/**
+ * Parses the body of a CBE debit or credit SMS notification.
+ *
+ * Understands the "Dear X your Account 1****1234 has been debited/credited with ETB ..." templates
+ * as well as the "Dear X, You have transfered ETB ... to Y" variant. Fields that a template does not
+ * carry are returned as null.
+ *
+ * @param {string} text - The SMS message body text.
+ * @returns {object|null} - The parsed message, or null if it is not a debit or credit notification.
+ *                    The object includes: direction ('debit' | 'credit'), amount, accountHolder, accountSuffix,
+ *                    counterparty, serviceCharge, vat, totalAmount, currentBalance, date, time and reference.
+ */
+export function parseSmsBody(text) {
+    if (!text) return null;
+
+    const debitedAmount = matchFirst(text, /(?:has been debited with|You have transf?err?ed)\s*ETB\s*([\d,]+(?:\.\d+)?)/i);
+    const creditedAmount = matchFirst(text, /has been credited with\s*ETB\s*([\d,]+(?:\.\d+)?)/i);
+
+    if (!debitedAmount && !creditedAmount) {
+        return null;
+    }
+
+    const direction = debitedAmount ? 'debit' : 'credit';
+    const counterparty = direction === 'debit'
+        ? matchFirst(text, /ETB\s*[\d,.]+\s+to\s+(.+?)(?=\s+on\s+\d|\s+from your|\s+with\s|,|\.\s|\.$|$)/i)
+        : matchFirst(text, /\bfrom\s+(?!your\b)(.+?)(?=\s+on\s+\d|\s+with\s|,|\.\s|\.$|$)/i);
+    const accountNumber = matchFirst(text, /account\s+(\d[\d*]*\d)/i);
+
+    return {
+        direction,
+        amount: parseEtb(debitedAmount || creditedAmount),
+        accountHolder: matchFirst(text, /^\s*Dear\s+(.+?)(?=,|\s+your\s|\s+You\s)/i),
+        accountSuffix: accountNumber ? accountNumber.slice(-4) : null,
+        counterparty,
+        serviceCharge: parseEtb(matchFirst(text, /(?:Service|S\.)\s*charge of\s*ETB\s*([\d,]+(?:\.\d+)?)/i)),
+        vat: parseEtb(matchFirst(text, /VAT\s*(?:\(\s*15%\s*\))?\s*of\s*ETB\s*([\d,]+(?:\.\d+)?)/i)),
+        totalAmount: parseEtb(matchFirst(text, /total of\s*ETB\s*([\d,]+(?:\.\d+)?)/i)),
+        currentBalance: extractBalanceFromSms(text),
+        ...extractDateTime(text),
+        reference: matchFirst(text, /Ref(?:erence)?\.?\s*No\.?\s*:?\s*([A-Z0-9]+)/i),
+    };
+}
+
+/**
+ * Builds a transaction record from a parsed SMS, in the same shape `extractFromPdf` produces.
+ *
+ * The account holder becomes the payer of debits and the receiver of credits, and the counterparty
+ * takes the other side. SMS notifications carry no reason, so it is left null.
+ *
+ * @param {object} sms - The result of `parseSmsBody`.
+ * @returns {object} - The transaction details: direction, amount, date, time, receiver, payer, reason,
+ *                    referenceNo, totalAmount, serviceCharge, vat and currentBalance.
+ */
+export function smsToTransaction(sms) {
+    const isDebit = sms.direction === 'debit';
+    return {
+        direction: sms.direction,
+        amount: sms.amount,
+        date: sms.date,
+        time: sms.time,
+        receiver: isDebit ? sms.counterparty : sms.accountHolder,
+        payer: isDebit ? sms.accountHolder : sms.counterparty,
+        reason: null,
+        referenceNo: sms.reference,
+        totalAmount: sms.totalAmount,
+        serviceCharge: sms.serviceCharge,
+        vat: sms.vat,
+        currentBalance: sms.currentBalance,
+    };
+}
@@ -0,0 +1,701 @@
+/**
+ * The UI strings in every supported language, keyed by message id.
+ * Placeholders such as `{count}` are filled in by `translate`. A message missing from a
+ * language falls back to English, so new strings can be added to English first.
+ */
+export const TRANSLATIONS = {
+    en: {
+        'app.title': 'CBE Transaction Dashboard',
+        'app.bankName': 'Commercial Bank of Ethiopia',
+        'app.calendarEthiopian': 'EC',
+        'app.calendarGregorian': 'GC',
+        'app.showingEthiopian': 'Showing Ethiopian calendar dates',
+        'app.showingGregorian': 'Showing Gregorian calendar dates',
+        'app.switchToGregorian': 'Switch to the Gregorian calendar',
+        'app.switchToEthiopian': 'Switch to the Ethiopian calendar',
+        'app.languageShort': 'EN',
+        'app.showingLanguage': 'Language: English',
+        'app.switchLanguage': 'Switch to {language}',
+        'app.switchToLight': 'Switch to light mode',
+        'app.switchToDark': 'Switch to dark mode',
+        'app.uploadTitle': 'Upload Transaction Data',
+        'app.clearData': 'Clear all data',
+        'app.confirmClear': 'Delete all stored transactions from this browser? This cannot be undone.',
+        'app.hideCache': 'Hide receipt cache',
+        'app.manageCache': 'Manage receipt cache',
+        'app.alerts': 'Unusual Transactions',
+        'app.budgets': 'Monthly Budgets',
+        'app.recurring': 'Recurring Payments',
+        'app.expensesChart': 'Monthly Expenses and Income',
+        'app.feesChart': 'Monthly Bank Fees',
+        'app.distribution': 'Transaction Distribution',
+        'app.categoryRules': 'Category Rules',
+        'app.hide': 'Hide',
+        'app.manageRules': 'Manage rules',
+        'app.emptyPrompt': 'Please upload your CBE SMS data file (JSON or SMS Backup & Restore XML) to view your transactions.',
+        'app.emptyHint': 'The dashboard will show expense analysis, transaction details, and more after file upload.',
+        'app.privacyNotice': 'Privacy Notice: All data is processed locally in your browser',
+        'app.privacyPolicy': 'Privacy Policy',
+        'app.terms': 'Terms of Service',
+        'app.contact': 'Contact',
+
+        'fileInput.singleFile': 'Please select a single JSON or XML file, or one or more PDF receipts',
+        'fileInput.wrongType': 'Please select a JSON or XML file',
+        'fileInput.invalidJson': 'Invalid JSON format: The file could not be parsed.',
+        'fileInput.notMessageArray': 'Invalid JSON format: Expected an array of messages.',
+        'fileInput.invalidXml': 'Invalid XML format: The file could not be parsed.',
+        'fileInput.notSmsBackup': 'Invalid XML format: Expected an SMS Backup & Restore file.',
+        'fileInput.readingPdfs': 'Reading PDF receipts...',
+        'fileInput.parsingPdf': 'Parsing PDF {index} of {count}...',
+        'fileInput.unreadablePdfs': 'Could not read a CBE receipt from: {files}',
+        'fileInput.pdfSuccess': 'Successfully added {added} new transactions from {count} PDF receipts!',
+        'fileInput.saveError': 'Error saving transactions to local storage.',
+        'fileInput.unsavedTransactions': '{count} transactions could not be saved to local storage.',
+        'fileInput.fetchingReceipts': 'Fetching PDF receipts... {completed} of {total}',
+        'fileInput.processingSms': 'Processing SMS messages...',
+        'fileInput.cancelled': 'Import cancelled. {total} transactions processed before cancelling were kept.',
+        'fileInput.noTransactions': 'No transactions found in the file.',
+        'fileInput.failedReceipts': '{count} receipts could not be read. See the import report for details.',
+        'fileInput.smsSuccess': 'Successfully processed {total} transactions ({added} new)!',
+        'fileInput.importError': 'Error importing the SMS messages.',
+        'fileInput.readingFile': 'Reading file...',
+        'fileInput.parsingXml': 'Parsing XML...',
+        'fileInput.parsingJson': 'Parsing JSON...',
+        'fileInput.cancelling': 'Cancelling...',
+        'fileInput.dropzone': 'Drag and drop your files here or click to browse',
+        'fileInput.accepts': 'Accepts CBE SMS data in JSON or SMS Backup & Restore XML format, or one or more CBE receipt PDFs',
+        'fileInput.fetched': 'Fetched: {count}',
+        'fileInput.cached': 'Cached: {count}',
+        'fileInput.failed': 'Failed: {count}',
+        'fileInput.skipped': 'Skipped (no link): {count}',
+        'fileInput.pause': 'Pause',
+        'fileInput.resume': 'Resume',
+        'fileInput.cancel': 'Cancel',
+
+        'summary.totalExpenses': 'Total Expenses',
+        'summary.totalIncome': 'Total Income',
+        'summary.netCashFlow': 'Net Cash Flow',
+        'summary.bankFees': 'Bank Fees Paid',
+        'summary.currentBalance': 'Current Balance',
+        'summary.notAvailable': 'N/A',
+
+        'table.date': 'Date',
+        'table.amount': 'Amount (ETB)',
+        'table.fees': 'Fees (ETB)',
+        'table.reason': 'Reason',
+        'table.category': 'Category',
+        'table.recipient': 'Recipient',
+        'table.reference': 'Reference',
+        'table.count': 'Count',
+        'table.noTransactions': 'No transactions found.',
+        'table.topRecipients': 'Top 25 Recipients',
+        'table.topReasons': 'Top 25 Transaction Reasons',
+
+        'transactions.title': 'Transactions',
+        'transactions.searchPlaceholder': 'Search recipient, payer, reason or notes',
+        'transactions.searchLabel': 'Search transactions',
+        'transactions.minAmount': 'Min Amount',
+        'transactions.maxAmount': 'Max Amount',
+        'transactions.allCategories': 'All categories',
+        'transactions.direction': 'Direction',
+        'transactions.allDirections': 'Income and expenses',
+        'transactions.expenses': 'Expenses',
+        'transactions.income': 'Income',
+        'transactions.reviewStatus': 'Review Status',
+        'transactions.all': 'All',
+        'transactions.needsReviewCount': 'Needs review ({count})',
+        'transactions.noWarnings': 'No warnings',
+        'transactions.removeFilter': 'Remove filter {label}',
+        'transactions.clearFilters': 'Clear all',
+        'transactions.shownCount': '{count} of {total} transactions',
+        'transactions.expensesTotal': 'Expenses: {amount}',
+        'transactions.incomeTotal': 'Income: {amount}',
+        'transactions.netTotal': 'Net: {amount}',
+        'transactions.feesTotal': 'Fees: {amount}',
+        'transactions.edited': 'Edited. Parsed value: {value}',
+        'transactions.needsReview': 'Needs review',
+        'transactions.unusual': 'Unusual transaction',
+        'transactions.feeBreakdown': 'Service charge: {serviceCharge}, VAT: {vat}',
+        'transactions.note': 'Note',
+        'transactions.receipt': 'Receipt',
+        'transactions.edit': 'Edit',
+        'transactions.close': 'Close',
+        'transactions.noMatches': 'No transactions found matching the selected criteria.',
+        'transactions.rowsPerPage': 'Rows per page:',
+        'transactions.previous': 'Previous',
+        'transactions.previousPage': 'Previous Page',
+        'transactions.next': 'Next',
+        'transactions.nextPage': 'Next Page',
+        'transactions.page': 'Page {page} of {pages}',
+
+        'filters.search': 'Search: "{text}"',
+        'filters.minAmount': 'Min {amount}',
+        'filters.maxAmount': 'Max {amount}',
+        'filters.category': 'Category: {category}',
+        'filters.incomeOnly': 'Income only',
+        'filters.expensesOnly': 'Expenses only',
+        'filters.needsReview': 'Needs review',
+        'filters.noWarnings': 'No warnings',
+
+        'export.csv': 'Export CSV',
+        'export.xlsx': 'Export Excel',
+        'export.ofx': 'Export OFX',
+        'export.qif': 'Export QIF',
+        'export.columns': 'Columns ({count} of {total})',
+        'export.columnsLegend': 'Columns to export',
+        'export.column.date': 'Date',
+        'export.column.time': 'Time',
+        'export.column.receiver': 'Receiver',
+        'export.column.payer': 'Payer',
+        'export.column.reason': 'Reason',
+        'export.column.amount': 'Amount',
+        'export.column.totalAmount': 'Total amount',
+        'export.column.fees': 'Fees',
+        'export.column.balance': 'Balance',
+        'export.column.category': 'Category',
+        'export.column.notes': 'Notes',
+
+        'report.open': 'Printable report',
+        'report.close': 'Back to dashboard',
+        'report.print': 'Print / Save as PDF',
+        'report.printHint': 'To get a PDF, choose "Save as PDF" as the printer.',
+        'report.title': 'Spending Report',
+        'report.period': 'Period: {start} to {end}',
+        'report.generated': 'Generated on {date}',
+        'report.summary': 'Summary',
+        'report.topRecipients': 'Top {count} Recipients',
+        'report.topReasons': 'Top {count} Reasons',
+        'report.transactions': 'All Transactions ({count})',
+        'report.party': 'Recipient / Payer',
+        'recurring.none': 'No recurring payments found yet. Payments of a similar amount to the same recipient at regular intervals will appear here.',
+        'recurring.frequency': 'Frequency',
+        'recurring.amount': 'Expected amount',
+        'recurring.lastPaid': 'Last paid',
+        'recurring.nextDue': 'Next expected',
+        'recurring.status': 'Status',
+        'recurring.payments': '{count} payments',
+        'recurring.period.weekly': 'Weekly',
+        'recurring.period.biweekly': 'Every two weeks',
+        'recurring.period.monthly': 'Monthly',
+        'recurring.period.quarterly': 'Quarterly',
+        'recurring.period.yearly': 'Yearly',
+        'recurring.overdue': 'Overdue',
+        'recurring.missed': '{count} missed',
+        'recurring.unusual': '{count} unusually large',
+        'recurring.onSchedule': 'On schedule',
+        'anomalies.none': 'Nothing unusual in this period.',
+        'anomalies.showAll': 'Show all ({count})',
+        'anomalies.showFewer': 'Show fewer',
+        'anomalies.receiver-outlier': '{amount} is far above the usual {typical} for this recipient',
+        'anomalies.category-outlier': '{amount} is far above the usual {typical} in this category',
+        'anomalies.new-large-payee': 'A large first payment ({amount}) to a new recipient',
+        'anomalies.odd-hour': 'Paid at an odd hour ({time})',
+        'distribution.title': 'Distribution of {count} transactions',
+        'distribution.byCategory': 'By Category',
+        'distribution.byRecipient': 'By Recipient',
+        'distribution.others': 'Others',
+        'distribution.unknownRecipient': 'Unknown Recipient',
+        'distribution.count': 'Count:',
+        'distribution.percentage': 'Percentage:',
+        'distribution.none': 'No transaction data to display',
+
+        'dateRange.period': 'Period',
+        'dateRange.preset.all': 'All time',
+        'dateRange.preset.this-month': 'This month',
+        'dateRange.preset.last-month': 'Last month',
+        'dateRange.preset.last-90-days': 'Last 90 days',
+        'dateRange.preset.fiscal-year': 'This fiscal year',
+        'dateRange.preset.custom': 'Custom',
+        'dateRange.start': 'Start date',
+        'dateRange.end': 'End date',
+        'dateRange.to': 'to',
+        'dateRange.range': '{start} to {end}',
+        'dateRange.shown': '({shown} of {total} transactions)',
+        'ethiopianDate.day': 'Day',
+        'ethiopianDate.month': 'Month',
+        'ethiopianDate.year': 'Year',
+        'ethiopianDate.dayOf': '{label} day',
+        'ethiopianDate.monthOf': '{label} month',
+        'ethiopianDate.yearOf': '{label} year',
+        'ethiopianDate.month.1': 'Meskerem',
+        'ethiopianDate.month.2': 'Tikimt',
+        'ethiopianDate.month.3': 'Hidar',
+        'ethiopianDate.month.4': 'Tahsas',
+        'ethiopianDate.month.5': 'Tir',
+        'ethiopianDate.month.6': 'Yekatit',
+        'ethiopianDate.month.7': 'Megabit',
+        'ethiopianDate.month.8': 'Miazia',
+        'ethiopianDate.month.9': 'Genbot',
+        'ethiopianDate.month.10': 'Sene',
+        'ethiopianDate.month.11': 'Hamle',
+        'ethiopianDate.month.12': 'Nehase',
+        'ethiopianDate.month.13': 'Pagume',
+
+        'importReport.title': 'Import Report',
+        'importReport.retry': 'Retry failed ({count})',
+        'importReport.download': 'Download JSON',
+        'importReport.dismiss': 'Dismiss',
+        'importReport.show': 'Show',
+        'importReport.problemsOnly': 'Problems only',
+        'importReport.all': 'All messages ({count})',
+        'importReport.none': 'No messages to show.',
+        'importReport.outcome': 'Outcome',
+        'importReport.outcome.parsed': 'Parsed',
+        'importReport.outcome.cached': 'Cached',
+        'importReport.outcome.no-link': 'No link',
+        'importReport.outcome.http-error': 'HTTP error',
+        'importReport.outcome.network-error': 'Network error',
+        'importReport.outcome.content-type': 'Wrong content type',
+        'importReport.outcome.pdf-parse-error': 'PDF parse error',
+        'importReport.outcome.missing-fields': 'Missing fields',
+        'importReport.details': 'Details',
+        'importReport.message': 'Message',
+        'importReport.openReceipt': 'Open receipt',
+        'importReport.fromSms': 'Details taken from the SMS',
+        'importReport.notTransaction': 'Not a transaction message',
+        'importReport.errorFromSms': '{error}; details taken from the SMS',
+        'importReport.missing': 'Missing {fields}',
+        'importReport.skippedSenders': '{count} messages from other senders were skipped.',
+
+        'cache.loadError': 'Could not read the receipt cache',
+        'cache.purgeError': 'Could not purge the receipt cache',
+        'cache.loading': 'Loading cache...',
+        'cache.summary': '{count} receipts cached · {size} of {max} · parser version {version}',
+        'cache.kilobytes': '{size} KB',
+        'cache.megabytes': '{size} MB',
+        'cache.purgeStale': 'Purge stale ({count})',
+        'cache.purgeAll': 'Purge all',
+        'cache.receipt': 'Receipt',
+        'cache.size': 'Size',
+        'cache.lastUsed': 'Last used',
+        'cache.status': 'Status',
+        'cache.stale': 'Stale (v{version})',
+        'cache.current': 'Current',
+        'cache.delete': 'Delete',
+
+        'editor.parsed': 'Parsed: {value}',
+        'editor.notes': 'Notes',
+        'editor.tags': 'Tags',
+        'editor.tagsPlaceholder': 'e.g. family, reimbursable',
+        'editor.tagsHint': 'Separate tags with commas.',
+        'editor.save': 'Save',
+        'editor.cancel': 'Cancel',
+        'editor.revert': 'Revert to parsed values',
+        'editor.saveError': 'Could not save the changes.',
+        'editor.invalidAmount': 'The amount must be a positive number.',
+
+        'rules.type.reasonContains': 'Reason contains',
+        'rules.type.receiverEquals': 'Receiver equals',
+        'rules.type.amountRange': 'Amount range',
+        'rules.type.regex': 'Regex',
+        'rules.field.any': 'Any field',
+        'rules.field.payee': 'Reason or receiver',
+        'rules.field.reason': 'Reason',
+        'rules.field.receiver': 'Receiver',
+        'rules.field.payer': 'Payer',
+        'rules.add': 'Add rule',
+        'rules.import': 'Import JSON',
+        'rules.export': 'Export JSON',
+        'rules.reset': 'Reset to defaults',
+        'rules.confirmReset': 'Replace all category rules with the default rule set? Your own rules will be lost.',
+        'rules.invalidJson': 'Invalid rules file: The file is not valid JSON.',
+        'rules.invalidRules': 'Invalid rules file: Every rule needs a category and a known type.',
+        'rules.help': 'Rules are checked from top to bottom; the first enabled rule that matches assigns the category.',
+        'rules.enabled': 'Rule enabled',
+        'rules.category': 'Category',
+        'rules.min': 'Min ETB',
+        'rules.max': 'Max ETB',
+        'rules.pattern': 'Pattern',
+        'rules.text': 'Text',
+        'rules.statsTitle': 'Transactions matched by this rule / categorized by it',
+        'rules.stats': '{matched} matched, {assigned} assigned',
+        'rules.moveUp': 'Move rule up',
+        'rules.moveDown': 'Move rule down',
+        'rules.delete': 'Delete rule',
+        'rules.none': 'No rules defined.',
+        'rules.uncategorized': 'Uncategorized Transactions ({count})',
+        'rules.addForRecipient': 'Add rule for recipient',
+        'rules.showingFirst': 'Showing {shown} of {count} uncategorized transactions.',
+        'rules.allCategorized': 'Every transaction has a category.',
+
+        'warnings.field.amount': 'amount',
+        'warnings.field.date': 'date',
+        'warnings.field.receiver': 'receiver',
+        'warnings.field.payer': 'payer',
+        'warnings.missing-field': 'The {field} is missing.',
+        'warnings.invalid-amount': 'The amount "{amount}" is not a positive number.',
+        'warnings.invalid-date': 'The date "{date}" is not a valid date.',
+        'warnings.future-date': 'The date {date} is in the future.',
+        'warnings.old-date': 'The date {date} is implausibly old.',
+        'warnings.total-mismatch': 'The total {total} does not equal the amount plus fees ({expected}).',
+        'warnings.total-below-amount': 'The total {total} is less than the amount {amount}.',
+        'warnings.sms-amount-mismatch': 'The SMS amount {smsAmount} differs from the receipt amount {amount}.',
+
+        'charts.bankFees': 'Bank fees',
+        'charts.expenses': 'Expenses',
+        'charts.income': 'Income',
+        'charts.balance': 'Balance',
+        'charts.averageExpense': 'Avg Expense',
+
+        'budgets.spent': 'Spent {spent} of {limit}',
+        'budgets.remaining': 'Remaining {amount}',
+        'budgets.over': 'Over by {amount}',
+        'budgets.projected': 'Projected {amount}',
+        'budgets.type.category': 'Category',
+        'budgets.type.recipient': 'Recipient',
+        'budgets.limitPlaceholder': 'Monthly limit (ETB)',
+        'budgets.add': 'Add budget',
+        'budgets.month': 'Budget month',
+        'budgets.none': 'No budgets yet. Add one above to track your monthly spending.',
+        'budgets.overBudget': 'Over budget',
+        'budgets.projectedToExceed': 'Projected to exceed',
+        'budgets.delete': 'Delete budget',
+    },
+    am: {
+        'app.title': 'የንግድ ባንክ ግብይቶች ዳሽቦርድ',
+        'app.bankName': 'የኢትዮጵያ ንግድ ባንክ',
+        'app.calendarEthiopian': 'ዓ.ም',
+        'app.calendarGregorian': 'እ.ኤ.አ',
+        'app.showingEthiopian': 'ቀኖች በኢትዮጵያ የቀን አቆጣጠር እየታዩ ነው',
+        'app.showingGregorian': 'ቀኖች በግሪጎሪያን የቀን አቆጣጠር እየታዩ ነው',
+        'app.switchToGregorian': 'ወደ ግሪጎሪያን የቀን አቆጣጠር ቀይር',
+        'app.switchToEthiopian': 'ወደ ኢትዮጵያ የቀን አቆጣጠር ቀይር',
+        'app.languageShort': 'አማ',
+        'app.showingLanguage': 'ቋንቋ፦ አማርኛ',
+        'app.switchLanguage': 'ወደ {language} ቀይር',
+        'app.switchToLight': 'ወደ ብሩህ ገጽታ ቀይር',
+        'app.switchToDark': 'ወደ ጨለማ ገጽታ ቀይር',
+        'app.uploadTitle': 'የግብይት መረጃ ይጫኑ',
+        'app.clearData': 'ሁሉንም መረጃ አጥፋ',
+        'app.confirmClear': 'በዚህ አሳሽ ውስጥ የተቀመጡ ሁሉም ግብይቶች ይሰረዙ? ይህ ሊቀለበስ አይችልም።',
+        'app.hideCache': 'የደረሰኝ ማከማቻውን ደብቅ',
+        'app.manageCache': 'የደረሰኝ ማከማቻውን አስተዳድር',
+        'app.alerts': 'ያልተለመዱ ግብይቶች',
+        'app.budgets': 'ወርሃዊ በጀቶች',
+        'app.recurring': 'ተደጋጋሚ ክፍያዎች',
+        'app.expensesChart': 'ወርሃዊ ወጪና ገቢ',
+        'app.feesChart': 'ወርሃዊ የባንክ ክፍያዎች',
+        'app.distribution': 'የግብይቶች ስርጭት',
+        'app.categoryRules': 'የምድብ ደንቦች',
+        'app.hide': 'ደብቅ',
+        'app.manageRules': 'ደንቦችን አስተዳድር',
+        'app.emptyPrompt': 'ግብይቶችዎን ለማየት የCBE SMS መረጃ ፋይልዎን (JSON ወይም SMS Backup & Restore XML) ይጫኑ።',
+        'app.emptyHint': 'ፋይሉ ከተጫነ በኋላ ዳሽቦርዱ የወጪ ትንተና፣ የግብይት ዝርዝሮችና ሌሎችንም ያሳያል።',
+        'app.privacyNotice': 'የግላዊነት ማሳሰቢያ፦ ሁሉም መረጃ የሚሰራው በአሳሽዎ ውስጥ ብቻ ነው',
+        'app.privacyPolicy': 'የግላዊነት ፖሊሲ',
+        'app.terms': 'የአገልግሎት ውሎች',
+        'app.contact': 'ያግኙን',
+
+        'fileInput.singleFile': 'አንድ JSON ወይም XML ፋይል፣ ወይም አንድ ወይም ከዚያ በላይ የPDF ደረሰኞችን ይምረጡ',
+        'fileInput.wrongType': 'እባክዎ JSON ወይም XML ፋይል ይምረጡ',
+        'fileInput.invalidJson': 'ልክ ያልሆነ የJSON ቅርጸት፦ ፋይሉን መተንተን አልተቻለም።',
+        'fileInput.notMessageArray': 'ልክ ያልሆነ የJSON ቅርጸት፦ የመልዕክቶች ዝርዝር ይጠበቅ ነበር።',
+        'fileInput.invalidXml': 'ልክ ያልሆነ የXML ቅርጸት፦ ፋይሉን መተንተን አልተቻለም።',
+        'fileInput.notSmsBackup': 'ልክ ያልሆነ የXML ቅርጸት፦ የSMS Backup & Restore ፋይል ይጠበቅ ነበር።',
+        'fileInput.readingPdfs': 'የPDF ደረሰኞች እየተነበቡ ነው...',
+        'fileInput.parsingPdf': 'PDF {index} ከ{count} እየተተነተነ ነው...',
+        'fileInput.unreadablePdfs': 'ከሚከተሉት ፋይሎች የCBE ደረሰኝ ማንበብ አልተቻለም፦ {files}',
+        'fileInput.pdfSuccess': 'ከ{count} የPDF ደረሰኞች {added} አዲስ ግብይቶች ተጨምረዋል!',
+        'fileInput.saveError': 'ግብይቶችን በአካባቢያዊ ማከማቻ ማስቀመጥ አልተቻለም።',
+        'fileInput.unsavedTransactions': '{count} ግብይቶችን በአካባቢያዊ ማከማቻ ማስቀመጥ አልተቻለም።',
+        'fileInput.fetchingReceipts': 'የPDF ደረሰኞች እየመጡ ነው... {completed} ከ{total}',
+        'fileInput.processingSms': 'የSMS መልዕክቶች እየተሰሩ ነው...',
+        'fileInput.cancelled': 'ማስገባቱ ተሰርዟል። ከመሰረዙ በፊት የተሰሩ {total} ግብይቶች ተቀምጠዋል።',
+        'fileInput.noTransactions': 'በፋይሉ ውስጥ ምንም ግብይት አልተገኘም።',
+        'fileInput.failedReceipts': '{count} ደረሰኞች ሊነበቡ አልቻሉም። ለዝርዝሩ የማስገቢያ ሪፖርቱን ይመልከቱ።',
+        'fileInput.smsSuccess': '{total} ግብይቶች በተሳካ ሁኔታ ተሰርተዋል ({added} አዲስ)!',
+        'fileInput.importError': 'የSMS መልዕክቶችን ማስገባት አልተቻለም።',
+        'fileInput.readingFile': 'ፋይሉ እየተነበበ ነው...',
+        'fileInput.parsingXml': 'XML እየተተነተነ ነው...',
+        'fileInput.parsingJson': 'JSON እየተተነተነ ነው...',
+        'fileInput.cancelling': 'እየተሰረዘ ነው...',
+        'fileInput.dropzone': 'ፋይሎችዎን እዚህ ጎትተው ይልቀቁ ወይም ለመምረጥ ይጫኑ',
+        'fileInput.accepts': 'የCBE SMS መረጃን በJSON ወይም SMS Backup & Restore XML ቅርጸት፣ ወይም አንድ ወይም ከዚያ በላይ የCBE ደረሰኝ PDFዎችን ይቀበላል',
+        'fileInput.fetched': 'የመጡ፦ {count}',
+        'fileInput.cached': 'ከማከማቻ፦ {count}',
+        'fileInput.failed': 'ያልተሳኩ፦ {count}',
+        'fileInput.skipped': 'የተዘለሉ (ሊንክ የሌላቸው)፦ {count}',
+        'fileInput.pause': 'ለአፍታ አቁም',
+        'fileInput.resume': 'ቀጥል',
+        'fileInput.cancel': 'ሰርዝ',
+
+        'summary.totalExpenses': 'ጠቅላላ ወጪ',
+        'summary.totalIncome': 'ጠቅላላ ገቢ',
+        'summary.netCashFlow': 'የተጣራ የገንዘብ ፍሰት',
+        'summary.bankFees': 'የተከፈሉ የባንክ ክፍያዎች',
+        'summary.currentBalance': 'የአሁኑ ቀሪ ሂሳብ',
+        'summary.notAvailable': 'የለም',
+
+        'table.date': 'ቀን',
+        'table.amount': 'መጠን (ብር)',
+        'table.fees': 'ክፍያዎች (ብር)',
+        'table.reason': 'ምክንያት',
+        'table.category': 'ምድብ',
+        'table.recipient': 'ተቀባይ',
+        'table.reference': 'ማጣቀሻ',
+        'table.count': 'ብዛት',
+        'table.noTransactions': 'ምንም ግብይት አልተገኘም።',
+        'table.topRecipients': 'ዋና 25 ተቀባዮች',
+        'table.topReasons': 'ዋና 25 የግብይት ምክንያቶች',
+
+        'transactions.title': 'ግብይቶች',
+        'transactions.searchPlaceholder': 'ተቀባይ፣ ከፋይ፣ ምክንያት ወይም ማስታወሻ ይፈልጉ',
+        'transactions.searchLabel': 'ግብይቶችን ፈልግ',
+        'transactions.minAmount': 'ዝቅተኛ መጠን',
+        'transactions.maxAmount': 'ከፍተኛ መጠን',
+        'transactions.allCategories': 'ሁሉም ምድቦች',
+        'transactions.direction': 'አቅጣጫ',
+        'transactions.allDirections': 'ገቢና ወጪ',
+        'transactions.expenses': 'ወጪ',
+        'transactions.income': 'ገቢ',
+        'transactions.reviewStatus': 'የግምገማ ሁኔታ',
+        'transactions.all': 'ሁሉም',
+        'transactions.needsReviewCount': 'መገምገም ያለባቸው ({count})',
+        'transactions.noWarnings': 'ማስጠንቀቂያ የሌላቸው',
+        'transactions.removeFilter': 'ማጣሪያውን አስወግድ፦ {label}',
+        'transactions.clearFilters': 'ሁሉንም አጽዳ',
+        'transactions.shownCount': 'ከ{total} ግብይቶች {count}',
+        'transactions.expensesTotal': 'ወጪ፦ {amount}',
+        'transactions.incomeTotal': 'ገቢ፦ {amount}',
+        'transactions.netTotal': 'የተጣራ፦ {amount}',
+        'transactions.feesTotal': 'ክፍያዎች፦ {amount}',
+        'transactions.edited': 'ተስተካክሏል። የተነበበው ዋጋ፦ {value}',
+        'transactions.needsReview': 'መገምገም ያስፈልገዋል',
+        'transactions.unusual': 'ያልተለመደ ግብይት',
+        'transactions.feeBreakdown': 'የአገልግሎት ክፍያ፦ {serviceCharge}፣ ተ.እ.ታ፦ {vat}',
+        'transactions.note': 'ማስታወሻ',
+        'transactions.receipt': 'ደረሰኝ',
+        'transactions.edit': 'አስተካክል',
+        'transactions.close': 'ዝጋ',
+        'transactions.noMatches': 'ከተመረጡት መስፈርቶች ጋር የሚዛመድ ግብይት አልተገኘም።',
+        'transactions.rowsPerPage': 'በአንድ ገጽ የሚታዩ ረድፎች፦',
+        'transactions.previous': 'ቀዳሚ',
+        'transactions.previousPage': 'ቀዳሚ ገጽ',
+        'transactions.next': 'ቀጣይ',
+        'transactions.nextPage': 'ቀጣይ ገጽ',
+        'transactions.page': 'ገጽ {page} ከ{pages}',
+
+        'filters.search': 'ፍለጋ፦ "{text}"',
+        'filters.minAmount': 'ቢያንስ {amount}',
+        'filters.maxAmount': 'ቢበዛ {amount}',
+        'filters.category': 'ምድብ፦ {category}',
+        'filters.incomeOnly': 'ገቢ ብቻ',
+        'filters.expensesOnly': 'ወጪ ብቻ',
+        'filters.needsReview': 'መገምገም ያለባቸው',
+        'filters.noWarnings': 'ማስጠንቀቂያ የሌላቸው',
+
+        'export.csv': 'CSV አውርድ',
+        'export.xlsx': 'Excel አውርድ',
+        'export.ofx': 'OFX አውርድ',
+        'export.qif': 'QIF አውርድ',
+        'export.columns': 'ዓምዶች ({count} ከ{total})',
+        'export.columnsLegend': 'የሚወርዱ ዓምዶች',
+        'export.column.date': 'ቀን',
+        'export.column.time': 'ሰዓት',
+        'export.column.receiver': 'ተቀባይ',
+        'export.column.payer': 'ከፋይ',
+        'export.column.reason': 'ምክንያት',
+        'export.column.amount': 'መጠን',
+        'export.column.totalAmount': 'ጠቅላላ መጠን',
+        'export.column.fees': 'ክፍያዎች',
+        'export.column.balance': 'ቀሪ ሂሳብ',
+        'export.column.category': 'ምድብ',
+        'export.column.notes': 'ማስታወሻ',
+
+        'report.open': 'ሊታተም የሚችል ሪፖርት',
+        'report.close': 'ወደ ዳሽቦርዱ ተመለስ',
+        'report.print': 'አትም / እንደ PDF አስቀምጥ',
+        'report.printHint': 'PDF ለማግኘት በማተሚያ ምርጫው "Save as PDF"ን ይምረጡ።',
+        'report.title': 'የወጪ ሪፖርት',
+        'report.period': 'ጊዜ፦ ከ{start} እስከ {end}',
+        'report.generated': 'የተዘጋጀው፦ {date}',
+        'report.summary': 'ማጠቃለያ',
+        'report.topRecipients': 'ዋና {count} ተቀባዮች',
+        'report.topReasons': 'ዋና {count} ምክንያቶች',
+        'report.transactions': 'ሁሉም ግብይቶች ({count})',
+        'report.party': 'ተቀባይ / ከፋይ',
+        'recurring.none': 'እስካሁን ተደጋጋሚ ክፍያ አልተገኘም። ለአንድ ተቀባይ በመደበኛ ጊዜ የሚከፈሉ ተመሳሳይ መጠን ያላቸው ክፍያዎች እዚህ ይታያሉ።',
+        'recurring.frequency': 'ድግግሞሽ',
+        'recurring.amount': 'የሚጠበቀው መጠን',
+        'recurring.lastPaid': 'መጨረሻ የተከፈለው',
+        'recurring.nextDue': 'ቀጣዩ የሚጠበቀው',
+        'recurring.status': 'ሁኔታ',
+        'recurring.payments': '{count} ክፍያዎች',
+        'recurring.period.weekly': 'በየሳምንቱ',
+        'recurring.period.biweekly': 'በየሁለት ሳምንቱ',
+        'recurring.period.monthly': 'በየወሩ',
+        'recurring.period.quarterly': 'በየሩብ ዓመቱ',
+        'recurring.period.yearly': 'በየዓመቱ',
+        'recurring.overdue': 'ጊዜው አልፏል',
+        'recurring.missed': '{count} ያመለጡ',
+        'recurring.unusual': '{count} ያልተለመደ ከፍተኛ',
+        'recurring.onSchedule': 'በጊዜው',
+        'anomalies.none': 'በዚህ ጊዜ ውስጥ ያልተለመደ ነገር የለም።',
+        'anomalies.showAll': 'ሁሉንም አሳይ ({count})',
+        'anomalies.showFewer': 'ጥቂት አሳይ',
+        'anomalies.receiver-outlier': '{amount} ለዚህ ተቀባይ ከተለመደው {typical} እጅግ ይበልጣል',
+        'anomalies.category-outlier': '{amount} በዚህ ምድብ ከተለመደው {typical} እጅግ ይበልጣል',
+        'anomalies.new-large-payee': 'ለአዲስ ተቀባይ የተከፈለ ትልቅ የመጀመሪያ ክፍያ ({amount})',
+        'anomalies.odd-hour': 'ባልተለመደ ሰዓት የተከፈለ ({time})',
+        'distribution.title': 'የ{count} ግብይቶች ስርጭት',
+        'distribution.byCategory': 'በምድብ',
+        'distribution.byRecipient': 'በተቀባይ',
+        'distribution.others': 'ሌሎች',
+        'distribution.unknownRecipient': 'ያልታወቀ ተቀባይ',
+        'distribution.count': 'ብዛት፦',
+        'distribution.percentage': 'መቶኛ፦',
+        'distribution.none': 'የሚታይ የግብይት መረጃ የለም',
+
+        'dateRange.period': 'ጊዜ',
+        'dateRange.preset.all': 'ሁሉም ጊዜ',
+        'dateRange.preset.this-month': 'ይህ ወር',
+        'dateRange.preset.last-month': 'ያለፈው ወር',
+        'dateRange.preset.last-90-days': 'ያለፉት 90 ቀናት',
+        'dateRange.preset.fiscal-year': 'ይህ የበጀት ዓመት',
+        'dateRange.preset.custom': 'ብጁ',
+        'dateRange.start': 'መጀመሪያ ቀን',
+        'dateRange.end': 'መጨረሻ ቀን',
+        'dateRange.to': 'እስከ',
+        'dateRange.range': 'ከ{start} እስከ {end}',
+        'dateRange.shown': '(ከ{total} ግብይቶች {shown})',
+        'ethiopianDate.day': 'ቀን',
+        'ethiopianDate.month': 'ወር',
+        'ethiopianDate.year': 'ዓመት',
+        'ethiopianDate.dayOf': '{label} ቀን',
+        'ethiopianDate.monthOf': '{label} ወር',
+        'ethiopianDate.yearOf': '{label} ዓመት',
+        'ethiopianDate.month.1': 'መስከረም',
+        'ethiopianDate.month.2': 'ጥቅምት',
+        'ethiopianDate.month.3': 'ኅዳር',
+        'ethiopianDate.month.4': 'ታኅሣሥ',
+        'ethiopianDate.month.5': 'ጥር',
+        'ethiopianDate.month.6': 'የካቲት',
+        'ethiopianDate.month.7': 'መጋቢት',
+        'ethiopianDate.month.8': 'ሚያዝያ',
+        'ethiopianDate.month.9': 'ግንቦት',
+        'ethiopianDate.month.10': 'ሰኔ',
+        'ethiopianDate.month.11': 'ሐምሌ',
+        'ethiopianDate.month.12': 'ነሐሴ',
+        'ethiopianDate.month.13': 'ጳጉሜ',
+
+        'importReport.title': 'የማስገቢያ ሪፖርት',
+        'importReport.retry': 'ያልተሳኩትን እንደገና ሞክር ({count})',
+        'importReport.download': 'JSON አውርድ',
+        'importReport.dismiss': 'ዝጋ',
+        'importReport.show': 'አሳይ',
+        'importReport.problemsOnly': 'ችግሮች ብቻ',
+        'importReport.all': 'ሁሉም መልዕክቶች ({count})',
+        'importReport.none': 'የሚታይ መልዕክት የለም።',
+        'importReport.outcome': 'ውጤት',
+        'importReport.outcome.parsed': 'ተነቧል',
+        'importReport.outcome.cached': 'ከማከማቻ',
+        'importReport.outcome.no-link': 'ሊንክ የለም',
+        'importReport.outcome.http-error': 'የHTTP ስህተት',
+        'importReport.outcome.network-error': 'የአውታረ መረብ ስህተት',
+        'importReport.outcome.content-type': 'የተሳሳተ የይዘት አይነት',
+        'importReport.outcome.pdf-parse-error': 'PDF የማንበብ ስህተት',
+        'importReport.outcome.missing-fields': 'የጎደሉ መስኮች',
+        'importReport.details': 'ዝርዝሮች',
+        'importReport.message': 'መልዕክት',
+        'importReport.openReceipt': 'ደረሰኙን ክፈት',
+        'importReport.fromSms': 'ዝርዝሮቹ ከSMSው ተወስደዋል',
+        'importReport.notTransaction': 'የግብይት መልዕክት አይደለም',
+        'importReport.errorFromSms': '{error}፤ ዝርዝሮቹ ከSMSው ተወስደዋል',
+        'importReport.missing': 'የጎደሉ፦ {fields}',
+        'importReport.skippedSenders': 'ከሌሎች ላኪዎች የመጡ {count} መልዕክቶች ተዘለዋል።',
+
+        'cache.loadError': 'የደረሰኝ ማከማቻውን ማንበብ አልተቻለም',
+        'cache.purgeError': 'የደረሰኝ ማከማቻውን ማጽዳት አልተቻለም',
+        'cache.loading': 'ማከማቻው በመጫን ላይ...',
+        'cache.summary': '{count} ደረሰኞች ተቀምጠዋል · ከ{max} {size} · የአንባቢ ስሪት {version}',
+        'cache.kilobytes': '{size} ኪ.ባ',
+        'cache.megabytes': '{size} ሜ.ባ',
+        'cache.purgeStale': 'ያረጁትን አጽዳ ({count})',
+        'cache.purgeAll': 'ሁሉንም አጽዳ',
+        'cache.receipt': 'ደረሰኝ',
+        'cache.size': 'መጠን',
+        'cache.lastUsed': 'መጨረሻ ጥቅም ላይ የዋለው',
+        'cache.status': 'ሁኔታ',
+        'cache.stale': 'ያረጀ (v{version})',
+        'cache.current': 'ወቅታዊ',
+        'cache.delete': 'ሰርዝ',
+
+        'editor.parsed': 'የተነበበው፦ {value}',
+        'editor.notes': 'ማስታወሻዎች',
+        'editor.tags': 'መለያዎች',
+        'editor.tagsPlaceholder': 'ለምሳሌ ቤተሰብ፣ የሚመለስ',
+        'editor.tagsHint': 'መለያዎችን በኮማ ይለዩ።',
+        'editor.save': 'አስቀምጥ',
+        'editor.cancel': 'ተው',
+        'editor.revert': 'ወደ ተነበቡት እሴቶች መልስ',
+        'editor.saveError': 'ለውጦቹን ማስቀመጥ አልተቻለም።',
+        'editor.invalidAmount': 'መጠኑ አዎንታዊ ቁጥር መሆን አለበት።',
+
+        'rules.type.reasonContains': 'ምክንያቱ የሚይዘው',
+        'rules.type.receiverEquals': 'ተቀባዩ የሆነው',
+        'rules.type.amountRange': 'የመጠን ክልል',
+        'rules.type.regex': 'Regex',
+        'rules.field.any': 'ማንኛውም መስክ',
+        'rules.field.payee': 'ምክንያት ወይም ተቀባይ',
+        'rules.field.reason': 'ምክንያት',
+        'rules.field.receiver': 'ተቀባይ',
+        'rules.field.payer': 'ከፋይ',
+        'rules.add': 'ደንብ ጨምር',
+        'rules.import': 'JSON አስገባ',
+        'rules.export': 'JSON ላክ',
+        'rules.reset': 'ወደ ነባሪዎቹ መልስ',
+        'rules.confirmReset': 'ሁሉም የምድብ ደንቦች በነባሪዎቹ ደንቦች ይተኩ? የራስዎ ደንቦች ይጠፋሉ።',
+        'rules.invalidJson': 'ልክ ያልሆነ የደንቦች ፋይል፦ ፋይሉ ትክክለኛ JSON አይደለም።',
+        'rules.invalidRules': 'ልክ ያልሆነ የደንቦች ፋይል፦ እያንዳንዱ ደንብ ምድብና የታወቀ አይነት ያስፈልገዋል።',
+        'rules.help': 'ደንቦቹ ከላይ ወደ ታች ይፈተሻሉ፤ የሚዛመደው የመጀመሪያው የነቃ ደንብ ምድቡን ይሰጣል።',
+        'rules.enabled': 'ደንቡ ነቅቷል',
+        'rules.category': 'ምድብ',
+        'rules.min': 'ዝቅተኛ ብር',
+        'rules.max': 'ከፍተኛ ብር',
+        'rules.pattern': 'ንድፍ',
+        'rules.text': 'ጽሑፍ',
+        'rules.statsTitle': 'በዚህ ደንብ የተዛመዱ / የተመደቡ ግብይቶች',
+        'rules.stats': '{matched} ተዛምደዋል፣ {assigned} ተመድበዋል',
+        'rules.moveUp': 'ደንቡን ወደ ላይ አንቀሳቅስ',
+        'rules.moveDown': 'ደንቡን ወደ ታች አንቀሳቅስ',
+        'rules.delete': 'ደንቡን ሰርዝ',
+        'rules.none': 'ምንም ደንብ አልተገለጸም።',
+        'rules.uncategorized': 'ምድብ የሌላቸው ግብይቶች ({count})',
+        'rules.addForRecipient': 'ለተቀባዩ ደንብ ጨምር',
+        'rules.showingFirst': 'ከ{count} ምድብ የሌላቸው ግብይቶች {shown} እየታዩ ነው።',
+        'rules.allCategorized': 'ሁሉም ግብይቶች ምድብ አላቸው።',
+
+        'warnings.field.amount': 'መጠን',
+        'warnings.field.date': 'ቀን',
+        'warnings.field.receiver': 'ተቀባይ',
+        'warnings.field.payer': 'ከፋይ',
+        'warnings.missing-field': '{field} የለም።',
+        'warnings.invalid-amount': 'መጠኑ "{amount}" አዎንታዊ ቁጥር አይደለም።',
+        'warnings.invalid-date': 'ቀኑ "{date}" ትክክለኛ ቀን አይደለም።',
+        'warnings.future-date': 'ቀኑ {date} ገና ያልደረሰ ነው።',
+        'warnings.old-date': 'ቀኑ {date} ለማመን የሚከብድ ያህል የቆየ ነው።',
+        'warnings.total-mismatch': 'ጠቅላላው {total} ከመጠኑና ከክፍያዎቹ ድምር ({expected}) ጋር እኩል አይደለም።',
+        'warnings.total-below-amount': 'ጠቅላላው {total} ከመጠኑ {amount} ያንሳል።',
+        'warnings.sms-amount-mismatch': 'የSMS መጠኑ {smsAmount} ከደረሰኙ መጠን {amount} ይለያል።',
+
+        'charts.bankFees': 'የባንክ ክፍያዎች',
+        'charts.expenses': 'ወጪ',
+        'charts.income': 'ገቢ',
+        'charts.balance': 'ቀሪ ሂሳብ',
+        'charts.averageExpense': 'አማካይ ወጪ',
+
+        'budgets.spent': 'ከ{limit} {spent} ወጥቷል',
+        'budgets.remaining': 'ቀሪ {amount}',
+        'budgets.over': 'በ{amount} አልፏል',
+        'budgets.projected': 'የሚጠበቀው {amount}',
+        'budgets.type.category': 'ምድብ',
+        'budgets.type.recipient': 'ተቀባይ',
+        'budgets.limitPlaceholder': 'ወርሃዊ ገደብ (ብር)',
+        'budgets.add': 'በጀት ጨምር',
+        'budgets.month': 'የበጀት ወር',
+        'budgets.none': 'እስካሁን በጀት የለም። ወርሃዊ ወጪዎን ለመከታተል ከላይ አንድ ይጨምሩ።',
+        'budgets.overBudget': 'ከበጀት በላይ',
+        'budgets.projectedToExceed': 'እንደሚያልፍ ይጠበቃል',
+        'budgets.delete': 'በጀቱን ሰርዝ',
+    },
+};
@@ -1,5 +1,6 @@
 import * as pdfjsLib from 'pdfjs-dist';
 import pdfjsWorkerUrl from 'pdfjs-dist/build/pdf.worker.mjs?url';
+import { getLocale } from './i18n.js';
 pdfjsLib.GlobalWorkerOptions.workerSrc = new URL(pdfjsWorkerUrl, import.meta.url).toString();
 
 /**
@@ -19,52 +20,92 @@ export function extractFromSms(text) {
 }
 
 /**
- * Fetches content from a URL, with local storage caching for PDFs to improve performance and reduce server load during testing.
+ * Extracts the text content of a PDF document with pdfjs.
  *
- * For subsequent requests for the same URL, the cached PDF text is returned directly from localStorage,
- * avoiding redundant fetching and parsing.
+ * Works on any PDF bytes, whether fetched from a receipt link or read from a local file.
+ * Each page's text items are joined with spaces and pages are separated by newlines.
+ *
+ * @param {ArrayBuffer} arrayBuffer - The raw PDF data.
+ * @returns {Promise<string>} - The text content of all pages.
+ * @throws {Error} If pdfjs cannot parse the document.
+ */
+export async function extractPdfText(arrayBuffer) {
+    const pdf = await pdfjsLib.getDocument(arrayBuffer).promise;
+    let pdfText = '';
+    for (let i = 1; i <= pdf.numPages; i++) {
+        const page = await pdf.getPage(i);
+        const textContent = await page.getTextContent();
+        pdfText += textContent.items.map(item => item.str).join(' ') + '\n';
+    }
+    return pdfText;
+}
+
+/**
+ * Fetches content from a URL, with optional caching for PDFs to improve performance and reduce server load.
+ *
+ * For subsequent requests for the same URL, the cached PDF text (and its parsed transaction) is returned
+ * directly from the cache, avoiding redundant fetching and parsing.
+ *
+ * Errors are flagged `transient` when retrying may help: network failures, timeouts (408),
+ * rate limiting (429) and server errors (5xx). Their `reason` tells what went wrong:
+ * 'http', 'content-type', 'pdf-parse', 'network' or 'cancelled'.
  *
  * @param {string} url - The URL to fetch.
- * @returns {Promise<{ type: 'pdf' | 'error', text?: string, message?: string }>} - An object indicating success or error, and the PDF text content on success.
+ * @param {object} [options] - Fetch options.
+ * @param {AbortSignal} [options.signal] - Aborts the request when the import is cancelled.
+ * @param {{ get: function(string): Promise<{ text: string, parsed: object }|null>, set: function(string, string): Promise<void> }} [options.cache]
+ *          - Where PDF texts are cached by URL, such as `receiptCache`. Nothing is cached when omitted.
+ * @returns {Promise<{ type: 'pdf' | 'error', text?: string, parsed?: object, cached?: boolean, message?: string, reason?: string, status?: number, transient?: boolean, aborted?: boolean }>}
+ *          - An object indicating success or error, and the PDF text content on success.
  */
-export async function fetchContent(url) {
-    const cacheKey = `pdfCache_${url}`;
-    const cachedData = localStorage.getItem(cacheKey);
+export async function fetchContent(url, { signal, cache = null } = {}) {
+    let cachedData = null;
+    if (cache) {
+        try {
+            cachedData = await cache.get(url);
+        } catch (cacheError) {
+            console.warn("Could not read cached PDF text:", cacheError); // A broken cache should not stop the fetch
+        }
+    }
 
     if (cachedData) {
-        return { type: 'pdf', text: cachedData }; // Directly return cached data
+        return { type: 'pdf', text: cachedData.text, parsed: cachedData.parsed, cached: true }; // Directly return cached data
     }
 
     try {
-        const response = await fetch(url);
+        const response = await fetch(url, { signal });
         if (!response.ok) {
-            return { type: 'error', message: `HTTP error: ${response.status}` };
+            const transient = response.status === 408 || response.status === 429 || response.status >= 500;
+            return { type: 'error', message: `HTTP error: ${response.status}`, reason: 'http', status: response.status, transient };
         }
 
         const contentType = response.headers.get('content-type');
         if (!contentType?.includes('application/pdf')) {
-            return { type: 'error', message: `Unexpected content type: ${contentType}` };
+            return { type: 'error', message: `Unexpected content type: ${contentType}`, reason: 'content-type' };
         }
 
         const arrayBuffer = await response.arrayBuffer();
         try {
-            const pdf = await pdfjsLib.getDocument(arrayBuffer).promise;
-            let pdfText = '';
-            for (let i = 1; i <= pdf.numPages; i++) {
-                const page = await pdf.getPage(i);
-                const textContent = await page.getTextContent();
-                pdfText += textContent.items.map(item => item.str).join(' ') + '\n';
+            const pdfText = await extractPdfText(arrayBuffer);
+
+            if (cache) {
+                try {
+                    await cache.set(url, pdfText); // Store fetched PDF in cache
+                } catch (cacheError) {
+                    console.warn("Could not cache PDF text:", cacheError);
+                }
             }
-
-            localStorage.setItem(cacheKey, pdfText); // Store fetched PDF in cache
-            return { type: 'pdf', text: pdfText };
+            return { type: 'pdf', text: pdfText, cached: false };
         } catch (pdfError) {
             console.error("Error extracting text from PDF:", pdfError);
-            return { type: 'error', message: `PDF parsing error: ${pdfError.message}` };
+            return { type: 'error', message: `PDF parsing error: ${pdfError.message}`, reason: 'pdf-parse' };
         }
     } catch (error) {
+        if (error.name === 'AbortError') {
+            return { type: 'error', message: 'Cancelled', reason: 'cancelled', aborted: true };
+        }
         console.error("Fetch error:", error);
-        return { type: 'error', message: `Network error: ${error.message}` };
+        return { type: 'error', message: `Network error: ${error.message}`, reason: 'network', transient: true };
     }
 }
 
@@ -119,6 +160,12 @@ function extractPayerReceiver(text, type) {
 }
 
 
+/**
+ * Version of the `extractFromPdf` output. Bump it whenever the extraction changes, so that
+ * transactions parsed by an older version and kept in the receipt cache are parsed again.
+ */
+export const PDF_PARSER_VERSION = 1;
+
 /**
  * Extracts transaction details from the text content of a CBE Customer Receipt PDF.
  *
@@ -128,21 +175,28 @@ function extractPayerReceiver(text, type) {
  *
  * @param {string} text - The text content extracted from the PDF.
  * @returns {object} - An object containing the extracted transaction details, or null if extraction fails.
- *                    The object includes: amount, date, time, receiver, payer, reason, and totalAmount.
+ *                    The object includes: amount, date, time, receiver, payer, reason, referenceNo, totalAmount,
+ *                    serviceCharge, and vat (the VAT on the service charge).
  */
 export function extractFromPdf(text) {
 
     const amountStr = extractField(text, "Transferred Amount   ", " ETB");
     const dateStr = extractField(text, "Payment Date & Time   ", "  Reference No.");
-    //const referenceNo = extractField(text, "Reference No. (VAT Invoice No)   ", "\n"); // Not needed for current requirements, comment out extraction
+    const referenceStr = extractField(text, "Reference No. (VAT Invoice No)   ");
     const reason = extractField(text, "Reason / Type of service   ", "Transferred Amount");
     const totalAmountStr = extractField(text, "Total amount debited from customers account   ", " ETB");
+    const serviceChargeStr = extractField(text, "Commission or Service Charge   ", " ETB");
+    const vatStr = extractField(text, "15% VAT on Commission   ", " ETB");
     const receiver = extractPayerReceiver(text, "Receiver");
     const payer = extractPayerReceiver(text, "Payer");
 
 
+    // The reference is the first token after its label; the rest of the page text follows it
+    const referenceNo = referenceStr ? referenceStr.split(/\s+/)[0] || null : null;
     let amount = amountStr ? parseFloat(amountStr.replace(/,/g, '').trim()) : null;
     let totalAmount = totalAmountStr ? parseFloat(totalAmountStr.replace(/,/g, '').trim()) : null;
+    let serviceCharge = serviceChargeStr ? parseFloat(serviceChargeStr.replace(/,/g, '').trim()) : null;
+    let vat = vatStr ? parseFloat(vatStr.replace(/,/g, '').trim()) : null;
     let formattedDate = null;
     let time = null;
 
@@ -176,14 +230,182 @@ export function extractFromPdf(text) {
         receiver: receiver,
         payer: payer,
         reason: reason,
-        //referenceNo: referenceNo, // Not needed
+        referenceNo: referenceNo,
         totalAmount: totalAmount,
+        serviceCharge: serviceCharge,
+        vat: vat,
     };
 
     return extractedData;
 }
 
 
+/**
+ * Normalizes a person's name into lowercase word tokens for loose comparison.
+ *
+ * @param {string|null} name - The name as written in an SMS or receipt.
+ * @returns {Array<string>} - The name's words, without punctuation.
+ */
+function nameTokens(name) {
+    return (name || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Checks whether a receipt party is the account owner.
+ *
+ * SMS greetings usually carry only the owner's first name while receipts carry the full name,
+ * so every word of the owner's name must appear in the party's name.
+ *
+ * @param {string|null} party - The payer or receiver name from a receipt.
+ * @param {string|null} accountOwner - The account owner's name, e.g. from "Dear X" in the SMS.
+ * @returns {boolean} - True if the party appears to be the account owner.
+ */
+function isAccountOwner(party, accountOwner) {
+    const ownerTokens = nameTokens(accountOwner);
+    if (!ownerTokens.length) return false;
+    const partyTokens = nameTokens(party);
+    return ownerTokens.every(token => partyTokens.includes(token));
+}
+
+/**
+ * Guesses the account owner's name from transactions, for receipts that come without an SMS greeting.
+ *
+ * The owner is on every receipt of the account: as the payer of a debit and the receiver of a credit.
+ * Transactions without a direction count both parties. The name seen most often wins, if it is seen
+ * more than once and more often than any other.
+ *
+ * @param {Array<object>} transactions - The transactions, with payer, receiver and optionally direction.
+ * @returns {string|null} - The owner's name as written on the receipts, or null if it cannot be told.
+ */
+export function inferAccountOwner(transactions) {
+    const counts = new Map();
+    const count = party => {
+        const name = (party || '').trim();
+        if (name) counts.set(name, (counts.get(name) || 0) + 1);
+    };
+    transactions.forEach(tx => {
+        if (tx.direction !== 'credit') count(tx.payer);
+        if (tx.direction !== 'debit') count(tx.receiver);
+    });
+    const [first, second] = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+    if (!first || first[1] < 2 || (second && second[1] === first[1])) return null;
+    return first[0];
+}
+
+/**
+ * Decides whether a transaction took money out of the account ('debit') or brought it in ('credit').
+ *
+ * The SMS wording ("debited" / "credited") wins when it is known. Otherwise the receipt's payer and
+ * receiver are matched against the account owner. Receipts that match neither are treated as debits,
+ * since CBE issues receipts for outgoing transfers.
+ *
+ * @param {object} transaction - The transaction details, with payer and receiver.
+ * @param {object} [context] - What is known about the message the transaction came from.
+ * @param {'debit'|'credit'|null} [context.smsDirection] - The direction stated in the SMS body.
+ * @param {string|null} [context.accountOwner] - The account owner's name.
+ * @returns {'debit'|'credit'} - The transaction direction.
+ */
+export function resolveDirection(transaction, { smsDirection = null, accountOwner = null } = {}) {
+    if (smsDirection) return smsDirection;
+    if (isAccountOwner(transaction.receiver, accountOwner) && !isAccountOwner(transaction.payer, accountOwner)) {
+        return 'credit';
+    }
+    return 'debit';
+}
+
+/**
+ * Checks whether a transaction is incoming money. Transactions without a direction count as expenses.
+ *
+ * @param {object} transaction - The transaction to check.
+ * @returns {boolean} - True for credited transactions.
+ */
+export function isIncome(transaction) {
+    return transaction.direction === 'credit';
+}
+
+/**
+ * Calculates the bank fees paid on a transaction: the service charge plus the VAT on it.
+ *
+ * When the receipt does not itemize the fees, the difference between the total debited
+ * and the transferred amount is used instead.
+ *
+ * @param {object} transaction - The transaction to inspect.
+ * @returns {number} - The fees in ETB, or 0 if none are known.
+ */
+export function getFees(transaction) {
+    const { serviceCharge, vat, totalAmount, amount } = transaction;
+    let fees = 0;
+    if (serviceCharge != null || vat != null) {
+        fees = (serviceCharge || 0) + (vat || 0);
+    } else if (totalAmount != null && amount != null && totalAmount > amount) {
+        fees = totalAmount - amount;
+    }
+    return Math.round(fees * 100) / 100;
+}
+
+/**
+ * Finds the latest account balance among the transactions. PDF receipts carry no balance,
+ * so the newest transaction may not have one.
+ *
+ * @param {Array<object>} transactions - The transactions, sorted newest first.
+ * @returns {number|null} - The balance in ETB, or null if none of them reports one.
+ */
+export function getLatestBalance(transactions) {
+    const latest = transactions.find(tx => tx.currentBalance != null);
+    return latest ? latest.currentBalance : null;
+}
+
+/**
+ * Finds the middle value of a list of numbers.
+ *
+ * @param {Array<number>} values - The numbers, in any order.
+ * @returns {number} - The median, or 0 for an empty list.
+ */
+export function median(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Reads a receipt time such as "2:05:09 PM" as a 24-hour clock time.
+ *
+ * @param {string|null} time - The time from the receipt or SMS.
+ * @returns {{ hours: number, minutes: number, seconds: number }|null} - The time, or null when it is missing or unreadable.
+ */
+export function parseTime(time) {
+    const match = /(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AP]M)?/i.exec(time || '');
+    if (!match) return null;
+    let hours = parseInt(match[1], 10) % 24;
+    const meridiem = (match[4] || '').toUpperCase();
+    if (meridiem === 'PM' && hours < 12) hours += 12;
+    if (meridiem === 'AM' && hours === 12) hours = 0;
+    return { hours, minutes: parseInt(match[2], 10), seconds: parseInt(match[3] || '0', 10) };
+}
+
+/**
+ * Formats a "YYYY-MM" month key as a short chart label, e.g. "Mar 2024" or "ማርች 2024".
+ *
+ * @param {string} monthKey - The month key produced by the monthly aggregation.
+ * @param {string} [language='en'] - The language of the month name.
+ * @returns {string} - The label for display.
+ */
+export function formatMonthLabel(monthKey, language = 'en') {
+    const [year, month] = monthKey.split('-').map(Number);
+    return new Date(year, month - 1, 1).toLocaleDateString(getLocale(language), { month: 'short', year: 'numeric' });
+}
+
+/**
+ * Checks whether a sort value is missing: null, undefined, NaN or an invalid date.
+ *
+ * @param {any} value - The value to check.
+ * @returns {boolean} - True if the value cannot be compared.
+ */
+function isMissingValue(value) {
+    return value === null || value === undefined || Number.isNaN(value instanceof Date ? value.getTime() : value);
+}
+
 /**
  * Sorts an array of data based on a specified column and direction.
  *
@@ -198,8 +420,13 @@ export function sortData(data, sortColumn, sortDirection) {
     if (!sortColumn) return data;
 
     return [...data].sort((a, b) => {
-        const aValue = sortColumn === 'date' ? new Date(a[sortColumn]) : a[sortColumn];
-        const bValue = sortColumn === 'date' ? new Date(b[sortColumn]) : b[sortColumn];
+        const aValue = sortColumn === 'date' && a[sortColumn] ? new Date(a[sortColumn]) : a[sortColumn];
+        const bValue = sortColumn === 'date' && b[sortColumn] ? new Date(b[sortColumn]) : b[sortColumn];
+
+        // Missing values and invalid dates always sort last, whatever the direction
+        const aMissing = isMissingValue(aValue);
+        const bMissing = isMissingValue(bValue);
+        if (aMissing || bMissing) return aMissing - bMissing;
 
         if (aValue < bValue) return sortDirection === 'asc' ? -1 : 1;
         if (aValue > bValue) return sortDirection === 'asc' ? 1 : -1;
@@ -267,18 +494,23 @@ export function getTopSenders(transactions, limit = 25) {
 
 /**
  * Aggregates transaction data to find top transaction reasons based on count and total amount.
- * @param {Array<object>} transactions - Array of transaction objects.
+ * Each reason takes the category most of its transactions were assigned.
+ * @param {Array<object>} transactions - Array of categorized transaction objects.
  * @param {number} [limit=25] - Maximum number of top reasons to return.
  * @returns {Array<object>} - Array of top reasons with reason, category, amount, and count.
  */
 export function getTopReasons(transactions, limit = 25) {
     const reasonCounts = {};
     const reasonTotals = {};
+    const reasonCategories = {};
 
     transactions.forEach((tx) => {
         if (tx.reason) {
             reasonCounts[tx.reason] = (reasonCounts[tx.reason] || 0) + 1;
             reasonTotals[tx.reason] = (reasonTotals[tx.reason] || 0) + Math.abs(tx.amount);
+            const category = tx.category || "Uncategorized";
+            reasonCategories[tx.reason] = reasonCategories[tx.reason] || {};
+            reasonCategories[tx.reason][category] = (reasonCategories[tx.reason][category] || 0) + 1;
         }
     });
 
@@ -288,21 +520,22 @@ export function getTopReasons(transactions, limit = 25) {
 
     return sortedReasons.map(([reason, count]) => ({
         reason,
-        category: "Unknown", // Placeholder, category mapping could be added later
+        category: Object.entries(reasonCategories[reason])
+            .sort(([, countA], [, countB]) => countB - countA)[0][0],
         amount: reasonTotals[reason],
         count,
     }));
 }
 
 /**
- * Calculates the distribution of transactions across categories (currently based on 'reason').
- * @param {Array<object>} transactions - Array of transaction objects.
+ * Calculates the distribution of transactions across their assigned categories.
+ * @param {Array<object>} transactions - Array of categorized transaction objects.
  * @returns {Array<object>} - Array of category distributions with name and value for chart data.
  */
 export function getCategoryDistribution(transactions) {
     const categoryCounts = {};
     transactions.forEach(tx => {
-        const category = tx.reason || "Uncategorized";
+        const category = tx.category || "Uncategorized";
         categoryCounts[category] = (categoryCounts[category] || 0) + 1;
     });
 
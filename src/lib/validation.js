@@ -0,0 +1,119 @@
+import { toDateKey } from './dateRange.js';
+import { getTranslator, formatAmount } from './i18n.js';
+
+// Receipts older than this are assumed to be parsing mistakes
+const EARLIEST_PLAUSIBLE_DATE = '2010-01-01';
+
+// Amounts closer than this (in ETB) are treated as equal, to allow for rounding
+const AMOUNT_TOLERANCE = 0.01;
+
+/**
+ * Checks whether a string is a real calendar date in "YYYY-MM-DD" form.
+ *
+ * @param {string|null} value - The date string.
+ * @returns {boolean} - True if the date exists.
+ */
+function isValidDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return false;
+    }
+    const date = new Date(`${value}T00:00:00`);
+    return !isNaN(date) && toDateKey(date) === value; // Rejects rolled-over dates such as 2024-02-30
+}
+
+/**
+ * Checks a transaction for missing or inconsistent fields.
+ *
+ * The checks are: the amount, date and counterparty are present; the amount is a positive number;
+ * the date exists and is neither in the future nor implausibly old; the total debited equals the
+ * amount plus fees; and the amount in the SMS agrees with the amount on the receipt.
+ *
+ * @param {object} transaction - The transaction to check.
+ * @param {Date} [today=new Date()] - The current date, for the future-date check.
+ * @returns {Array<{ code: string, field: string, message: string, values: object }>} - The warnings; empty when the
+ *          transaction looks right. `message` names the wording and `values` fills it in, see `describeWarning`.
+ */
+export function validateTransaction(transaction, today = new Date()) {
+    const warnings = [];
+    const warn = (code, field, message, values = {}) => warnings.push({ code, field, message, values });
+    const { amount, date, totalAmount, serviceCharge, vat, smsAmount } = transaction;
+
+    if (amount === null || amount === undefined) {
+        warn('missing-field', 'amount', 'missing-field', { field: 'amount' });
+    } else if (typeof amount !== 'number' || !isFinite(amount) || amount <= 0) {
+        warn('invalid-amount', 'amount', 'invalid-amount', { amount: String(amount) });
+    }
+
+    if (!date) {
+        warn('missing-field', 'date', 'missing-field', { field: 'date' });
+    } else if (!isValidDate(date)) {
+        warn('implausible-date', 'date', 'invalid-date', { date });
+    } else if (date > toDateKey(today)) {
+        warn('implausible-date', 'date', 'future-date', { date });
+    } else if (date < EARLIEST_PLAUSIBLE_DATE) {
+        warn('implausible-date', 'date', 'old-date', { date });
+    }
+
+    const counterpartyField = transaction.direction === 'credit' ? 'payer' : 'receiver';
+    if (!transaction[counterpartyField]) {
+        warn('missing-field', counterpartyField, 'missing-field', { field: counterpartyField });
+    }
+
+    if (typeof amount === 'number' && typeof totalAmount === 'number') {
+        if (serviceCharge != null || vat != null) {
+            const expectedTotal = amount + (serviceCharge || 0) + (vat || 0);
+            if (Math.abs(totalAmount - expectedTotal) > AMOUNT_TOLERANCE) {
+                warn('total-mismatch', 'totalAmount', 'total-mismatch', { total: totalAmount, expected: expectedTotal });
+            }
+        } else if (totalAmount < amount - AMOUNT_TOLERANCE) {
+            warn('total-mismatch', 'totalAmount', 'total-below-amount', { total: totalAmount, amount });
+        }
+    }
+
+    // An amount corrected by hand is trusted over both the SMS and the receipt
+    const amountEdited = Boolean(transaction.edits && 'amount' in transaction.edits);
+    if (!amountEdited && typeof amount === 'number' && typeof smsAmount === 'number'
+        && Math.abs(amount - smsAmount) > AMOUNT_TOLERANCE) {
+        warn('sms-amount-mismatch', 'amount', 'sms-amount-mismatch', { smsAmount, amount });
+    }
+
+    return warnings;
+}
+
+/**
+ * Attaches the validation warnings to every transaction.
+ *
+ * @param {Array<object>} transactions - The transactions to check.
+ * @param {Date} [today=new Date()] - The current date, for the future-date check.
+ * @returns {Array<object>} - Copies of the transactions with a `warnings` list.
+ */
+export function validateTransactions(transactions, today = new Date()) {
+    return transactions.map(tx => ({ ...tx, warnings: validateTransaction(tx, today) }));
+}
+
+/**
+ * Checks whether a transaction was flagged for review.
+ *
+ * @param {object} transaction - A transaction from `validateTransactions`.
+ * @returns {boolean} - True if the transaction has any warnings.
+ */
+export function needsReview(transaction) {
+    return Boolean(transaction.warnings?.length);
+}
+
+/**
+ * Describes a validation warning in words.
+ *
+ * @param {{ message: string, values: object }} warning - A warning from `validateTransaction`.
+ * @param {string} [language='en'] - The language of the description.
+ * @returns {string} - The description, such as "The total 1,010.00 does not equal the amount plus fees (1,005.75)."
+ */
+export function describeWarning(warning, language = 'en') {
+    const t = getTranslator(language);
+    const values = {};
+    Object.entries(warning.values || {}).forEach(([name, value]) => {
+        values[name] = typeof value === 'number' ? formatAmount(value, language) : value;
+    });
+    if (values.field) values.field = t(`warnings.field.${values.field}`);
+    return t(`warnings.${warning.message}`, values);
+}
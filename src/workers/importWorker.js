@@ -0,0 +1,128 @@
+import { createFetchQueue, fetchWithRetry } from '../lib/fetchQueue.js';
+import { prepareImportItems, buildTransaction, describeImportOutcome } from '../lib/importPipeline.js';
+import { receiptCache, evictLeastRecentlyUsed } from '../lib/pdfCache.js';
+
+/**
+ * Web Worker that runs the SMS import pipeline off the main thread: parsing the SMS bodies,
+ * fetching and parsing the linked PDF receipts, and building the transactions.
+ *
+ * Messages received:
+ * - { type: 'start', messages, concurrency, indices } - Starts an import. `indices` optionally limits it
+ *   to those items of `prepareImportItems(messages)`, to retry them.
+ * - { type: 'pause' } / { type: 'resume' } / { type: 'cancel' } - Control the receipt fetch queue.
+ *
+ * Messages posted:
+ * - { type: 'progress', completed, total, counts } - After each receipt; counts are { fetched, cached, failed, skipped }.
+ * - { type: 'transactions', transactions } - A batch of finished transactions, so results can stream in.
+ * - { type: 'outcomes', entries } - Import report entries from `describeImportOutcome`, posted with each batch.
+ * - { type: 'done', cancelled } - The import finished or was cancelled; every batch has been posted.
+ * - { type: 'fatal', message } - The import failed unexpectedly.
+ */
+
+// How many finished transactions are collected before a batch is posted
+const BATCH_SIZE = 25;
+
+let queue = null;
+
+/**
+ * Runs one import and reports its progress and results to the main thread.
+ *
+ * Receipts are cached in IndexedDB, which, unlike localStorage, is available to workers.
+ *
+ * @param {Array<object>} messages - The imported SMS messages.
+ * @param {number} concurrency - How many receipts are fetched at the same time.
+ * @param {Array<number>} [indices] - The items to import; all of them when omitted.
+ */
+async function runImport(messages, concurrency, indices) {
+    let batch = [];
+    let entries = [];
+    const flush = () => {
+        if (batch.length > 0) {
+            self.postMessage({ type: 'transactions', transactions: batch });
+            batch = [];
+        }
+        if (entries.length > 0) {
+            self.postMessage({ type: 'outcomes', entries });
+            entries = [];
+        }
+    };
+    const collect = (item, result) => {
+        const transaction = buildTransaction(item, result);
+        entries.push(describeImportOutcome(item, item.index, result, transaction));
+        if (transaction) {
+            batch.push(transaction);
+        }
+        if (entries.length >= BATCH_SIZE) flush();
+    };
+
+    // Items keep their position in the full list, so a retry can refer to them
+    let items = prepareImportItems(messages).map((item, index) => ({ ...item, index }));
+    if (indices) {
+        const selected = new Set(indices);
+        items = items.filter(item => selected.has(item.index));
+    }
+    const receiptItems = items.filter(item => item.receiptUrl);
+    const counts = { fetched: 0, cached: 0, failed: 0, skipped: items.length - receiptItems.length };
+
+    // Messages without a receipt link need no fetching and are ready straight away
+    items.filter(item => !item.receiptUrl).forEach(item => collect(item, null));
+    flush();
+    self.postMessage({ type: 'progress', completed: 0, total: receiptItems.length, counts: { ...counts } });
+
+    queue = createFetchQueue({ concurrency });
+    let completed = 0;
+
+    await queue.run(receiptItems, async (item, index, signal) => {
+        const result = await fetchWithRetry(item.receiptUrl, { signal, cache: receiptCache });
+
+        // Receipts interrupted by a cancel are left out
+        if (result.aborted) return;
+
+        if (result.type === 'pdf') {
+            counts[result.cached ? 'cached' : 'fetched']++;
+        } else {
+            counts.failed++;
+        }
+        collect(item, result);
+
+        completed++;
+        self.postMessage({ type: 'progress', completed, total: receiptItems.length, counts: { ...counts } });
+    });
+
+    flush();
+
+    // Keep the cache within its cap however many imports it has grown over
+    try {
+        await evictLeastRecentlyUsed();
+    } catch (error) {
+        console.error("Import worker: Error evicting cached receipts:", error);
+    }
+
+    self.postMessage({ type: 'done', cancelled: queue.signal.aborted });
+    queue = null;
+}
+
+self.onmessage = (event) => {
+    const { type } = event.data;
+    switch (type) {
+        case 'start': {
+            const { messages, concurrency = 4, indices } = event.data;
+            runImport(messages, concurrency, indices).catch(error => {
+                console.error("Import worker error:", error);
+                self.postMessage({ type: 'fatal', message: error.message });
+            });
+            break;
+        }
+        case 'pause':
+            queue?.pause();
+            break;
+        case 'resume':
+            queue?.resume();
+            break;
+        case 'cancel':
+            queue?.cancel();
+            break;
+        default:
+            console.warn("Import worker: Unknown message type:", type); // Development warning for protocol mismatches
+    }
+};
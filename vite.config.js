@@ -7,4 +7,8 @@ export default defineConfig({
     react(),
     tailwindcss(),
   ],
+  worker: {
+    // The import worker loads pdfjs, which is split into separate chunks
+    format: 'es',
+  },
 })